@@ -1,211 +1,647 @@
 /**
  * Background Service Worker
- * Handles API calls to OpenAI and communication between content script and popup
+ * Handles API calls to the configured LLM provider and communication between content script and popup
  */
 
-// Listen for messages from popup
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'summarizeText') {
-        handleSummarization(request.text, request.apiKey)
-            .then(summary => {
-                sendResponse({ success: true, summary });
+import {
+    API_CONFIG,
+    ERROR_MESSAGES,
+    OUTPUT_TEMPLATES,
+    STORAGE_KEYS,
+    createSummaryPrompt,
+    formatErrorMessage,
+    formatSummaryText,
+    getFromStorage,
+    parseSummaryContent,
+    resolveOutputTemplate,
+    resolveSummarySettings,
+    sanitizeText,
+    validateApiKey,
+    validateText
+} from './utils.js';
+import {
+    buildProviderRequest,
+    createProviderError,
+    parseProviderResponse,
+    parseProviderUsage,
+    readProviderStream,
+    resolveProviderSettings
+} from './providers.js';
+import { summarizeInChunks } from './chunker.js';
+import { createHistoryEntry, saveToHistory } from './history.js';
+import { getPromptTemplates, isPromptTemplateId, renderPromptTemplate } from './prompts.js';
+import { detectTextLanguage, getLanguageName } from './language.js';
+import { createCacheKey, getCachedSummary, saveToCache } from './cache.js';
+import { createTimeoutSignal, fetchWithRetry } from './retry.js';
+import {
+    addUsage,
+    checkSpendingCap,
+    estimateMessagesTokens,
+    estimateTokens,
+    getUsageTotals,
+    recordUsage
+} from './usage.js';
+import { KEYSTORE_CONFIG, getApiKey, lockExpiredKeys } from './keystore.js';
+import { getActiveProfile, getProfiles } from './profiles.js';
+import { clearTabSelection, getTabSelection, saveTabSelection } from './selection.js';
+import { addConversationTurn, buildConversationMessages, getConversation, saveConversation, validateQuestion } from './conversation.js';
+import { deliverWebhook, getWebhookVariables, getWebhooks, sendToWebhook } from './webhooks.js';
+
+// Listen for summarization requests from popup over a long-lived port, so
+// progress and streamed text can be sent back as they arrive
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'summarize') return;
+
+    // Closing the popup or pressing Stop disconnects the port
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+
+    port.onMessage.addListener((request) => {
+        const callbacks = {
+            signal: controller.signal,
+            onRetry: retry => postToPort(port, { type: 'retry', retry }),
+            onDelta: text => postToPort(port, { type: 'delta', text })
+        };
+        let task;
+
+        if (request.action === 'summarizeText') {
+            task = handleSummarization(request.text, {
+                ...callbacks,
+                source: request.source,
+                template: request.template,
+                bypassCache: Boolean(request.regenerate),
+                onProgress: progress => postToPort(port, { type: 'progress', progress }),
+                onLanguage: language => postToPort(port, { type: 'language', language })
+            });
+        } else if (request.action === 'followUp') {
+            task = handleFollowUp(request.historyId, request.question, callbacks);
+        } else {
+            return;
+        }
+
+        task
+            .then(result => {
+                postToPort(port, { type: 'done', ...result });
             })
             .catch(error => {
-                sendResponse({
-                    success: false,
-                    error: formatErrorMessage(error)
-                });
+                if (!controller.signal.aborted) {
+                    postToPort(port, { type: 'error', error: formatErrorMessage(error) });
+                }
             });
-
-        return true; // Keep message channel open for async response
-    }
+    });
 });
 
 /**
- * Handles the text summarization process
- * @param {string} text - Text to summarize
- * @param {string} apiKey - OpenAI API key
- * @returns {Promise<string>} - Summary text
+ * Posts a message to a port that may already be disconnected
+ * @param {chrome.runtime.Port} port - Port to post to
+ * @param {Object} message - Message to send
  */
-async function handleSummarization(text, apiKey) {
-    // Validate inputs
-    if (!apiKey || !apiKey.startsWith('sk-')) {
-        throw new Error('Invalid API key');
+function postToPort(port, message) {
+    try {
+        port.postMessage(message);
+    } catch (error) {
+        // Popup was closed; nothing left to update
     }
+}
 
-    const validation = validateText(text);
-    if (!validation.valid) {
-        throw new Error(validation.error);
-    }
+// Requests started from the context menu, keyed by tab and frame, so closing
+// the overlay or starting a new request can abort the old one
+const overlayRequests = new Map();
 
-    // Sanitize text
-    const sanitizedText = sanitizeText(text);
+// Register the context menu entry on install and update
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.create({
+        id: 'summarizeSelection',
+        title: 'Summarize selection',
+        contexts: ['selection']
+    });
 
-    // Create prompt
-    const prompt = createSummaryPrompt(sanitizedText);
+    // Earlier versions kept one provider setup and key; the first read moves them into a profile
+    getProfiles().catch(error => console.error('Error migrating to profiles:', error));
 
-    // Call OpenAI API
-    try {
-        const summary = await callOpenAI(prompt, apiKey);
+    // Selections are now kept per tab in session storage
+    chrome.storage.local.remove(STORAGE_KEYS.SELECTED_TEXT).catch(error => console.error('Error removing old selection:', error));
+});
 
-        // Store last summary
-        await chrome.storage.local.set({
-            last_summary: summary,
-            last_summary_time: Date.now()
-        });
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === 'summarizeSelection' && tab?.id !== undefined) {
+        summarizeInOverlay(info.selectionText, tab, info.frameId || 0);
+    }
+});
 
-        return summary;
-    } catch (error) {
-        console.error('Summarization error:', error);
-        throw error;
+// Listen for messages from injected page scripts, and webhook sends from the
+// popup and options page, which may close before a delivery and its retries
+// are done. Sending from the worker also keeps every delivery log write in
+// one place, where they are queued
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'summaryOverlayClosed' && sender.tab) {
+        overlayRequests.get(`${sender.tab.id}:${sender.frameId}`)?.abort();
+    } else if (request.action === 'selectionChanged' && sender.tab) {
+        saveTabSelection(sender.tab.id, request.text, sender.url || sender.tab.url)
+            .catch(error => console.error('Error saving selection:', error));
+    } else if (request.action === 'sendWebhook' && isExtensionPage(sender)) {
+        // Only extension pages may send; content scripts share a tab with untrusted pages
+        sendWebhookForPage(request)
+            .then(sendResponse)
+            .catch(error => sendResponse({ status: 'failed', error: formatErrorMessage(error) }));
+        return true;
     }
+});
+
+/**
+ * Sends a webhook for an extension page: a saved one by id, or the one being
+ * edited on the options page, saved or not
+ * @param {Object} request - { webhookId, entry } from the popup, { webhookId, variables }
+ *   to retry a logged delivery, or { webhook, variables } to send a test
+ * @returns {Promise<Object>} - Delivery log record
+ */
+function sendWebhookForPage(request) {
+    const variables = request.variables || getWebhookVariables(request.entry);
+
+    return request.webhook ? deliverWebhook(request.webhook, variables) : sendToWebhook(request.webhookId, variables);
 }
 
 /**
- * Calls OpenAI API to generate summary
- * @param {string} prompt - Prompt for summarization
- * @param {string} apiKey - OpenAI API key
- * @returns {Promise<string>} - Summary text
+ * Whether a message comes from one of the extension's own pages, such as
+ * the popup, even when it is open in a tab
+ * @param {Object} sender - chrome.runtime.MessageSender
+ * @returns {boolean}
  */
-async function callOpenAI(prompt, apiKey) {
-    const API_ENDPOINT = 'https://api.openai.com/v1/chat/completions';
-
-    const requestBody = {
-        model: 'gpt-3.5-turbo',
-        messages: [
-            {
-                role: 'system',
-                content: 'You are a helpful assistant that creates concise summaries of text.'
-            },
-            {
-                role: 'user',
-                content: prompt
-            }
-        ],
-        max_tokens: 150,
-        temperature: 0.7
+function isExtensionPage(sender) {
+    return sender.id === chrome.runtime.id && Boolean(sender.url?.startsWith(chrome.runtime.getURL('')));
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    clearTabSelection(tabId).catch(error => console.error('Error clearing selection:', error));
+});
+
+// Passphrase-protected keys lock once their auto-lock time passes, read or not
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === KEYSTORE_CONFIG.LOCK_ALARM) {
+        lockExpiredKeys().catch(error => console.error('Error locking API keys:', error));
+    }
+});
+
+/**
+ * Summarizes text and shows the result in an overlay card on the page
+ * @param {string} text - Selected text
+ * @param {chrome.tabs.Tab} tab - Tab the text was selected in
+ * @param {number} frameId - Frame the text was selected in
+ */
+async function summarizeInOverlay(text, tab, frameId) {
+    const key = `${tab.id}:${frameId}`;
+    // Not awaited: a frame that never answers must not hold up the summary
+    const showState = (state) => {
+        chrome.tabs.sendMessage(tab.id, { action: 'showSummaryOverlay', state }, { frameId })
+            .catch(() => {
+                // Page navigated away or the frame is gone
+            });
     };
 
+    overlayRequests.get(key)?.abort();
+    const controller = new AbortController();
+    overlayRequests.set(key, controller);
+
     try {
-        const response = await fetch(API_ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify(requestBody)
+        // Pages opened before install have no content scripts; inject on demand
+        await chrome.scripting.executeScript({
+            target: { tabId: tab.id, frameIds: [frameId] },
+            files: ['src/overlay.js']
         });
+    } catch (error) {
+        // Restricted pages (chrome://, the Web Store) cannot be scripted
+        console.error('Error injecting summary overlay:', error);
+        overlayRequests.delete(key);
+        return;
+    }
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-
-            if (response.status === 401) {
-                throw new Error('Invalid API key. Please check your OpenAI API key.');
-            } else if (response.status === 429) {
-                throw new Error('Rate limit exceeded. Please try again later.');
-            } else if (response.status === 500) {
-                throw new Error('OpenAI service error. Please try again later.');
-            } else {
-                throw new Error(errorData.error?.message || `API error: ${response.status}`);
-            }
-        }
+    showState({ status: 'loading' });
 
-        const data = await response.json();
-        return parseApiResponse(data);
+    let streamed = '';
+    try {
+        const { summary } = await handleSummarization(text, {
+            source: { url: tab.url, title: tab.title },
+            signal: controller.signal,
+            onDelta: delta => {
+                streamed += delta;
+                showState({ status: 'streaming', summary: streamed });
+            }
+        });
 
+        showState({ status: 'done', summary });
     } catch (error) {
-        if (error.message.includes('Failed to fetch')) {
-            throw new Error('Network error. Please check your internet connection.');
+        if (!controller.signal.aborted) {
+            showState({ status: 'error', error: formatErrorMessage(error) });
+        }
+    } finally {
+        if (overlayRequests.get(key) === controller) {
+            overlayRequests.delete(key);
         }
-        throw error;
     }
 }
 
+// Keyboard shortcuts, configurable at chrome://extensions/shortcuts
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (command === 'summarize-selection') {
+        summarizeActiveSelection(tab);
+    } else if (command === 'copy-last-summary') {
+        copyLastSummary();
+    } else if (command === 'open-history') {
+        openHistory();
+    }
+});
+
 /**
- * Validates text for summarization
- * @param {string} text - Text to validate
- * @returns {Object} - { valid: boolean, error: string }
+ * Summarizes the active tab's selection in an overlay card
+ * @param {chrome.tabs.Tab} tab - Active tab, when provided by the command
  */
-function validateText(text) {
-    if (!text || typeof text !== 'string') {
-        return { valid: false, error: 'No text provided' };
+async function summarizeActiveSelection(tab) {
+    if (!tab) {
+        [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     }
+    if (!tab?.id) return;
+
+    await summarizeInOverlay(await getTabSelection(tab), tab, 0);
+}
 
-    const trimmedText = text.trim();
+/**
+ * Copies the most recent summary to the clipboard through an offscreen document
+ */
+async function copyLastSummary() {
+    const { [STORAGE_KEYS.LAST_SUMMARY]: summary } = await chrome.storage.local.get(STORAGE_KEYS.LAST_SUMMARY);
 
-    if (trimmedText.length < 10) {
-        return { valid: false, error: 'Selected text is too short. Please select at least 10 characters.' };
+    if (!summary) {
+        await flashBadge('!', '#f44336');
+        return;
     }
 
-    if (trimmedText.length > 10000) {
-        return { valid: false, error: 'Selected text is too long. Please select less than 10,000 characters.' };
+    try {
+        const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+        if (contexts.length === 0) {
+            await chrome.offscreen.createDocument({
+                url: 'offscreen.html',
+                reasons: ['CLIPBOARD'],
+                justification: 'Copy the most recent summary to the clipboard'
+            });
+        }
+
+        const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'copyToClipboard', text: summary });
+        await flashBadge(response?.success ? '✓' : '!', response?.success ? '#4caf50' : '#f44336');
+    } catch (error) {
+        console.error('Copy error:', error);
+        await flashBadge('!', '#f44336');
+    } finally {
+        await chrome.offscreen.closeDocument().catch(() => {});
     }
+}
+
+/**
+ * Opens the popup on its history view, or a tab when the popup cannot open
+ */
+async function openHistory() {
+    await chrome.action.setPopup({ popup: 'popup.html#history' });
 
-    return { valid: true, error: null };
+    try {
+        await chrome.action.openPopup();
+    } catch (error) {
+        // openPopup needs a focused browser window
+        await chrome.tabs.create({ url: chrome.runtime.getURL('popup.html#history') });
+    } finally {
+        await chrome.action.setPopup({ popup: 'popup.html' });
+    }
 }
 
 /**
- * Sanitizes text by removing excessive whitespace
- * @param {string} text - Text to sanitize
- * @returns {string}
+ * Briefly shows a badge on the toolbar icon as feedback for shortcuts
+ * @param {string} text - Badge text
+ * @param {string} color - Badge background color
  */
-function sanitizeText(text) {
-    if (!text) return '';
+async function flashBadge(text, color) {
+    await chrome.action.setBadgeBackgroundColor({ color });
+    await chrome.action.setBadgeText({ text });
 
-    return text
-        .trim()
-        .replace(/[^\S\n]+/g, ' ')
-        .replace(/\n{3,}/g, '\n\n');
+    setTimeout(() => {
+        chrome.action.setBadgeText({ text: '' });
+    }, 2000);
 }
 
 /**
- * Creates a prompt for text summarization
- * @param {string} text - Text to summarize
- * @returns {string}
+ * Reads the settings, profile and API key a provider request needs
+ * @returns {Promise<Object>} - { summarySettings, profile, settings, apiKey }
  */
-function createSummaryPrompt(text) {
-    return `Please provide a concise summary of the following text in 2-3 sentences:\n\n${text}`;
+async function getRequestContext() {
+    const summarySettings = resolveSummarySettings(await getFromStorage(STORAGE_KEYS.SUMMARY_SETTINGS));
+    const profile = await getActiveProfile();
+    const settings = resolveProviderSettings(profile, summarySettings);
+
+    // The key is read and decrypted here, so it never travels in messages
+    const apiKey = await getApiKey(profile.id);
+
+    if (!validateApiKey(apiKey, settings.provider)) {
+        throw new Error(ERROR_MESSAGES.NO_API_KEY);
+    }
+
+    return { summarySettings, profile, settings, apiKey };
 }
 
 /**
- * Parses OpenAI API response
- * @param {Object} response - API response object
- * @returns {string} - Extracted summary text
+ * Handles the text summarization process
+ * @param {string} text - Text to summarize
+ * @param {Object} options - { source: { url, title }, template, bypassCache, signal, onProgress, onLanguage, onRetry, onDelta }
+ * @returns {Promise<Object>} - { summary, template, structured, historyId, followUp, turns, usage, cached };
+ *   summary is plain text, structured holds the validated object for structured templates (null
+ *   otherwise), historyId identifies the summary for follow-up questions, followUp tells whether
+ *   questions can be asked and turns holds those already answered, usage totals the tokens and
+ *   cost of every request made (absent for cached results) and cached tells whether the result
+ *   came from the cache
  */
-function parseApiResponse(response) {
-    try {
-        if (!response || !response.choices || response.choices.length === 0) {
-            throw new Error('Invalid response from API');
-        }
+async function handleSummarization(text, options = {}) {
+    const { summarySettings, profile, settings, apiKey } = await getRequestContext();
+    const requestedTemplate = options.template || profile.template;
+    const promptTemplate = isPromptTemplateId(requestedTemplate)
+        ? (await getPromptTemplates()).find(item => item.id === requestedTemplate)
+        : null;
+    const templateId = promptTemplate ? promptTemplate.id : resolveOutputTemplate(requestedTemplate);
+    const template = OUTPUT_TEMPLATES[templateId] || {};
+
+    // Validate inputs
+    const validation = validateText(text);
+    if (!validation.valid) {
+        throw new Error(validation.error);
+    }
+
+    // Sanitize text
+    const sanitizedText = sanitizeText(text);
+    const finalSettings = { ...settings, maxTokens: Math.max(settings.maxTokens, template.MIN_TOKENS || 0) };
+
+    // Detected language is informational; the prompt asks for the target language
+    const sourceLanguage = await detectTextLanguage(sanitizedText);
+    options.onLanguage?.({
+        source: getLanguageName(sourceLanguage),
+        target: getLanguageName(summarySettings.language)
+    });
+
+    const variables = {
+        url: options.source?.url,
+        title: options.source?.title,
+        language: getLanguageName(summarySettings.language || navigator.language)
+    };
+    const createFinalPrompt = chunk => (promptTemplate
+        ? renderPromptTemplate(promptTemplate.prompt, { ...variables, text: chunk })
+        : createSummaryPrompt(chunk, summarySettings, templateId));
 
-        const summary = response.choices[0].message?.content;
+    // Fail before any request when a custom template needs a value this text lacks
+    if (promptTemplate) {
+        createFinalPrompt(sanitizedText);
+    }
 
-        if (!summary) {
-            throw new Error('Invalid response from API');
+    // Identical requests are answered from the cache unless regenerating
+    const cacheKey = await createCacheKey(sanitizedText, {
+        provider: settings.provider,
+        model: settings.model,
+        baseUrl: settings.baseUrl,
+        template: templateId,
+        customPrompt: promptTemplate?.prompt,
+        variables: promptTemplate ? variables : null,
+        length: summarySettings.length,
+        style: summarySettings.style,
+        language: summarySettings.language,
+        temperature: finalSettings.temperature,
+        maxTokens: finalSettings.maxTokens
+    });
+
+    if (!options.bypassCache) {
+        const cached = await getCachedSummary(cacheKey).catch(error => {
+            console.error('Error reading cache:', error);
+            return null;
+        });
+
+        if (cached) {
+            await chrome.storage.local.set({
+                last_summary: cached.summary,
+                last_summary_time: Date.now()
+            });
+
+            // Questions asked about the earlier summary carry on
+            const conversation = cached.historyId ? await getConversation(cached.historyId) : null;
+            return { ...cached, followUp: Boolean(conversation), turns: conversation?.turns || [], cached: true };
         }
+    }
+
+    // Cached results are free, so the spending caps only stop new requests
+    checkSpendingCap(await getUsageTotals(), summarySettings, settings);
+
+    // Tokens are counted as each response arrives, so a failed request still
+    // records what was spent on the chunks before it
+    let usage = null;
+
+    // Follow-up questions continue from the prompt that produced the summary
+    let finalPrompt = '';
+
+    // Call the provider, one request per chunk for long text
+    try {
+        // Only the request that produces the final summary uses the template and
+        // is streamed; structured output is shown once it has been validated
+        const content = await summarizeInChunks(
+            sanitizedText,
+            (chunk, { final }) => {
+                const prompt = final ? createFinalPrompt(chunk) : createSummaryPrompt(chunk, summarySettings);
+                if (final) {
+                    finalPrompt = prompt;
+                }
+
+                return callProvider(createMessages(prompt), apiKey, final ? finalSettings : settings, {
+                    signal: options.signal,
+                    onRetry: options.onRetry,
+                    onUsage: callUsage => {
+                        usage = addUsage(usage, callUsage, settings);
+                    },
+                    onDelta: final && !template.SHAPE ? options.onDelta : null
+                });
+            },
+            { onProgress: options.onProgress }
+        );
+
+        const parsed = parseSummaryContent(content, templateId);
+        const structured = template.SHAPE ? parsed : null;
+        const summary = formatSummaryText(parsed, templateId);
+
+        // Store last summary
+        await chrome.storage.local.set({
+            last_summary: summary,
+            last_summary_time: Date.now()
+        });
+
+        const entry = createHistoryEntry({ text: sanitizedText, summary, structured, template: templateId, source: options.source, settings, usage });
+        await saveToHistory(entry, summarySettings.historyLimit)
+            .catch(error => console.error('Error saving history:', error));
 
-        return summary.trim();
+        const result = { summary, template: templateId, structured, historyId: entry.id };
+        await saveToCache(cacheKey, result).catch(error => console.error('Error saving to cache:', error));
+
+        const followUp = await saveConversation(entry.id, { prompt: finalPrompt, summary, turns: [] })
+            .then(() => true)
+            .catch(error => {
+                console.error('Error saving conversation:', error);
+                return false;
+            });
+
+        // Cached results were sent when they were new
+        sendToAutoWebhooks(entry).catch(error => console.error('Error sending to webhooks:', error));
+
+        return { ...result, followUp, turns: [], usage, cached: false };
     } catch (error) {
-        console.error('Error parsing API response:', error);
-        throw new Error('Invalid response from API');
+        console.error('Summarization error:', error);
+        throw error;
+    } finally {
+        if (usage) {
+            await recordUsage(usage).catch(error => console.error('Error recording usage:', error));
+        }
+    }
+}
+
+/**
+ * Sends a new summary to every webhook set to receive them automatically.
+ * Deliveries go one at a time, so each is added to the log in turn.
+ * @param {Object} entry - History entry of the summary
+ * @returns {Promise<void>}
+ */
+async function sendToAutoWebhooks(entry) {
+    const webhooks = (await getWebhooks()).filter(webhook => webhook.auto);
+
+    for (const webhook of webhooks) {
+        await deliverWebhook(webhook, getWebhookVariables(entry));
     }
 }
 
 /**
- * Formats error messages for display
- * @param {Error|string} error - Error object or message
- * @returns {string}
+ * Answers a follow-up question about a summary
+ * @param {string} historyId - History entry id of the summary
+ * @param {string} question - Question typed by the user
+ * @param {Object} options - { signal, onRetry, onDelta }
+ * @returns {Promise<Object>} - { answer, turns, usage }; turns is the whole conversation so far
  */
-function formatErrorMessage(error) {
-    if (typeof error === 'string') {
-        return error;
+async function handleFollowUp(historyId, question, options = {}) {
+    const validation = validateQuestion(question);
+    if (!validation.valid) {
+        throw new Error(validation.error);
     }
 
-    if (error instanceof Error) {
-        return error.message || 'An error occurred while generating the summary.';
+    const conversation = await getConversation(historyId);
+    if (!conversation) {
+        throw new Error('This summary can no longer be discussed. Summarize the text again to ask about it.');
     }
 
-    return 'An error occurred while generating the summary.';
+    const { summarySettings, settings, apiKey } = await getRequestContext();
+    checkSpendingCap(await getUsageTotals(), summarySettings, settings);
+
+    let usage = null;
+    try {
+        const answer = await callProvider(buildConversationMessages(conversation, question.trim()), apiKey, settings, {
+            signal: options.signal,
+            onRetry: options.onRetry,
+            onUsage: callUsage => {
+                usage = addUsage(usage, callUsage, settings);
+            },
+            onDelta: options.onDelta
+        });
+
+        const updated = await addConversationTurn(historyId, conversation, {
+            question: question.trim(),
+            answer,
+            timestamp: Date.now()
+        });
+
+        return { answer, turns: updated.turns, usage };
+    } catch (error) {
+        console.error('Follow-up error:', error);
+        throw error;
+    } finally {
+        if (usage) {
+            await recordUsage(usage).catch(error => console.error('Error recording usage:', error));
+        }
+    }
+}
+
+/**
+ * Creates the chat messages for a single prompt
+ * @param {string} prompt - User prompt
+ * @returns {Array<Object>} - Chat messages ({ role, content })
+ */
+function createMessages(prompt) {
+    return [
+        {
+            role: 'system',
+            content: API_CONFIG.SYSTEM_PROMPT
+        },
+        {
+            role: 'user',
+            content: prompt
+        }
+    ];
+}
+
+/**
+ * Calls the configured LLM provider
+ * @param {Array<Object>} messages - Chat messages, from createMessages() or a follow-up conversation
+ * @param {string} apiKey - Provider API key
+ * @param {Object} settings - Resolved provider settings
+ * @param {Object} options - { signal, onRetry, onUsage, onDelta }; the response is streamed when
+ *   onDelta is set, and onUsage receives { inputTokens, outputTokens, estimated } once it completes
+ * @returns {Promise<string>} - Response text
+ */
+async function callProvider(messages, apiKey, settings, options = {}) {
+    const providerName = API_CONFIG.PROVIDERS[settings.provider].NAME;
+
+    // One deadline covers every attempt and the streamed response
+    const timeout = createTimeoutSignal(options.signal);
+
+    try {
+        const request = buildProviderRequest(messages, apiKey, settings, {
+            stream: Boolean(options.onDelta),
+            signal: timeout.signal
+        });
+        const response = await fetchWithRetry(request.url, request.options, {
+            onRetry: options.onRetry
+        });
+
+        if (!response.ok) {
+            throw await createProviderError(response, settings);
+        }
+
+        // Providers that do not report usage are counted with the estimate
+        const reportUsage = (reported, summary) => options.onUsage?.(reported
+            ? { ...reported, estimated: false }
+            : { inputTokens: estimateMessagesTokens(messages), outputTokens: estimateTokens(summary), estimated: true });
+
+        if (options.onDelta) {
+            let reported = null;
+            const summary = await readProviderStream(response, settings, options.onDelta, streamUsage => {
+                reported = streamUsage;
+            });
+            reportUsage(reported, summary);
+            return summary;
+        }
+
+        const data = await response.json();
+        const summary = parseProviderResponse(data, settings);
+        reportUsage(parseProviderUsage(data, settings), summary);
+        return summary;
+
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new Error(`${providerName} did not respond in time. Please try again later.`);
+        }
+        if (error.name === 'AbortError') {
+            throw new Error('Summary generation stopped.');
+        }
+        if (error.message.includes('Failed to fetch')) {
+            throw new Error('Network error. Please check your internet connection.');
+        }
+        throw error;
+    } finally {
+        timeout.clear();
+    }
 }
 
 console.log('Text Summarizer background service worker loaded');
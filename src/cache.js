@@ -0,0 +1,91 @@
+/**
+ * Summary Cache
+ * Remembers recent summaries in chrome.storage.local, keyed by a hash of the
+ * text and every setting that shapes the summary, so repeating a request
+ * returns instantly without a paid API call
+ */
+
+// Constants
+const CACHE_CONFIG = {
+    STORAGE_KEY: 'summary_cache',
+    TTL: 7 * 24 * 60 * 60 * 1000,  // Entries expire after a week
+    MAX_ENTRIES: 50,
+    MAX_BYTES: 1048576             // 1 MB, leaving the quota to history
+};
+
+/**
+ * Hashes a string with SHA-256
+ * @param {string} value - Value to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+async function sha256(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Creates the cache key for a request
+ * @param {string} text - Sanitized text
+ * @param {Object} params - Everything else that shapes the summary (provider,
+ *   model, template, length, style, language, ...)
+ * @returns {Promise<string>}
+ */
+async function createCacheKey(text, params) {
+    // Sorted keys, so the same settings always hash the same way
+    const sorted = Object.keys(params).sort().map(name => [name, params[name] ?? null]);
+    return sha256(JSON.stringify([text, sorted]));
+}
+
+/**
+ * Drops expired entries and keeps the newest within the entry and byte limits
+ * @param {Array<Object>} entries - Cache entries, newest first
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Object>}
+ */
+function pruneCache(entries, now = Date.now()) {
+    const encoder = new TextEncoder();
+    const pruned = entries
+        .filter(entry => now - entry.timestamp < CACHE_CONFIG.TTL)
+        .slice(0, CACHE_CONFIG.MAX_ENTRIES);
+
+    while (pruned.length > 0 && encoder.encode(JSON.stringify(pruned)).length > CACHE_CONFIG.MAX_BYTES) {
+        pruned.pop();
+    }
+
+    return pruned;
+}
+
+/**
+ * Gets a cached result that has not expired
+ * @param {string} key - Key from createCacheKey()
+ * @returns {Promise<Object|null>} - Cached result, or null on a miss
+ */
+async function getCachedSummary(key) {
+    const result = await chrome.storage.local.get(CACHE_CONFIG.STORAGE_KEY);
+    const entry = (result[CACHE_CONFIG.STORAGE_KEY] || []).find(item => item.key === key);
+
+    return entry && Date.now() - entry.timestamp < CACHE_CONFIG.TTL ? entry.result : null;
+}
+
+/**
+ * Caches a result, replacing any older entry for the same key
+ * @param {string} key - Key from createCacheKey()
+ * @param {Object} result - Result to cache
+ * @returns {Promise<void>}
+ */
+async function saveToCache(key, result) {
+    const stored = await chrome.storage.local.get(CACHE_CONFIG.STORAGE_KEY);
+    const entries = (stored[CACHE_CONFIG.STORAGE_KEY] || []).filter(item => item.key !== key);
+
+    await chrome.storage.local.set({
+        [CACHE_CONFIG.STORAGE_KEY]: pruneCache([{ key, result, timestamp: Date.now() }, ...entries])
+    });
+}
+
+export {
+    CACHE_CONFIG,
+    createCacheKey,
+    pruneCache,
+    getCachedSummary,
+    saveToCache
+};
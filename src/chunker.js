@@ -0,0 +1,127 @@
+/**
+ * Chunked summarization for long documents
+ * Splits oversized text into paragraph/sentence-aware chunks, summarizes each
+ * chunk, then summarizes the combined partial summaries (map-reduce)
+ */
+
+// Constants
+const CHUNK_CONFIG = {
+    CHUNK_SIZE: 6000,       // Maximum characters sent to the API in one request
+    MAX_REDUCE_PASSES: 3    // Guard against partial summaries that never shrink
+};
+
+/**
+ * Splits text into units no longer than maxLength, preferring paragraph
+ * boundaries, then sentence boundaries, then a hard cut
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum unit length
+ * @returns {Array<Object>} - [{ text: string, joiner: string }]
+ */
+function splitIntoUnits(text, maxLength) {
+    const units = [];
+
+    text.split(/\n{2,}/).forEach(paragraph => {
+        const trimmed = paragraph.trim();
+        if (!trimmed) return;
+
+        if (trimmed.length <= maxLength) {
+            units.push({ text: trimmed, joiner: '\n\n' });
+            return;
+        }
+
+        // Paragraph is too long, fall back to sentences
+        trimmed.split(/(?<=[.!?])\s+/).forEach((sentence, index) => {
+            const joiner = index === 0 ? '\n\n' : ' ';
+
+            // Sentence is still too long, cut it into fixed-size pieces
+            for (let start = 0; start < sentence.length; start += maxLength) {
+                units.push({
+                    text: sentence.substring(start, start + maxLength),
+                    joiner: start === 0 ? joiner : ''
+                });
+            }
+        });
+    });
+
+    return units;
+}
+
+/**
+ * Splits text into chunks that fit within a single API request
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum chunk length in characters
+ * @returns {string[]}
+ */
+function splitIntoChunks(text, maxLength = CHUNK_CONFIG.CHUNK_SIZE) {
+    if (!text) return [];
+
+    if (text.length <= maxLength) {
+        return [text];
+    }
+
+    const chunks = [];
+    let current = '';
+
+    splitIntoUnits(text, maxLength).forEach(unit => {
+        const candidate = current ? current + unit.joiner + unit.text : unit.text;
+
+        if (candidate.length > maxLength && current) {
+            chunks.push(current);
+            current = unit.text;
+        } else {
+            current = candidate;
+        }
+    });
+
+    if (current) {
+        chunks.push(current);
+    }
+
+    return chunks;
+}
+
+/**
+ * Summarizes text of any supported length. Short text is summarized in one
+ * call; long text is summarized chunk by chunk and the partial summaries are
+ * summarized again until a single summary remains.
+ * @param {string} text - Sanitized text to summarize
+ * @param {Function} summarize - async (text, { final }) => summary for a single
+ *   chunk; final is true for the request that produces the returned summary
+ * @param {Object} options - { chunkSize, onProgress }
+ * @returns {Promise<string>} - Final summary
+ */
+async function summarizeInChunks(text, summarize, options = {}) {
+    const chunkSize = options.chunkSize || CHUNK_CONFIG.CHUNK_SIZE;
+    const onProgress = options.onProgress || (() => {});
+
+    let current = text;
+
+    for (let pass = 1; pass <= CHUNK_CONFIG.MAX_REDUCE_PASSES; pass++) {
+        const chunks = splitIntoChunks(current, chunkSize);
+
+        if (chunks.length <= 1) {
+            if (pass > 1) {
+                onProgress({ stage: 'combine', pass });
+            }
+            return summarize(current, { final: true });
+        }
+
+        // Summarize sequentially to stay friendly to API rate limits
+        const partials = [];
+        for (let i = 0; i < chunks.length; i++) {
+            onProgress({ stage: 'chunk', completed: i, total: chunks.length, pass });
+            partials.push(await summarize(chunks[i], { final: false }));
+        }
+        onProgress({ stage: 'chunk', completed: chunks.length, total: chunks.length, pass });
+
+        current = partials.join('\n\n');
+    }
+
+    throw new Error('Text is too long to summarize. Please select a shorter passage.');
+}
+
+export {
+    CHUNK_CONFIG,
+    splitIntoChunks,
+    summarizeInChunks
+};
@@ -0,0 +1,137 @@
+/**
+ * Rich Copy
+ * Formats a summary for the clipboard as plain text, Markdown with a source
+ * link, HTML that keeps its lists and links when pasted into Docs or Slack,
+ * or the quoted source text followed by the summary
+ */
+
+import { escapeHtml, escapeMarkdown, getLinkUrl } from './export.js';
+
+// Lines starting with a bullet or a number are list items
+const LIST_ITEM_PATTERN = /^\s*(?:[•*-]|\d+[.)])\s+/;
+
+/**
+ * Splits a plain-text summary into paragraphs and lists
+ * @param {string} summary - Plain-text summary
+ * @returns {Array<Object>} - { type: 'paragraph', lines } and { type: 'list', items }
+ */
+function splitSummaryBlocks(summary) {
+    const blocks = [];
+
+    summary.split('\n').forEach(line => {
+        const last = blocks[blocks.length - 1];
+
+        if (!line.trim()) {
+            blocks.push(null);
+        } else if (LIST_ITEM_PATTERN.test(line)) {
+            const item = line.replace(LIST_ITEM_PATTERN, '');
+            if (last?.type === 'list') {
+                last.items.push(item);
+            } else {
+                blocks.push({ type: 'list', items: [item] });
+            }
+        } else if (last?.type === 'paragraph') {
+            last.lines.push(line);
+        } else {
+            blocks.push({ type: 'paragraph', lines: [line] });
+        }
+    });
+
+    // Blank lines only separate blocks
+    return blocks.filter(Boolean);
+}
+
+/**
+ * Converts a plain-text summary to Markdown, with real list items
+ * @param {string} summary - Plain-text summary
+ * @returns {string}
+ */
+function summaryToMarkdown(summary) {
+    return splitSummaryBlocks(summary)
+        .map(block => (block.type === 'list'
+            ? block.items.map(item => `- ${escapeMarkdown(item)}`).join('\n')
+            // Two trailing spaces keep the line breaks
+            : block.lines.map(escapeMarkdown).join('  \n')))
+        .join('\n\n');
+}
+
+/**
+ * Converts a plain-text summary to HTML paragraphs and lists
+ * @param {string} summary - Plain-text summary
+ * @returns {string}
+ */
+function summaryToHtml(summary) {
+    return splitSummaryBlocks(summary)
+        .map(block => (block.type === 'list'
+            ? `<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+            : `<p>${block.lines.map(escapeHtml).join('<br>')}</p>`))
+        .join('');
+}
+
+/**
+ * Formats a summary for the clipboard
+ * @param {Object} entry - History entry, or one from createHistoryEntry() for the summary on screen
+ * @param {string} format - Key of SUMMARY_OPTIONS.COPY_FORMATS
+ * @returns {Object} - { text, html }; html is null for formats copied as plain text only
+ */
+function formatCopy(entry, format) {
+    const summary = entry.summary || '';
+    const title = entry.title || entry.url || '';
+    const link = getLinkUrl(entry.url || '');
+
+    // Plain-text and HTML forms of the "Source:" footer
+    const sourceText = title ? `\n\nSource: ${title}${link && link !== title ? ` (${link})` : ''}` : '';
+    const sourceHtml = title
+        ? `<p>Source: ${link ? `<a href="${escapeHtml(link)}">${escapeHtml(title)}</a>` : escapeHtml(title)}</p>`
+        : '';
+
+    switch (format) {
+        case 'markdown': {
+            const source = link ? `[${escapeMarkdown(title)}](<${link.replace(/[<>\s]/g, encodeURIComponent)}>)` : escapeMarkdown(title);
+            return { text: `${summaryToMarkdown(summary)}${title ? `\n\nSource: ${source}` : ''}`, html: null };
+        }
+        case 'html':
+            return { text: `${summary}${sourceText}`, html: `${summaryToHtml(summary)}${sourceHtml}` };
+        case 'quote': {
+            const excerpt = entry.excerpt || '';
+            if (!excerpt) {
+                return { text: `${summary}${sourceText}`, html: `${summaryToHtml(summary)}${sourceHtml}` };
+            }
+            const quoted = excerpt.split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+            return {
+                text: `${quoted}\n\n${summary}${sourceText}`,
+                html: `<blockquote>${escapeHtml(excerpt).replace(/\n/g, '<br>')}</blockquote>${summaryToHtml(summary)}${sourceHtml}`
+            };
+        }
+        default:
+            return { text: summary, html: null };
+    }
+}
+
+/**
+ * Writes formatted text to the clipboard, as HTML with a plain-text
+ * alternative for apps that do not take HTML
+ * @param {Object} content - { text, html } from formatCopy()
+ * @returns {Promise<void>}
+ */
+async function writeToClipboard(content) {
+    if (content.html && typeof ClipboardItem !== 'undefined') {
+        await navigator.clipboard.write([
+            new ClipboardItem({
+                'text/html': new Blob([content.html], { type: 'text/html' }),
+                'text/plain': new Blob([content.text], { type: 'text/plain' })
+            })
+        ]);
+        return;
+    }
+
+    await navigator.clipboard.writeText(content.text);
+}
+
+export {
+    splitSummaryBlocks,
+    summaryToMarkdown,
+    summaryToHtml,
+    formatCopy,
+    writeToClipboard
+};
@@ -3,64 +3,86 @@
  * Handles text selection and communication with background script
  */
 
-let selectedText = '';
+// Injection may happen more than once per page; only set up the first time
+if (!globalThis.summaryContentLoaded) {
+    globalThis.summaryContentLoaded = true;
 
-/**
- * Captures text selection from the page
- */
-function captureTextSelection() {
-    const selection = window.getSelection();
-    const text = selection.toString().trim();
+    (() => {
+        let selectedText = '';
+
+        /**
+         * Captures text selection from the page
+         */
+        function captureTextSelection() {
+            const selection = window.getSelection();
+            const text = selection.toString().trim();
+
+            if (text && text !== selectedText) {
+                selectedText = text;
+                // The background worker keeps it per tab, for when the page has lost
+                // its selection by the time the popup opens
+                try {
+                    chrome.runtime.sendMessage({ action: 'selectionChanged', text }).catch(() => {});
+                    console.log('Text selected:', truncateText(text, 50));
+                } catch (error) {
+                    // The extension was reloaded and this script is orphaned
+                }
+            }
+        }
 
-    if (text) {
-        selectedText = text;
-        // Store selected text for popup to access
-        chrome.storage.local.set({ selected_text: text }, () => {
-            console.log('Text selected:', truncateText(text, 50));
+        /**
+         * Listen for text selection events
+         */
+        document.addEventListener('mouseup', () => {
+            // Small delay to ensure selection is complete
+            setTimeout(captureTextSelection, 100);
         });
-    }
-}
 
-/**
- * Listen for text selection events
- */
-document.addEventListener('mouseup', () => {
-    // Small delay to ensure selection is complete
-    setTimeout(captureTextSelection, 100);
-});
+        document.addEventListener('keyup', (event) => {
+            // Capture selection on keyboard shortcuts (Ctrl+A, Shift+Arrow, etc.)
+            if (event.shiftKey || event.ctrlKey || event.metaKey) {
+                setTimeout(captureTextSelection, 100);
+            }
+        });
 
-document.addEventListener('keyup', (event) => {
-    // Capture selection on keyboard shortcuts (Ctrl+A, Shift+Arrow, etc.)
-    if (event.shiftKey || event.ctrlKey || event.metaKey) {
-        setTimeout(captureTextSelection, 100);
-    }
-});
+        /**
+         * Listen for messages from popup or background script
+         */
+        chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+            if (request.action === 'getSelectedText') {
+                const selection = window.getSelection();
+                const text = selection.toString().trim();
 
-/**
- * Listen for messages from popup or background script
- */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'getSelectedText') {
-        const selection = window.getSelection();
-        const text = selection.toString().trim();
+                sendResponse({
+                    success: true,
+                    text: text || selectedText
+                });
+            } else if (request.action === 'extractArticle') {
+                try {
+                    sendResponse({
+                        success: true,
+                        article: extractArticle(document)
+                    });
+                } catch (error) {
+                    console.error('Error extracting article:', error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            }
 
-        sendResponse({
-            success: true,
-            text: text || selectedText
+            // Both answers are sent synchronously, so the message channel is not
+            // kept open; other actions are left to the overlay's listener
         });
-    }
 
-    return true; // Keep message channel open for async response
-});
+        /**
+         * Helper function to truncate text for logging
+         */
+        function truncateText(text, maxLength) {
+            if (!text || text.length <= maxLength) {
+                return text;
+            }
+            return text.substring(0, maxLength) + '...';
+        }
 
-/**
- * Helper function to truncate text for logging
- */
-function truncateText(text, maxLength) {
-    if (!text || text.length <= maxLength) {
-        return text;
-    }
-    return text.substring(0, maxLength) + '...';
+        console.log('Text Summarizer content script loaded');
+    })();
 }
-
-console.log('Text Summarizer content script loaded');
@@ -0,0 +1,140 @@
+/**
+ * Follow-up Conversations
+ * Questions about a summarized text are sent as one growing messages array:
+ * the system prompt, the prompt the summary was generated from (which holds
+ * the text), the summary, then each question and answer. The opening is kept
+ * in chrome.storage.session while the browser is open, and with the history
+ * entry once a question has been asked, so conversations can be resumed later.
+ */
+
+import { API_CONFIG } from './utils.js';
+import { getHistory, updateHistoryEntry } from './history.js';
+
+// Constants
+const CONVERSATION_CONFIG = {
+    KEY_PREFIX: 'conversation:',    // chrome.storage.session: { 'conversation:<historyId>': { prompt, summary, turns, savedAt } }
+    MAX_SESSION_CONVERSATIONS: 20,  // Older ones can still be resumed from their history entry once a question was asked
+    MAX_QUESTION_LENGTH: 2000,
+    MAX_TURNS: 10                   // Earlier turns stay in the transcript but are not sent
+};
+
+/**
+ * Validates a follow-up question
+ * @param {string} question - Question typed by the user
+ * @returns {Object} - { valid: boolean, error: string }
+ */
+function validateQuestion(question) {
+    const trimmed = typeof question === 'string' ? question.trim() : '';
+
+    if (!trimmed) {
+        return { valid: false, error: 'Please enter a question.' };
+    }
+
+    if (trimmed.length > CONVERSATION_CONFIG.MAX_QUESTION_LENGTH) {
+        return { valid: false, error: `Questions can be at most ${CONVERSATION_CONFIG.MAX_QUESTION_LENGTH} characters.` };
+    }
+
+    return { valid: true, error: '' };
+}
+
+/**
+ * Builds the chat messages for the next question
+ * @param {Object} conversation - { prompt, summary, turns }; turns are { question, answer, timestamp }
+ * @param {string} question - Next question
+ * @returns {Array<Object>} - Chat messages ({ role, content })
+ */
+function buildConversationMessages(conversation, question) {
+    const turns = conversation.turns.slice(-CONVERSATION_CONFIG.MAX_TURNS);
+
+    return [
+        { role: 'system', content: API_CONFIG.SYSTEM_PROMPT },
+        { role: 'user', content: conversation.prompt },
+        { role: 'assistant', content: conversation.summary },
+        ...turns.flatMap(turn => [
+            { role: 'user', content: turn.question },
+            { role: 'assistant', content: turn.answer }
+        ]),
+        { role: 'user', content: question }
+    ];
+}
+
+/**
+ * Keeps a conversation for this browser session, dropping the least
+ * recently saved beyond MAX_SESSION_CONVERSATIONS
+ * @param {string} historyId - History entry id of the summary
+ * @param {Object} conversation - { prompt, summary, turns }
+ * @returns {Promise<void>}
+ */
+async function saveConversation(historyId, conversation) {
+    await chrome.storage.session.set({
+        [`${CONVERSATION_CONFIG.KEY_PREFIX}${historyId}`]: { ...conversation, savedAt: Date.now() }
+    });
+
+    const stored = await chrome.storage.session.get(null);
+    const stale = Object.keys(stored)
+        .filter(key => key.startsWith(CONVERSATION_CONFIG.KEY_PREFIX))
+        .sort((a, b) => (stored[b].savedAt || 0) - (stored[a].savedAt || 0))
+        .slice(CONVERSATION_CONFIG.MAX_SESSION_CONVERSATIONS);
+
+    if (stale.length > 0) {
+        await chrome.storage.session.remove(stale);
+    }
+}
+
+/**
+ * Forgets a conversation kept for this session, e.g. when its history entry is deleted
+ * @param {string} historyId - History entry id of the summary
+ * @returns {Promise<void>}
+ */
+async function deleteConversation(historyId) {
+    await chrome.storage.session.remove(`${CONVERSATION_CONFIG.KEY_PREFIX}${historyId}`);
+}
+
+/**
+ * Gets a conversation from this session, or from the history entry once
+ * the browser has been restarted
+ * @param {string} historyId - History entry id of the summary
+ * @returns {Promise<Object|null>} - { prompt, summary, turns }, or null when it cannot be continued
+ */
+async function getConversation(historyId) {
+    const key = `${CONVERSATION_CONFIG.KEY_PREFIX}${historyId}`;
+    const stored = (await chrome.storage.session.get(key))[key];
+
+    if (stored) {
+        return stored;
+    }
+
+    const entry = (await getHistory()).find(item => item.id === historyId);
+    if (!entry?.conversation?.prompt) {
+        return null;
+    }
+
+    return { prompt: entry.conversation.prompt, summary: entry.summary, turns: entry.conversation.turns || [] };
+}
+
+/**
+ * Adds an answered question to a conversation and saves it with the session
+ * and the history entry
+ * @param {string} historyId - History entry id of the summary
+ * @param {Object} conversation - { prompt, summary, turns }
+ * @param {Object} turn - { question, answer, timestamp }
+ * @returns {Promise<Object>} - The updated conversation
+ */
+async function addConversationTurn(historyId, conversation, turn) {
+    const updated = { ...conversation, turns: [...conversation.turns, turn] };
+
+    await saveConversation(historyId, updated);
+    await updateHistoryEntry(historyId, { conversation: { prompt: updated.prompt, turns: updated.turns } });
+
+    return updated;
+}
+
+export {
+    CONVERSATION_CONFIG,
+    validateQuestion,
+    buildConversationMessages,
+    saveConversation,
+    deleteConversation,
+    getConversation,
+    addConversationTurn
+};
@@ -0,0 +1,311 @@
+/**
+ * Summary Export
+ * Serializes summaries (history entries, or the one on screen) to Markdown,
+ * JSON, standalone HTML, CSV or plain text, and downloads the file with
+ * chrome.downloads
+ */
+
+// Constants
+const EXPORT_CONFIG = {
+    VERSION: 1,
+    FORMATS: {
+        markdown: { NAME: 'Markdown', EXTENSION: 'md', MIME_TYPE: 'text/markdown' },
+        json: { NAME: 'JSON', EXTENSION: 'json', MIME_TYPE: 'application/json' },
+        html: { NAME: 'HTML', EXTENSION: 'html', MIME_TYPE: 'text/html' },
+        csv: { NAME: 'CSV', EXTENSION: 'csv', MIME_TYPE: 'text/csv' },
+        text: { NAME: 'Plain text', EXTENSION: 'txt', MIME_TYPE: 'text/plain' }
+    },
+    CSV_COLUMNS: ['date', 'title', 'url', 'provider', 'model', 'template', 'summary', 'excerpt'],
+    MAX_FILENAME_LENGTH: 60
+};
+
+// Spreadsheets run cells starting with these as formulas
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r']/;
+
+/**
+ * Creates the exported form of a history entry
+ * @param {Object} entry - History entry, or one from createHistoryEntry() for the summary on screen
+ * @returns {Object} - { title, url, date, provider, model, template, summary, excerpt, structured, questions }
+ */
+function createExportRecord(entry) {
+    return {
+        title: entry.title || '',
+        url: entry.url || '',
+        date: new Date(entry.timestamp || Date.now()).toISOString(),
+        provider: entry.provider || '',
+        model: entry.model || '',
+        template: entry.template || '',
+        summary: entry.summary || '',
+        excerpt: entry.excerpt || '',
+        structured: entry.structured || null,
+        questions: (entry.conversation?.turns || []).map(({ question, answer }) => ({ question, answer }))
+    };
+}
+
+/**
+ * Escapes text for HTML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+    return String(text).replace(/[&<>"']/g, char => entities[char]);
+}
+
+/**
+ * Escapes characters Markdown would read as formatting or inline HTML
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return String(text)
+        .replace(/[\\`*_[\]<>#|]/g, '\\$&')
+        // A leading "1." or "-" would start a list
+        .replace(/^(\s*)(\d+)\.(?=\s)/gm, '$1$2\\.')
+        .replace(/^(\s*)([-+])(?=\s)/gm, '$1\\$2');
+}
+
+/**
+ * Escapes a CSV field: fields with commas, quotes or line breaks are quoted,
+ * and fields a spreadsheet would run as a formula get a leading apostrophe
+ * @param {string} value - Field value
+ * @returns {string}
+ */
+function escapeCsvField(value) {
+    let field = String(value ?? '');
+
+    if (CSV_FORMULA_PATTERN.test(field)) {
+        field = `'${field}`;
+    }
+
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Gets a URL that is safe to link to: only web pages are linked
+ * @param {string} url - Page URL
+ * @returns {string} - The URL, or '' when it should not be a link
+ */
+function getLinkUrl(url) {
+    return /^https?:\/\//i.test(url) ? url : '';
+}
+
+/**
+ * Serializes records as Markdown, each with its source link and a quoted excerpt
+ * @param {Array<Object>} records - From createExportRecord()
+ * @returns {string}
+ */
+function toMarkdown(records) {
+    const sections = records.map(record => {
+        const title = escapeMarkdown(record.title || record.url || 'Untitled');
+        const link = getLinkUrl(record.url);
+        const lines = [
+            link ? `## [${title}](<${link.replace(/[<>\s]/g, encodeURIComponent)}>)` : `## ${title}`,
+            '',
+            `*${[record.date.slice(0, 10), record.model].filter(Boolean).join(' · ')}*`,
+            ''
+        ];
+
+        if (record.excerpt) {
+            lines.push(...escapeMarkdown(record.excerpt).split('\n').map(line => `> ${line}`.trimEnd()), '');
+        }
+
+        // Two trailing spaces keep the summary's line breaks
+        lines.push(escapeMarkdown(record.summary).split('\n').join('  \n'));
+
+        if (record.questions.length > 0) {
+            lines.push('', '### Follow-up questions');
+            record.questions.forEach(({ question, answer }) => {
+                lines.push('', `**Q:** ${escapeMarkdown(question)}`, '', `**A:** ${escapeMarkdown(answer).split('\n').join('  \n')}`);
+            });
+        }
+
+        return lines.join('\n');
+    });
+
+    return `# Summaries\n\n${sections.join('\n\n---\n\n')}\n`;
+}
+
+/**
+ * Serializes records as JSON
+ * @param {Array<Object>} records - From createExportRecord()
+ * @returns {string}
+ */
+function toJson(records) {
+    return JSON.stringify({ version: EXPORT_CONFIG.VERSION, summaries: records }, null, 2);
+}
+
+/**
+ * Serializes records as a standalone HTML page
+ * @param {Array<Object>} records - From createExportRecord()
+ * @returns {string}
+ */
+function toHtml(records) {
+    const articles = records.map(record => {
+        const title = escapeHtml(record.title || record.url || 'Untitled');
+        const link = getLinkUrl(record.url);
+        const heading = link ? `<a href="${escapeHtml(link)}">${title}</a>` : title;
+        const meta = [record.date.slice(0, 10), record.model].filter(Boolean).map(escapeHtml).join(' · ');
+        const questions = record.questions.map(({ question, answer }) => (
+            `      <dt>${escapeHtml(question)}</dt>\n      <dd>${escapeHtml(answer)}</dd>`
+        ));
+
+        return [
+            '  <article>',
+            `    <h2>${heading}</h2>`,
+            `    <p class="meta">${meta}</p>`,
+            record.excerpt ? `    <blockquote>${escapeHtml(record.excerpt)}</blockquote>` : '',
+            `    <div class="summary">${escapeHtml(record.summary)}</div>`,
+            questions.length > 0 ? `    <h3>Follow-up questions</h3>\n    <dl>\n${questions.join('\n')}\n    </dl>` : '',
+            '  </article>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Summaries</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 720px; margin: 40px auto; padding: 0 20px; color: #333; line-height: 1.6; }
+    article { border-bottom: 1px solid #e0e0e0; padding-bottom: 24px; margin-bottom: 24px; }
+    h2 a { color: #667eea; }
+    .meta { color: #999; font-size: 13px; }
+    blockquote { margin: 0 0 12px; padding-left: 12px; border-left: 3px solid #e0e0e0; color: #666; white-space: pre-wrap; }
+    .summary, dd { white-space: pre-wrap; }
+    dt { font-weight: 600; margin-top: 8px; }
+  </style>
+</head>
+<body>
+  <h1>Summaries</h1>
+${articles.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Serializes records as CSV, one row per summary
+ * @param {Array<Object>} records - From createExportRecord()
+ * @returns {string}
+ */
+function toCsv(records) {
+    const rows = [
+        EXPORT_CONFIG.CSV_COLUMNS,
+        ...records.map(record => EXPORT_CONFIG.CSV_COLUMNS.map(column => record[column]))
+    ];
+
+    return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Serializes records as plain text
+ * @param {Array<Object>} records - From createExportRecord()
+ * @returns {string}
+ */
+function toText(records) {
+    const sections = records.map(record => {
+        const lines = [
+            record.title || record.url || 'Untitled',
+            record.title ? record.url : '',
+            [record.date.slice(0, 10), record.model].filter(Boolean).join(' · ')
+        ].filter(Boolean);
+
+        lines.push('', record.summary);
+
+        record.questions.forEach(({ question, answer }) => {
+            lines.push('', `Q: ${question}`, `A: ${answer}`);
+        });
+
+        return lines.join('\n');
+    });
+
+    return sections.join('\n\n' + '-'.repeat(40) + '\n\n') + '\n';
+}
+
+const SERIALIZERS = { markdown: toMarkdown, json: toJson, html: toHtml, csv: toCsv, text: toText };
+
+/**
+ * Serializes summaries in one of the export formats
+ * @param {Array<Object>} entries - History entries
+ * @param {string} format - Key of EXPORT_CONFIG.FORMATS
+ * @returns {string}
+ * @throws {Error} - On unknown formats
+ */
+function serializeSummaries(entries, format) {
+    if (!SERIALIZERS[format]) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    return SERIALIZERS[format](entries.map(createExportRecord));
+}
+
+/**
+ * Creates the file name for an export: the page title for a single summary,
+ * the date for a set
+ * @param {Array<Object>} entries - History entries being exported
+ * @param {string} format - Key of EXPORT_CONFIG.FORMATS
+ * @returns {string}
+ */
+function createExportFilename(entries, format) {
+    const slug = entries.length === 1
+        ? (entries[0].title || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, EXPORT_CONFIG.MAX_FILENAME_LENGTH)
+            .replace(/-+$/, '')
+        : '';
+    const name = entries.length === 1
+        ? `summary${slug ? `-${slug}` : ''}`
+        : `summaries-${new Date().toISOString().slice(0, 10)}`;
+
+    return `${name}.${EXPORT_CONFIG.FORMATS[format].EXTENSION}`;
+}
+
+/**
+ * Encodes a file as a data: URL. Unlike a blob: URL it stays valid if the
+ * popup closes before the download starts, e.g. behind a save dialog.
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type
+ * @returns {string}
+ */
+function createDataUrl(content, mimeType) {
+    const bytes = new TextEncoder().encode(content);
+    let binary = '';
+
+    // In slices, as spreading a large array overflows the call stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+
+    return `data:${mimeType};charset=utf-8;base64,${btoa(binary)}`;
+}
+
+/**
+ * Downloads summaries as a file
+ * @param {Array<Object>} entries - History entries
+ * @param {string} format - Key of EXPORT_CONFIG.FORMATS
+ * @returns {Promise<number>} - Download id
+ */
+async function downloadSummaries(entries, format) {
+    const content = serializeSummaries(entries, format);
+
+    return chrome.downloads.download({
+        url: createDataUrl(content, EXPORT_CONFIG.FORMATS[format].MIME_TYPE),
+        filename: createExportFilename(entries, format)
+    });
+}
+
+export {
+    EXPORT_CONFIG,
+    createExportRecord,
+    escapeHtml,
+    escapeMarkdown,
+    escapeCsvField,
+    getLinkUrl,
+    serializeSummaries,
+    createExportFilename,
+    createDataUrl,
+    downloadSummaries
+};
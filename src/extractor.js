@@ -0,0 +1,237 @@
+/**
+ * Article Extractor - Runs on all web pages (before content.js)
+ * Finds the main article body with a Readability-style heuristic: strip page
+ * chrome (nav, ads, footers, comments), score blocks by paragraph text, and
+ * keep the best-scoring container. Content scripts cannot be ES modules, so
+ * this stays a classic script.
+ */
+
+// Injection may happen more than once per page; only set up the first time
+if (!globalThis.summaryExtractorLoaded) {
+    globalThis.summaryExtractorLoaded = true;
+
+    (() => {
+        // Constants
+        const EXTRACTOR_CONFIG = {
+            // Never part of the article
+            REMOVE_SELECTOR: [
+                'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'button',
+                'input', 'select', 'textarea', 'nav', 'aside', 'footer', 'dialog',
+                '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+                '[role="dialog"]', '[role="search"]', '[aria-hidden="true"]', '[hidden]'
+            ].join(', '),
+            // Forms with less text than this are search, login or sign-up boxes; larger
+            // ones, such as the form ASP.NET wraps around every page, are kept
+            MAX_FORM_TEXT_LENGTH: 200,
+            UNLIKELY_PATTERN: /\b(ad|advert|banner|breadcrumb|cookie|footer|masthead|menu|modal|nav|newsletter|outbrain|pagination|popup|promo|related|share|sharing|sidebar|social|sponsor|subscribe|taboola|tag|widget)s?\b/i,
+            LIKELY_PATTERN: /article|body|content|entry|main|post|story|text/i,
+            COMMENTS_PATTERN: /comment|disqus/i,  // Removed even when named like content ("comment-body")
+            BLOCK_SELECTOR: 'p, pre, blockquote, li, h1, h2, h3, h4, h5, h6, td',
+            SCORED_SELECTOR: 'p, pre, blockquote, td',
+            MIN_PARAGRAPH_LENGTH: 25,
+            MAX_LINK_DENSITY: 0.5
+        };
+
+        /**
+         * Collapses whitespace in an element's text
+         * @param {Node} node - DOM node
+         * @returns {string}
+         */
+        function getNodeText(node) {
+            return (node.textContent || '').replace(/\s+/g, ' ').trim();
+        }
+
+        /**
+         * Gets the share of an element's text that sits inside links
+         * @param {Element} element - DOM element
+         * @returns {number} - 0 to 1
+         */
+        function getLinkDensity(element) {
+            const textLength = getNodeText(element).length;
+
+            if (textLength === 0) {
+                return 0;
+            }
+
+            const linkLength = Array.from(element.querySelectorAll('a'))
+                .reduce((total, link) => total + getNodeText(link).length, 0);
+
+            return linkLength / textLength;
+        }
+
+        /**
+         * Removes page chrome and unlikely containers from a detached copy of the body
+         * @param {Element} root - Cloned body element (modified in place)
+         */
+        function removeClutter(root) {
+            root.querySelectorAll(EXTRACTOR_CONFIG.REMOVE_SELECTOR).forEach(element => element.remove());
+
+            root.querySelectorAll('form').forEach(form => {
+                if (root.contains(form) && getNodeText(form).length < EXTRACTOR_CONFIG.MAX_FORM_TEXT_LENGTH) {
+                    form.remove();
+                }
+            });
+
+            root.querySelectorAll('[class], [id]').forEach(element => {
+                // Already removed along with an ancestor
+                if (!root.contains(element)) return;
+
+                const signature = `${element.getAttribute('class') || ''} ${element.id}`;
+                const isArticle = element.tagName === 'ARTICLE' || element.tagName === 'MAIN';
+                const isUnlikely = EXTRACTOR_CONFIG.UNLIKELY_PATTERN.test(signature) &&
+                    !EXTRACTOR_CONFIG.LIKELY_PATTERN.test(signature);
+
+                if (!isArticle && (isUnlikely || EXTRACTOR_CONFIG.COMMENTS_PATTERN.test(signature))) {
+                    element.remove();
+                }
+            });
+
+            // Site headers are clutter, but headers inside the article hold its title
+            root.querySelectorAll('header').forEach(header => {
+                if (!header.closest('article, main')) {
+                    header.remove();
+                }
+            });
+        }
+
+        /**
+         * Finds the element most likely to hold the article body
+         * @param {Element} root - Cleaned body element
+         * @returns {Element}
+         */
+        function findArticleRoot(root) {
+            const scores = new Map();
+            const addScore = (element, score) => {
+                if (element) {
+                    scores.set(element, (scores.get(element) || 0) + score);
+                }
+            };
+
+            root.querySelectorAll(EXTRACTOR_CONFIG.SCORED_SELECTOR).forEach(paragraph => {
+                const text = getNodeText(paragraph);
+                if (text.length < EXTRACTOR_CONFIG.MIN_PARAGRAPH_LENGTH) return;
+
+                // Longer, comma-rich paragraphs read like prose
+                const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+
+                addScore(paragraph.parentElement, score);
+                addScore(paragraph.parentElement?.parentElement, score / 2);
+            });
+
+            let best = null;
+            let bestScore = 0;
+
+            scores.forEach((score, element) => {
+                let adjusted = score * (1 - getLinkDensity(element));
+
+                if (element.tagName === 'ARTICLE' || element.tagName === 'MAIN') {
+                    adjusted *= 1.25;
+                }
+
+                if (adjusted > bestScore) {
+                    best = element;
+                    bestScore = adjusted;
+                }
+            });
+
+            return best || root;
+        }
+
+        /**
+         * Collects readable text from an article container, one block per paragraph
+         * @param {Element} container - Article container
+         * @returns {string}
+         */
+        function collectArticleText(container) {
+            const blocks = [];
+
+            container.querySelectorAll(EXTRACTOR_CONFIG.BLOCK_SELECTOR).forEach(block => {
+                // Nested blocks (a p inside a blockquote) are read with their parent
+                const parentBlock = block.parentElement?.closest(EXTRACTOR_CONFIG.BLOCK_SELECTOR);
+                if (parentBlock && container.contains(parentBlock)) {
+                    return;
+                }
+
+                const text = getNodeText(block);
+                if (text && getLinkDensity(block) <= EXTRACTOR_CONFIG.MAX_LINK_DENSITY) {
+                    blocks.push(text);
+                }
+            });
+
+            return blocks.length > 0 ? blocks.join('\n\n') : getNodeText(container);
+        }
+
+        /**
+         * Reads a meta tag's content
+         * @param {Document} doc - Page document
+         * @param {string[]} selectors - Meta selectors in order of preference
+         * @returns {string}
+         */
+        function getMetaContent(doc, selectors) {
+            for (const selector of selectors) {
+                const content = doc.querySelector(selector)?.getAttribute('content');
+                if (content && content.trim()) {
+                    return content.trim();
+                }
+            }
+            return '';
+        }
+
+        /**
+         * Extracts article title and byline metadata
+         * @param {Document} doc - Page document
+         * @param {Element} articleRoot - Article container
+         * @returns {Object} - { title, byline, siteName, publishedTime }
+         */
+        function extractMetadata(doc, articleRoot) {
+            const siteName = getMetaContent(doc, ['meta[property="og:site_name"]', 'meta[name="application-name"]']);
+
+            // Page titles often end in " | Site Name" or " - Site Name"
+            const documentTitle = (doc.title || '').replace(/\s+[|\-–—]\s+[^|\-–—]+$/, '').trim();
+            const heading = articleRoot.querySelector('h1') || doc.querySelector('h1');
+            const title = getMetaContent(doc, ['meta[property="og:title"]', 'meta[name="twitter:title"]']) ||
+                (heading ? getNodeText(heading) : '') ||
+                documentTitle;
+
+            const bylineElement = doc.querySelector('[rel="author"], [itemprop="author"], .byline, .author');
+            const byline = getMetaContent(doc, ['meta[name="author"]', 'meta[property="article:author"]']) ||
+                (bylineElement ? getNodeText(bylineElement).replace(/^by\s+/i, '') : '');
+
+            return {
+                title,
+                byline,
+                siteName,
+                publishedTime: getMetaContent(doc, ['meta[property="article:published_time"]', 'meta[itemprop="datePublished"]'])
+            };
+        }
+
+        /**
+         * Extracts the main article from a page
+         * @param {Document} doc - Page document (left untouched)
+         * @returns {Object} - { title, byline, siteName, publishedTime, url, text }
+         */
+        function extractArticle(doc) {
+            const root = doc.body.cloneNode(true);
+            removeClutter(root);
+
+            const articleRoot = findArticleRoot(root);
+
+            return {
+                ...extractMetadata(doc, articleRoot),
+                url: doc.location?.href || '',
+                text: collectArticleText(articleRoot)
+            };
+        }
+
+        // content.js calls it from the page's global scope
+        globalThis.extractArticle = extractArticle;
+
+        // Export for the tests, which load this file in Node
+        if (typeof module !== 'undefined' && module.exports) {
+            module.exports = {
+                EXTRACTOR_CONFIG,
+                extractArticle
+            };
+        }
+    })();
+}
@@ -0,0 +1,173 @@
+/**
+ * Summary History
+ * Persists generated summaries in chrome.storage.local with a retention
+ * limit and quota-aware eviction of the oldest entries
+ */
+
+import { DEFAULT_TEMPLATE, truncateText } from './utils.js';
+
+// Constants
+const HISTORY_CONFIG = {
+    STORAGE_KEY: 'summary_history',
+    EXCERPT_LENGTH: 500,       // Characters of the original text kept per entry
+    QUOTA_BYTES: 10485760,     // chrome.storage.local default quota (10 MB)
+    QUOTA_HEADROOM: 0.9        // Share of the quota history may fill
+};
+
+/**
+ * Creates a history entry for a generated summary
+ * @param {Object} details - { text, summary, structured, template, source: { url, title }, settings, usage }
+ * @returns {Object} - History entry
+ */
+function createHistoryEntry({ text, summary, structured = null, template = DEFAULT_TEMPLATE, source = {}, settings = {}, usage = null }) {
+    return {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        url: source.url || '',
+        title: source.title || '',
+        excerpt: truncateText(text, HISTORY_CONFIG.EXCERPT_LENGTH),
+        summary,
+        template,
+        structured,  // Kept so re-opened entries render as lists
+        provider: settings.provider || '',
+        model: settings.model || '',
+        usage,  // { inputTokens, outputTokens, estimated, cost }, or null
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * Adds an entry to the front of the history, enforcing the retention limit
+ * @param {Array<Object>} entries - Existing entries, newest first
+ * @param {Object} entry - Entry to add
+ * @param {number} limit - Maximum number of entries to keep
+ * @returns {Array<Object>}
+ */
+function addToHistory(entries, entry, limit) {
+    return [entry, ...entries].slice(0, Math.max(0, limit));
+}
+
+/**
+ * Finds entries matching every word of a query in their title, URL,
+ * excerpt, summary or follow-up questions and answers
+ * @param {Array<Object>} entries - History entries
+ * @param {string} query - Search query
+ * @returns {Array<Object>}
+ */
+function searchHistory(entries, query) {
+    const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (terms.length === 0) {
+        return entries;
+    }
+
+    return entries.filter(entry => {
+        const turns = (entry.conversation?.turns || []).flatMap(turn => [turn.question, turn.answer]);
+        const haystack = [entry.title, entry.url, entry.excerpt, entry.summary, ...turns].join('\n').toLowerCase();
+        return terms.every(term => haystack.includes(term));
+    });
+}
+
+/**
+ * Drops the oldest entries until the serialized history fits in maxBytes
+ * @param {Array<Object>} entries - Entries, newest first
+ * @param {number} maxBytes - Byte budget
+ * @returns {Array<Object>}
+ */
+function fitHistoryToQuota(entries, maxBytes) {
+    const encoder = new TextEncoder();
+    const fitted = entries.slice();
+
+    while (fitted.length > 0 && encoder.encode(JSON.stringify(fitted)).length > maxBytes) {
+        fitted.pop();
+    }
+
+    return fitted;
+}
+
+/**
+ * Gets all history entries, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+async function getHistory() {
+    const result = await chrome.storage.local.get(HISTORY_CONFIG.STORAGE_KEY);
+    return result[HISTORY_CONFIG.STORAGE_KEY] || [];
+}
+
+/**
+ * Writes the history, dropping the oldest entries that do not fit the storage quota
+ * @param {Array<Object>} entries - Entries, newest first
+ * @returns {Promise<void>}
+ */
+async function writeHistory(entries) {
+    const storage = chrome.storage.local;
+
+    // Budget is what the quota leaves after every other stored key
+    const totalBytes = await storage.getBytesInUse(null);
+    const historyBytes = await storage.getBytesInUse(HISTORY_CONFIG.STORAGE_KEY);
+    const quota = (storage.QUOTA_BYTES || HISTORY_CONFIG.QUOTA_BYTES) * HISTORY_CONFIG.QUOTA_HEADROOM;
+    const fitted = fitHistoryToQuota(entries, quota - (totalBytes - historyBytes));
+
+    try {
+        await storage.set({ [HISTORY_CONFIG.STORAGE_KEY]: fitted });
+    } catch (error) {
+        // Estimate was off; keep the newer half and try once more
+        console.error('Error saving history, evicting older entries:', error);
+        await storage.set({ [HISTORY_CONFIG.STORAGE_KEY]: fitted.slice(0, Math.ceil(fitted.length / 2)) });
+    }
+}
+
+/**
+ * Saves an entry to history within the retention limit and storage quota
+ * @param {Object} entry - Entry from createHistoryEntry()
+ * @param {number} limit - Maximum number of entries to keep (0 disables history)
+ * @returns {Promise<void>}
+ */
+async function saveToHistory(entry, limit) {
+    if (limit <= 0) {
+        return;
+    }
+
+    await writeHistory(addToHistory(await getHistory(), entry, limit));
+}
+
+/**
+ * Updates fields of a saved entry, such as its follow-up conversation
+ * @param {string} id - Entry id
+ * @param {Object} changes - Fields to replace
+ * @returns {Promise<boolean>} - Whether the entry was found
+ */
+async function updateHistoryEntry(id, changes) {
+    const entries = await getHistory();
+
+    if (!entries.some(entry => entry.id === id)) {
+        return false;
+    }
+
+    await writeHistory(entries.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+    return true;
+}
+
+/**
+ * Deletes a history entry
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+async function deleteFromHistory(id) {
+    const entries = await getHistory();
+
+    await chrome.storage.local.set({
+        [HISTORY_CONFIG.STORAGE_KEY]: entries.filter(entry => entry.id !== id)
+    });
+}
+
+export {
+    HISTORY_CONFIG,
+    createHistoryEntry,
+    addToHistory,
+    searchHistory,
+    fitHistoryToQuota,
+    getHistory,
+    saveToHistory,
+    updateHistoryEntry,
+    deleteFromHistory
+};
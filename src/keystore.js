@@ -0,0 +1,373 @@
+/**
+ * API Key Store
+ * Keeps each profile's API key in chrome.storage.local, never in sync storage.
+ * With a passphrase it is encrypted with AES-GCM under a key derived from it
+ * (PBKDF2) and the decrypted key is held in chrome.storage.session until it
+ * auto-locks. Without one a random device key stored alongside is used, which
+ * only obfuscates it: anyone who can read the profile's storage can decrypt it.
+ */
+
+import { ERROR_MESSAGES, STORAGE_KEYS, getFromStorage, removeFromStorage, resolveSummarySettings } from './utils.js';
+
+// Constants
+const KEYSTORE_CONFIG = {
+    STORAGE_KEY: 'api_key_vaults',      // chrome.storage.local: { [profileId]: vault }
+    SESSION_KEY: 'api_keys_unlocked',   // chrome.storage.session: { [profileId]: { apiKey, expiresAt } }
+    LOCK_ALARM: 'api-key-auto-lock',    // chrome.alarms alarm for the first unlocked key to expire
+    LEGACY_STORAGE_KEY: 'api_key_vault', // Single vault saved before profiles
+    VERSION: 1,
+    PBKDF2_ITERATIONS: 600000,          // OWASP recommendation for PBKDF2-HMAC-SHA256
+    SALT_BYTES: 16,
+    IV_BYTES: 12
+};
+
+/**
+ * Encodes bytes as base64 for storage
+ * @param {Uint8Array|ArrayBuffer} bytes - Bytes to encode
+ * @returns {string}
+ */
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+/**
+ * Decodes base64 from storage
+ * @param {string} value - Base64 string
+ * @returns {Uint8Array}
+ */
+function fromBase64(value) {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+/**
+ * Derives an AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt stored with the vault
+ * @param {number} iterations - PBKDF2 iterations stored with the vault
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Gets the AES-GCM key that opens a vault
+ * @param {Object} vault - Stored vault
+ * @param {string} passphrase - Passphrase, ignored for vaults without one
+ * @returns {Promise<CryptoKey>}
+ */
+function getVaultKey(vault, passphrase) {
+    if (vault.protected) {
+        return deriveKey(passphrase, fromBase64(vault.salt), vault.iterations);
+    }
+
+    return crypto.subtle.importKey('raw', fromBase64(vault.secret), 'AES-GCM', false, ['decrypt']);
+}
+
+/**
+ * Encrypts an API key into a vault
+ * @param {string} apiKey - API key to protect
+ * @param {string} passphrase - Optional passphrase; empty uses a random device key stored
+ *   in the vault, which obfuscates the key rather than protecting it
+ * @param {Object} options - { iterations } to override PBKDF2_ITERATIONS
+ * @returns {Promise<Object>} - Vault to store
+ */
+async function encryptApiKey(apiKey, passphrase = '', options = {}) {
+    const iv = crypto.getRandomValues(new Uint8Array(KEYSTORE_CONFIG.IV_BYTES));
+    const vault = { version: KEYSTORE_CONFIG.VERSION, protected: Boolean(passphrase), iv: toBase64(iv) };
+    let key;
+
+    if (passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(KEYSTORE_CONFIG.SALT_BYTES));
+        vault.salt = toBase64(salt);
+        vault.iterations = options.iterations || KEYSTORE_CONFIG.PBKDF2_ITERATIONS;
+        key = await deriveKey(passphrase, salt, vault.iterations);
+    } else {
+        const secret = crypto.getRandomValues(new Uint8Array(32));
+        vault.secret = toBase64(secret);
+        key = await crypto.subtle.importKey('raw', secret, 'AES-GCM', false, ['encrypt']);
+    }
+
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+    return { ...vault, data: toBase64(data) };
+}
+
+/**
+ * Decrypts the API key in a vault
+ * @param {Object} vault - Stored vault
+ * @param {string} passphrase - Passphrase, for protected vaults
+ * @returns {Promise<string>}
+ */
+async function decryptApiKey(vault, passphrase = '') {
+    try {
+        const key = await getVaultKey(vault, passphrase);
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(vault.iv) }, key, fromBase64(vault.data));
+        return new TextDecoder().decode(data);
+    } catch (error) {
+        // AES-GCM authentication fails the same way for any wrong key
+        throw new Error(vault.protected ? ERROR_MESSAGES.WRONG_PASSPHRASE : ERROR_MESSAGES.INVALID_KEY_VAULT);
+    }
+}
+
+/**
+ * Gets the stored vaults of all profiles
+ * @returns {Promise<Object>} - Vaults keyed by profile id
+ */
+async function getVaults() {
+    const result = await chrome.storage.local.get(KEYSTORE_CONFIG.STORAGE_KEY);
+    return result[KEYSTORE_CONFIG.STORAGE_KEY] || {};
+}
+
+/**
+ * Gets the stored vault of a profile
+ * @param {string} profileId - Profile id
+ * @returns {Promise<Object|null>}
+ */
+async function getVault(profileId) {
+    return (await getVaults())[profileId] || null;
+}
+
+/**
+ * Stores or removes the vault of a profile
+ * @param {string} profileId - Profile id
+ * @param {Object|null} vault - Vault to store, or null to remove it
+ * @returns {Promise<void>}
+ */
+async function setVault(profileId, vault) {
+    const vaults = { ...(await getVaults()) };
+
+    if (vault) {
+        vaults[profileId] = vault;
+    } else {
+        delete vaults[profileId];
+    }
+
+    await chrome.storage.local.set({ [KEYSTORE_CONFIG.STORAGE_KEY]: vaults });
+}
+
+/**
+ * Gets the unlocked keys held in session storage
+ * @returns {Promise<Object>} - { [profileId]: { apiKey, expiresAt } }
+ */
+async function getUnlockedKeys() {
+    const result = await chrome.storage.session.get(KEYSTORE_CONFIG.SESSION_KEY);
+    return result[KEYSTORE_CONFIG.SESSION_KEY] || {};
+}
+
+/**
+ * Gets the auto-lock time for an unlocked key
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<number>} - Time the key locks, in milliseconds
+ */
+async function getAutoLockTime(now = Date.now()) {
+    const { autoLockMinutes } = resolveSummarySettings(await getFromStorage(STORAGE_KEYS.SUMMARY_SETTINGS));
+    return now + autoLockMinutes * 60 * 1000;
+}
+
+/**
+ * Saves the unlocked keys and sets the auto-lock alarm for the first to
+ * expire, so keys lock on time even when nothing reads them
+ * @param {Object} unlocked - { [profileId]: { apiKey, expiresAt } }
+ * @returns {Promise<void>}
+ */
+async function setUnlockedKeys(unlocked) {
+    await chrome.storage.session.set({ [KEYSTORE_CONFIG.SESSION_KEY]: unlocked });
+
+    const deadlines = Object.values(unlocked).map(session => session.expiresAt);
+    if (deadlines.length > 0) {
+        await chrome.alarms.create(KEYSTORE_CONFIG.LOCK_ALARM, { when: Math.min(...deadlines) });
+    } else {
+        await chrome.alarms.clear(KEYSTORE_CONFIG.LOCK_ALARM);
+    }
+}
+
+/**
+ * Keeps a decrypted key in session storage, which Chrome holds in memory
+ * only and clears when the browser closes
+ * @param {string} profileId - Profile id
+ * @param {string} apiKey - Decrypted API key
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+async function holdUnlockedKey(profileId, apiKey, now = Date.now()) {
+    const unlocked = await getUnlockedKeys();
+
+    await setUnlockedKeys({
+        ...unlocked,
+        [profileId]: { apiKey, expiresAt: await getAutoLockTime(now) }
+    });
+}
+
+/**
+ * Moves a key saved by earlier versions, in plain text or in the single
+ * vault, to a profile
+ * @param {string} profileId - Profile that receives the key
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyApiKey(profileId) {
+    const legacyVault = (await chrome.storage.local.get(KEYSTORE_CONFIG.LEGACY_STORAGE_KEY))[KEYSTORE_CONFIG.LEGACY_STORAGE_KEY];
+    const legacyKey = await getFromStorage(STORAGE_KEYS.API_KEY);
+
+    if (!(await getVault(profileId))) {
+        if (legacyVault) {
+            await setVault(profileId, legacyVault);
+        } else if (legacyKey) {
+            await setVault(profileId, await encryptApiKey(legacyKey));
+        }
+    }
+
+    await chrome.storage.local.remove(KEYSTORE_CONFIG.LEGACY_STORAGE_KEY);
+    if (legacyKey) {
+        await removeFromStorage(STORAGE_KEYS.API_KEY);
+    }
+}
+
+/**
+ * Encrypts and saves a profile's API key, replacing any saved before
+ * @param {string} profileId - Profile id
+ * @param {string} apiKey - API key to save
+ * @param {string} passphrase - Optional passphrase
+ * @returns {Promise<void>}
+ */
+async function saveApiKey(profileId, apiKey, passphrase = '') {
+    await setVault(profileId, await encryptApiKey(apiKey, passphrase));
+
+    if (passphrase) {
+        await holdUnlockedKey(profileId, apiKey);
+    } else {
+        await lockApiKey(profileId);
+    }
+}
+
+/**
+ * Gets whether a profile has an API key saved and usable
+ * @param {string} profileId - Profile id
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<string>} - 'none', 'locked' or 'unlocked'
+ */
+async function getKeyStatus(profileId, now = Date.now()) {
+    const vault = await getVault(profileId);
+
+    if (!vault) {
+        return 'none';
+    }
+
+    if (!vault.protected) {
+        return 'unlocked';
+    }
+
+    const session = (await getUnlockedKeys())[profileId];
+    return session && session.expiresAt > now ? 'unlocked' : 'locked';
+}
+
+/**
+ * Gets a profile's decrypted API key, extending the auto-lock time of an
+ * unlocked key
+ * @param {string} profileId - Profile id
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<string>} - API key, or '' when none is saved
+ */
+async function getApiKey(profileId, now = Date.now()) {
+    const vault = await getVault(profileId);
+
+    if (!vault) {
+        return '';
+    }
+
+    if (!vault.protected) {
+        return decryptApiKey(vault);
+    }
+
+    const session = (await getUnlockedKeys())[profileId];
+
+    if (!session || session.expiresAt <= now) {
+        await lockApiKey(profileId);
+        throw new Error(ERROR_MESSAGES.KEY_LOCKED);
+    }
+
+    await holdUnlockedKey(profileId, session.apiKey, now);
+    return session.apiKey;
+}
+
+/**
+ * Unlocks a profile's passphrase-protected API key until it auto-locks
+ * @param {string} profileId - Profile id
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<void>}
+ */
+async function unlockApiKey(profileId, passphrase) {
+    const vault = await getVault(profileId);
+
+    if (!vault) {
+        throw new Error(ERROR_MESSAGES.NO_API_KEY);
+    }
+
+    await holdUnlockedKey(profileId, await decryptApiKey(vault, passphrase));
+}
+
+/**
+ * Locks a profile's API key, forgetting the decrypted copy
+ * @param {string} profileId - Profile id
+ * @returns {Promise<void>}
+ */
+async function lockApiKey(profileId) {
+    const unlocked = { ...(await getUnlockedKeys()) };
+
+    delete unlocked[profileId];
+    await setUnlockedKeys(unlocked);
+}
+
+/**
+ * Locks every key whose auto-lock time has passed; run when the auto-lock alarm fires
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+async function lockExpiredKeys(now = Date.now()) {
+    const unlocked = await getUnlockedKeys();
+
+    await setUnlockedKeys(Object.fromEntries(
+        Object.entries(unlocked).filter(([, session]) => session.expiresAt > now)
+    ));
+}
+
+/**
+ * Removes a profile's saved API key
+ * @param {string} profileId - Profile id
+ * @returns {Promise<void>}
+ */
+async function clearApiKey(profileId) {
+    await setVault(profileId, null);
+    await lockApiKey(profileId);
+}
+
+/**
+ * Checks whether a profile's key is protected by a passphrase
+ * @param {string} profileId - Profile id
+ * @returns {Promise<boolean>}
+ */
+async function isApiKeyProtected(profileId) {
+    return Boolean((await getVault(profileId))?.protected);
+}
+
+export {
+    KEYSTORE_CONFIG,
+    encryptApiKey,
+    decryptApiKey,
+    migrateLegacyApiKey,
+    saveApiKey,
+    getKeyStatus,
+    getApiKey,
+    unlockApiKey,
+    lockApiKey,
+    lockExpiredKeys,
+    clearApiKey,
+    isApiKeyProtected
+};
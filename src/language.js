@@ -0,0 +1,130 @@
+/**
+ * Language Detection
+ * Detects the language of text to summarize, using Chrome's built-in
+ * detector when it is confident and a script and common-word heuristic
+ * otherwise
+ */
+
+import { SUMMARY_OPTIONS } from './utils.js';
+
+// Constants
+const LANGUAGE_DETECTION = {
+    SAMPLE_LENGTH: 2000,  // Characters examined; the start of a text is enough
+    MIN_WORD_MATCHES: 3,  // Common words needed before a Latin-script guess
+    // Non-Latin scripts identify the language on their own ('ja' matches kana,
+    // which Japanese mixes with the Chinese characters matched by 'zh')
+    SCRIPTS: [
+        { code: 'ja', pattern: /[\u3040-\u30ff]/g },
+        { code: 'ko', pattern: /[\uac00-\ud7af\u1100-\u11ff]/g },
+        { code: 'zh', pattern: /[\u4e00-\u9fff]/g },
+        { code: 'ru', pattern: /[\u0400-\u04ff]/g },
+        { code: 'ar', pattern: /[\u0600-\u06ff]/g },
+        { code: 'el', pattern: /[\u0370-\u03ff]/g },
+        { code: 'he', pattern: /[\u0590-\u05ff]/g },
+        { code: 'hi', pattern: /[\u0900-\u097f]/g },
+        { code: 'th', pattern: /[\u0e00-\u0e7f]/g }
+    ],
+    LATIN_PATTERN: /[a-z\u00c0-\u024f]/gi,
+    COMMON_WORDS: {
+        en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'for', 'with', 'was', 'are', 'this', 'on', 'be'],
+        de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'ein', 'eine', 'den', 'von', 'zu', 'sich', 'auch', 'wird'],
+        es: ['el', 'la', 'que', 'y', 'los', 'las', 'en', 'un', 'una', 'por', 'con', 'para', 'es', 'del', 'se'],
+        fr: ['le', 'la', 'les', 'et', 'des', 'est', 'un', 'une', 'que', 'pour', 'dans', 'pas', 'du', 'qui', 'sur'],
+        it: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'una', 'non', 'sono', 'con', 'del', 'della', 'gli', 'è'],
+        pt: ['o', 'a', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'para', 'com', 'não', 'os', 'as', 'são'],
+        nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'op', 'te', 'niet', 'zijn', 'voor', 'met', 'ook', 'wordt']
+    }
+};
+
+/**
+ * Guesses the language of text from its script and common words
+ * @param {string} text - Text to examine
+ * @returns {string} - ISO 639-1 code, or '' when unsure
+ */
+function detectLanguage(text) {
+    const sample = (text || '').slice(0, LANGUAGE_DETECTION.SAMPLE_LENGTH);
+    const count = pattern => (sample.match(pattern) || []).length;
+
+    const latinCount = count(LANGUAGE_DETECTION.LATIN_PATTERN);
+    const scripts = LANGUAGE_DETECTION.SCRIPTS.map(({ code, pattern }) => ({ code, count: count(pattern) }));
+    const kana = scripts.find(entry => entry.code === 'ja');
+    const han = scripts.find(entry => entry.code === 'zh');
+
+    // Any kana means Japanese, even when Chinese characters outnumber it
+    if (kana.count > 0) {
+        kana.count += han.count;
+        han.count = 0;
+    }
+
+    const script = scripts.reduce((best, entry) => (entry.count > best.count ? entry : best), { code: '', count: 0 });
+
+    if (script.count > latinCount) {
+        return script.code;
+    }
+
+    const words = sample.toLowerCase().match(/[\p{L}']+/gu) || [];
+    let best = { code: '', score: 0 };
+
+    Object.entries(LANGUAGE_DETECTION.COMMON_WORDS).forEach(([code, commonWords]) => {
+        const score = words.filter(word => commonWords.includes(word)).length;
+        if (score > best.score) {
+            best = { code, score };
+        }
+    });
+
+    return best.score >= LANGUAGE_DETECTION.MIN_WORD_MATCHES ? best.code : '';
+}
+
+/**
+ * Detects the language of text, preferring Chrome's detector
+ * @param {string} text - Text to examine
+ * @returns {Promise<string>} - ISO 639-1 code, or '' when unsure
+ */
+async function detectTextLanguage(text) {
+    const sample = (text || '').slice(0, LANGUAGE_DETECTION.SAMPLE_LENGTH);
+
+    if (typeof chrome !== 'undefined' && chrome.i18n?.detectLanguage) {
+        try {
+            const result = await chrome.i18n.detectLanguage(sample);
+            const [top] = result?.languages || [];
+
+            if (result?.isReliable && top && top.language !== 'und') {
+                return top.language.split('-')[0];
+            }
+        } catch (error) {
+            console.error('Error detecting language:', error);
+        }
+    }
+
+    return detectLanguage(sample);
+}
+
+/**
+ * Gets a language's English name
+ * @param {string} code - Language code, e.g. 'de' or 'en-US'
+ * @returns {string} - e.g. 'German', or '' for an empty code
+ */
+function getLanguageName(code) {
+    const base = (code || '').toLowerCase().split('-')[0];
+
+    if (!base) {
+        return '';
+    }
+
+    if (SUMMARY_OPTIONS.LANGUAGES[base]) {
+        return SUMMARY_OPTIONS.LANGUAGES[base];
+    }
+
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(base) || base;
+    } catch (error) {
+        return base;
+    }
+}
+
+export {
+    LANGUAGE_DETECTION,
+    detectLanguage,
+    detectTextLanguage,
+    getLanguageName
+};
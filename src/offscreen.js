@@ -0,0 +1,18 @@
+/**
+ * Offscreen Document Script
+ * Service workers have no clipboard access, so the background worker opens
+ * this hidden page to copy text
+ */
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.target !== 'offscreen' || request.action !== 'copyToClipboard') {
+        return;
+    }
+
+    // navigator.clipboard needs a focused document; execCommand does not
+    const textarea = document.getElementById('clipboard');
+    textarea.value = request.text;
+    textarea.select();
+
+    sendResponse({ success: document.execCommand('copy') });
+});
@@ -0,0 +1,807 @@
+/**
+ * Options Page Script
+ * Manages model, summary, prompt template, webhook, spending, security and history settings used by the background worker
+ */
+
+import {
+    API_CONFIG,
+    STORAGE_KEYS,
+    SUMMARY_OPTIONS,
+    formatErrorMessage,
+    getFromStorage,
+    removeFromStorage,
+    resolveSummarySettings,
+    saveToStorage
+} from './utils.js';
+import { resolveProviderSettings, testProviderConnection } from './providers.js';
+import {
+    createPromptTemplate,
+    exportPromptTemplates,
+    getPromptTemplates,
+    importPromptTemplates,
+    savePromptTemplates,
+    validatePromptTemplate
+} from './prompts.js';
+import { formatCost, getUsageTotals } from './usage.js';
+import {
+    WEBHOOK_CONFIG,
+    clearDeliveryLog,
+    createWebhook,
+    getDeliveryLog,
+    getWebhooks,
+    saveWebhooks,
+    validateWebhook
+} from './webhooks.js';
+import { getActiveProfile, getProfiles, saveProfile } from './profiles.js';
+import { getApiKey, getKeyStatus } from './keystore.js';
+
+// DOM Elements
+let providerName;
+let modelInput;
+let modelOptions;
+let lengthSelect;
+let styleSelect;
+let languageSelect;
+let copyFormatSelect;
+let temperatureInput;
+let temperatureValue;
+let temperatureHint;
+let maxTokensInput;
+let historyLimitInput;
+let dailyCapInput;
+let monthlyCapInput;
+let usageTotals;
+let autoLockInput;
+let saveStatus;
+let templateList;
+let templateNameInput;
+let templatePromptInput;
+let templateStatus;
+let importFileInput;
+let webhookList;
+let webhookNameInput;
+let webhookUrlInput;
+let webhookHeadersInput;
+let webhookBodyInput;
+let webhookAutoInput;
+let webhookStatus;
+let deliveryLogList;
+let deliveryLogEmpty;
+
+// Id of the profile whose model is in the form
+let activeProfileId = null;
+
+// Custom prompt templates, and the id of the one in the editor (null for a new one)
+let promptTemplates = [];
+let editingTemplateId = null;
+
+// Webhooks, and the id of the one in the editor (null for a new one)
+let webhooks = [];
+let editingWebhookId = null;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    // Get DOM elements
+    providerName = document.getElementById('providerName');
+    modelInput = document.getElementById('model');
+    modelOptions = document.getElementById('modelOptions');
+    lengthSelect = document.getElementById('length');
+    styleSelect = document.getElementById('style');
+    languageSelect = document.getElementById('language');
+    copyFormatSelect = document.getElementById('copyFormat');
+    temperatureInput = document.getElementById('temperature');
+    temperatureValue = document.getElementById('temperatureValue');
+    temperatureHint = document.getElementById('temperatureHint');
+    maxTokensInput = document.getElementById('maxTokens');
+    historyLimitInput = document.getElementById('historyLimit');
+    dailyCapInput = document.getElementById('dailyCap');
+    monthlyCapInput = document.getElementById('monthlyCap');
+    usageTotals = document.getElementById('usageTotals');
+    autoLockInput = document.getElementById('autoLockMinutes');
+    saveStatus = document.getElementById('saveStatus');
+    templateList = document.getElementById('templateList');
+    templateNameInput = document.getElementById('templateName');
+    templatePromptInput = document.getElementById('templatePrompt');
+    templateStatus = document.getElementById('templateStatus');
+    importFileInput = document.getElementById('importFile');
+    webhookList = document.getElementById('webhookList');
+    webhookNameInput = document.getElementById('webhookName');
+    webhookUrlInput = document.getElementById('webhookUrl');
+    webhookHeadersInput = document.getElementById('webhookHeaders');
+    webhookBodyInput = document.getElementById('webhookBody');
+    webhookAutoInput = document.getElementById('webhookAuto');
+    webhookStatus = document.getElementById('webhookStatus');
+    deliveryLogList = document.getElementById('deliveryLog');
+    deliveryLogEmpty = document.getElementById('deliveryLogEmpty');
+
+    populateOptions();
+
+    // Set up event listeners
+    temperatureInput.addEventListener('input', () => {
+        temperatureValue.textContent = temperatureInput.value;
+    });
+    document.getElementById('saveSettings').addEventListener('click', handleSaveSettings);
+    document.getElementById('resetSettings').addEventListener('click', handleResetSettings);
+    document.getElementById('saveTemplate').addEventListener('click', handleSaveTemplate);
+    document.getElementById('newTemplate').addEventListener('click', () => editTemplate(null));
+    document.getElementById('importTemplates').addEventListener('click', () => importFileInput.click());
+    document.getElementById('exportTemplates').addEventListener('click', handleExportTemplates);
+    importFileInput.addEventListener('change', handleImportTemplates);
+    document.getElementById('saveWebhook').addEventListener('click', handleSaveWebhook);
+    document.getElementById('newWebhook').addEventListener('click', () => editWebhook(null));
+    document.getElementById('testWebhook').addEventListener('click', handleTestWebhook);
+    document.getElementById('clearDeliveryLog').addEventListener('click', handleClearDeliveryLog);
+
+    // Deliveries made by the background worker show up as they happen
+    chrome.storage.local.onChanged.addListener((changes) => {
+        if (WEBHOOK_CONFIG.LOG_KEY in changes) {
+            renderDeliveryLog(changes[WEBHOOK_CONFIG.LOG_KEY].newValue || []);
+        }
+    });
+
+    await loadSettings();
+    await loadPromptTemplates();
+    await loadWebhooks();
+    await loadUsageTotals();
+});
+
+/**
+ * Fills the select and range inputs from SUMMARY_OPTIONS
+ */
+function populateOptions() {
+    Object.entries(SUMMARY_OPTIONS.LENGTHS).forEach(([id, length]) => {
+        lengthSelect.add(new Option(`${length.LABEL} (${length.SENTENCES})`, id));
+    });
+
+    Object.entries(SUMMARY_OPTIONS.STYLES).forEach(([id, style]) => {
+        styleSelect.add(new Option(style.LABEL, id));
+    });
+
+    languageSelect.add(new Option('Same as the text', ''));
+    Object.entries(SUMMARY_OPTIONS.LANGUAGES).forEach(([code, name]) => {
+        languageSelect.add(new Option(name, code));
+    });
+
+    Object.entries(SUMMARY_OPTIONS.COPY_FORMATS).forEach(([id, label]) => {
+        copyFormatSelect.add(new Option(label, id));
+    });
+
+    temperatureInput.min = SUMMARY_OPTIONS.TEMPERATURE.MIN;
+    temperatureInput.max = SUMMARY_OPTIONS.TEMPERATURE.MAX;
+    maxTokensInput.min = SUMMARY_OPTIONS.MAX_TOKENS.MIN;
+    maxTokensInput.max = SUMMARY_OPTIONS.MAX_TOKENS.MAX;
+    historyLimitInput.min = SUMMARY_OPTIONS.HISTORY_LIMIT.MIN;
+    historyLimitInput.max = SUMMARY_OPTIONS.HISTORY_LIMIT.MAX;
+    [dailyCapInput, monthlyCapInput].forEach(input => {
+        input.min = SUMMARY_OPTIONS.SPENDING_CAP.MIN;
+        input.max = SUMMARY_OPTIONS.SPENDING_CAP.MAX;
+    });
+    autoLockInput.min = SUMMARY_OPTIONS.AUTO_LOCK_MINUTES.MIN;
+    autoLockInput.max = SUMMARY_OPTIONS.AUTO_LOCK_MINUTES.MAX;
+}
+
+/**
+ * Loads stored settings into the form
+ */
+async function loadSettings() {
+    try {
+        const activeProfile = await getActiveProfile();
+        const summarySettings = resolveSummarySettings(await getFromStorage(STORAGE_KEYS.SUMMARY_SETTINGS));
+
+        showProvider(resolveProviderSettings(activeProfile), activeProfile.name);
+        modelInput.value = activeProfile.model || '';
+        activeProfileId = activeProfile.id;
+        showSummarySettings(summarySettings);
+    } catch (error) {
+        showSaveStatus('Failed to load settings.', true);
+        console.error('Error loading settings:', error);
+    }
+}
+
+/**
+ * Handles saving settings
+ */
+async function handleSaveSettings() {
+    const summarySettings = resolveSummarySettings({
+        length: lengthSelect.value,
+        style: styleSelect.value,
+        language: languageSelect.value,
+        temperature: temperatureInput.value,
+        maxTokens: maxTokensInput.value,
+        historyLimit: historyLimitInput.value,
+        dailyCap: dailyCapInput.value,
+        monthlyCap: monthlyCapInput.value,
+        autoLockMinutes: autoLockInput.value,
+        copyFormat: copyFormatSelect.value
+    });
+
+    try {
+        if (!(await saveModel(modelInput.value.trim()))) {
+            return;
+        }
+        await saveToStorage(STORAGE_KEYS.SUMMARY_SETTINGS, summarySettings);
+
+        // Show the clamped values that were actually saved
+        showSummarySettings(summarySettings);
+        showSaveStatus('Settings saved');
+    } catch (error) {
+        showSaveStatus('Failed to save settings. Please try again.', true);
+        console.error('Error saving settings:', error);
+    }
+}
+
+/**
+ * Handles resetting settings to their defaults
+ */
+async function handleResetSettings() {
+    try {
+        if (!(await saveModel(''))) {
+            return;
+        }
+        await removeFromStorage(STORAGE_KEYS.SUMMARY_SETTINGS);
+
+        modelInput.value = '';
+        showSummarySettings(resolveSummarySettings());
+        showSaveStatus('Defaults restored');
+    } catch (error) {
+        showSaveStatus('Failed to reset settings. Please try again.', true);
+        console.error('Error resetting settings:', error);
+    }
+}
+
+/**
+ * Saves the model of the profile shown in the form. The profile is read
+ * again first, so edits made in the popup meanwhile are kept. A new model
+ * is checked with the same test call the popup makes.
+ * @param {string} model - Model name; empty for the provider's default
+ * @returns {Promise<boolean>} - False when the test call failed or the profile is gone
+ */
+async function saveModel(model) {
+    const profile = (await getProfiles()).find(item => item.id === activeProfileId);
+
+    if (!profile) {
+        showSaveStatus('This profile was deleted. Please reload the page.', true);
+        return false;
+    }
+
+    if (model === (profile.model || '')) {
+        return true;
+    }
+
+    const updated = { ...profile, model };
+
+    // A locked key cannot be tested until it is unlocked in the popup
+    if (model && (await getKeyStatus(profile.id)) !== 'locked') {
+        const settings = resolveProviderSettings(updated);
+        try {
+            showSaveStatus(`Testing ${API_CONFIG.PROVIDERS[settings.provider].NAME}...`);
+            await testProviderConnection(await getApiKey(profile.id), settings);
+        } catch (error) {
+            showSaveStatus(`Test call failed: ${formatErrorMessage(error)}`, true);
+            console.error('Error testing model:', error);
+            return false;
+        }
+    }
+
+    await saveProfile(updated);
+    return true;
+}
+
+/**
+ * Shows the active profile's provider and its model suggestions
+ * @param {Object} settings - Resolved provider settings
+ * @param {string} profileName - Name of the active profile
+ */
+function showProvider(settings, profileName) {
+    const config = API_CONFIG.PROVIDERS[settings.provider];
+
+    providerName.textContent = `${profileName} (${config.NAME})`;
+    modelInput.placeholder = config.MODEL || 'Deployment name';
+    modelOptions.innerHTML = '';
+    config.MODELS.forEach(model => modelOptions.append(new Option(model)));
+
+    if (config.MAX_TEMPERATURE !== undefined) {
+        temperatureHint.textContent = `Lower values give more focused, repeatable summaries. ${config.NAME} uses at most ${config.MAX_TEMPERATURE}.`;
+    }
+}
+
+/**
+ * Shows summary settings in the form
+ * @param {Object} settings - Resolved summary settings
+ */
+function showSummarySettings(settings) {
+    lengthSelect.value = settings.length;
+    styleSelect.value = settings.style;
+    languageSelect.value = settings.language;
+    temperatureInput.value = settings.temperature;
+    temperatureValue.textContent = settings.temperature;
+    maxTokensInput.value = settings.maxTokens;
+    historyLimitInput.value = settings.historyLimit;
+    dailyCapInput.value = settings.dailyCap;
+    monthlyCapInput.value = settings.monthlyCap;
+    autoLockInput.value = settings.autoLockMinutes;
+    copyFormatSelect.value = settings.copyFormat;
+}
+
+/**
+ * Shows today's and this month's token usage and spending
+ */
+async function loadUsageTotals() {
+    try {
+        const { today, month } = await getUsageTotals();
+        const describe = total => `${total.requests} requests, ${(total.inputTokens + total.outputTokens).toLocaleString('en-US')} tokens, ${formatCost(total.cost)}`;
+
+        usageTotals.textContent = `Today: ${describe(today)}. This month: ${describe(month)}.`;
+    } catch (error) {
+        usageTotals.textContent = 'Usage is not available.';
+        console.error('Error loading usage:', error);
+    }
+}
+
+/**
+ * Loads custom prompt templates into the list
+ */
+async function loadPromptTemplates() {
+    try {
+        promptTemplates = await getPromptTemplates();
+        renderTemplateList();
+    } catch (error) {
+        showTemplateStatus('Failed to load templates.', true);
+        console.error('Error loading templates:', error);
+    }
+}
+
+/**
+ * Renders the list of custom prompt templates
+ */
+function renderTemplateList() {
+    templateList.innerHTML = '';
+
+    promptTemplates.forEach(template => {
+        const item = document.createElement('li');
+        item.classList.toggle('editing', template.id === editingTemplateId);
+
+        const name = document.createElement('span');
+        name.textContent = template.name;
+
+        const buttons = document.createElement('div');
+        buttons.className = 'template-buttons';
+        buttons.append(
+            createTemplateButton('Edit', () => editTemplate(template)),
+            createTemplateButton('Delete', () => handleDeleteTemplate(template))
+        );
+
+        item.append(name, buttons);
+        templateList.append(item);
+    });
+}
+
+/**
+ * Creates a template list button
+ * @param {string} label - Button label
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLElement}
+ */
+function createTemplateButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn-link';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Loads a template into the editor, or clears it for a new one
+ * @param {Object|null} template - Template to edit
+ */
+function editTemplate(template) {
+    editingTemplateId = template ? template.id : null;
+    templateNameInput.value = template ? template.name : '';
+    templatePromptInput.value = template ? template.prompt : '';
+    renderTemplateList();
+    templateNameInput.focus();
+}
+
+/**
+ * Handles saving the template in the editor
+ */
+async function handleSaveTemplate() {
+    const details = { name: templateNameInput.value, prompt: templatePromptInput.value };
+    const validation = validatePromptTemplate(details);
+
+    if (!validation.valid) {
+        showTemplateStatus(validation.error, true);
+        return;
+    }
+
+    const name = details.name.trim();
+    if (promptTemplates.some(template => template.name === name && template.id !== editingTemplateId)) {
+        showTemplateStatus(`A template named "${name}" already exists.`, true);
+        return;
+    }
+
+    const updated = editingTemplateId
+        ? promptTemplates.map(template => (template.id === editingTemplateId ? { ...template, name, prompt: details.prompt } : template))
+        : [...promptTemplates, createPromptTemplate(details)];
+
+    try {
+        await savePromptTemplates(updated);
+        promptTemplates = updated;
+        editTemplate(editingTemplateId ? updated.find(template => template.id === editingTemplateId) : updated[updated.length - 1]);
+        showTemplateStatus('Template saved');
+    } catch (error) {
+        showTemplateStatus('Failed to save template. Please try again.', true);
+        console.error('Error saving template:', error);
+    }
+}
+
+/**
+ * Handles deleting a template
+ * @param {Object} template - Template to delete
+ */
+async function handleDeleteTemplate(template) {
+    const updated = promptTemplates.filter(item => item.id !== template.id);
+
+    try {
+        await savePromptTemplates(updated);
+        promptTemplates = updated;
+
+        if (editingTemplateId === template.id) {
+            editTemplate(null);
+        } else {
+            renderTemplateList();
+        }
+        showTemplateStatus('Template deleted');
+    } catch (error) {
+        showTemplateStatus('Failed to delete template. Please try again.', true);
+        console.error('Error deleting template:', error);
+    }
+}
+
+/**
+ * Handles importing templates from a JSON file
+ */
+async function handleImportTemplates() {
+    const [file] = importFileInput.files;
+    importFileInput.value = '';
+
+    if (!file) return;
+
+    try {
+        const updated = importPromptTemplates(await file.text(), promptTemplates);
+        await savePromptTemplates(updated);
+
+        const added = updated.length - promptTemplates.length;
+        promptTemplates = updated;
+        renderTemplateList();
+        showTemplateStatus(`Imported templates (${added} new)`);
+    } catch (error) {
+        showTemplateStatus(`Import failed: ${error.message}`, true);
+        console.error('Error importing templates:', error);
+    }
+}
+
+/**
+ * Handles exporting templates as a JSON download
+ */
+function handleExportTemplates() {
+    if (promptTemplates.length === 0) {
+        showTemplateStatus('There are no templates to export.', true);
+        return;
+    }
+
+    const blob = new Blob([exportPromptTemplates(promptTemplates)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'summarizer-templates.json';
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Loads webhooks into the list and the delivery log
+ */
+async function loadWebhooks() {
+    try {
+        webhooks = await getWebhooks();
+        editWebhook(null);
+        renderDeliveryLog(await getDeliveryLog());
+    } catch (error) {
+        showWebhookStatus('Failed to load webhooks.', true);
+        console.error('Error loading webhooks:', error);
+    }
+}
+
+/**
+ * Renders the list of webhooks
+ */
+function renderWebhookList() {
+    webhookList.innerHTML = '';
+
+    webhooks.forEach(webhook => {
+        const item = document.createElement('li');
+        item.classList.toggle('editing', webhook.id === editingWebhookId);
+
+        const name = document.createElement('span');
+        name.textContent = webhook.auto ? `${webhook.name} (every summary)` : webhook.name;
+
+        const buttons = document.createElement('div');
+        buttons.className = 'template-buttons';
+        buttons.append(
+            createTemplateButton('Edit', () => editWebhook(webhook)),
+            createTemplateButton('Delete', () => handleDeleteWebhook(webhook))
+        );
+
+        item.append(name, buttons);
+        webhookList.append(item);
+    });
+}
+
+/**
+ * Loads a webhook into the editor, or clears it for a new one
+ * @param {Object|null} webhook - Webhook to edit
+ */
+function editWebhook(webhook) {
+    editingWebhookId = webhook ? webhook.id : null;
+    webhookNameInput.value = webhook ? webhook.name : '';
+    webhookUrlInput.value = webhook ? webhook.url : '';
+    webhookHeadersInput.value = webhook ? webhook.headers : '';
+    webhookBodyInput.value = webhook ? webhook.body : WEBHOOK_CONFIG.DEFAULT_BODY;
+    webhookAutoInput.checked = webhook ? webhook.auto : false;
+    renderWebhookList();
+}
+
+/**
+ * Reads the webhook editor
+ * @returns {Object} - { name, url, headers, body, auto }
+ */
+function readWebhookForm() {
+    return {
+        name: webhookNameInput.value,
+        url: webhookUrlInput.value,
+        headers: webhookHeadersInput.value,
+        body: webhookBodyInput.value,
+        auto: webhookAutoInput.checked
+    };
+}
+
+/**
+ * Requests host permission for a webhook URL. localhost and 127.0.0.1 are
+ * always allowed; other hosts are optional permissions.
+ * @param {string} url - Webhook URL
+ * @returns {Promise<boolean>} - Whether access was granted
+ */
+async function requestWebhookPermission(url) {
+    try {
+        const origin = new URL(url.trim()).origin;
+        return await chrome.permissions.request({ origins: [`${origin}/*`] });
+    } catch (error) {
+        console.error('Error requesting host permission:', error);
+        return false;
+    }
+}
+
+/**
+ * Handles saving the webhook in the editor
+ */
+async function handleSaveWebhook() {
+    const details = readWebhookForm();
+    const validation = validateWebhook(details);
+
+    if (!validation.valid) {
+        showWebhookStatus(validation.error, true);
+        return;
+    }
+
+    const name = details.name.trim();
+    if (webhooks.some(webhook => webhook.name === name && webhook.id !== editingWebhookId)) {
+        showWebhookStatus(`A webhook named "${name}" already exists.`, true);
+        return;
+    }
+
+    // Asked first, while the click still counts as a user gesture
+    if (!(await requestWebhookPermission(details.url))) {
+        showWebhookStatus('The extension needs permission to reach this URL.', true);
+        return;
+    }
+
+    const updated = editingWebhookId
+        ? webhooks.map(webhook => (webhook.id === editingWebhookId
+            ? { ...createWebhook(details), id: webhook.id }
+            : webhook))
+        : [...webhooks, createWebhook(details)];
+
+    try {
+        await saveWebhooks(updated);
+        webhooks = updated;
+        editWebhook(editingWebhookId ? updated.find(webhook => webhook.id === editingWebhookId) : updated[updated.length - 1]);
+        showWebhookStatus('Webhook saved');
+    } catch (error) {
+        showWebhookStatus('Failed to save webhook. Please try again.', true);
+        console.error('Error saving webhook:', error);
+    }
+}
+
+/**
+ * Handles deleting a webhook
+ * @param {Object} webhook - Webhook to delete
+ */
+async function handleDeleteWebhook(webhook) {
+    const updated = webhooks.filter(item => item.id !== webhook.id);
+
+    try {
+        await saveWebhooks(updated);
+        webhooks = updated;
+
+        if (editingWebhookId === webhook.id) {
+            editWebhook(null);
+        } else {
+            renderWebhookList();
+        }
+        showWebhookStatus('Webhook deleted');
+    } catch (error) {
+        showWebhookStatus('Failed to delete webhook. Please try again.', true);
+        console.error('Error deleting webhook:', error);
+    }
+}
+
+/**
+ * Handles sending a sample summary with the webhook in the editor, saved or not
+ */
+async function handleTestWebhook() {
+    const details = readWebhookForm();
+    const validation = validateWebhook(details);
+
+    if (!validation.valid) {
+        showWebhookStatus(validation.error, true);
+        return;
+    }
+
+    if (!(await requestWebhookPermission(details.url))) {
+        showWebhookStatus('The extension needs permission to reach this URL.', true);
+        return;
+    }
+
+    showWebhookStatus('Sending test...');
+    try {
+        const delivery = await chrome.runtime.sendMessage({
+            action: 'sendWebhook',
+            webhook: { ...createWebhook(details), id: editingWebhookId },
+            variables: WEBHOOK_CONFIG.TEST_VARIABLES
+        });
+        showWebhookStatus(describeDelivery(delivery), delivery.status !== 'delivered');
+    } catch (error) {
+        showWebhookStatus(error.message, true);
+        console.error('Error sending test webhook:', error);
+    }
+}
+
+/**
+ * Describes the outcome of a delivery
+ * @param {Object} delivery - Delivery log record
+ * @returns {string}
+ */
+function describeDelivery(delivery) {
+    const attempts = delivery.attempts > 1 ? ` after ${delivery.attempts} attempts` : '';
+
+    return delivery.status === 'delivered'
+        ? `Delivered${attempts} (HTTP ${delivery.httpStatus})`
+        : `Failed${attempts}: ${delivery.error}`;
+}
+
+/**
+ * Renders the delivery log
+ * @param {Array<Object>} log - Deliveries, newest first
+ */
+function renderDeliveryLog(log) {
+    deliveryLogList.innerHTML = '';
+    deliveryLogEmpty.style.display = log.length === 0 ? 'block' : 'none';
+
+    log.forEach(delivery => {
+        const item = document.createElement('li');
+
+        const details = document.createElement('span');
+        const time = new Date(delivery.timestamp).toLocaleString();
+        details.textContent = `${time} · ${delivery.name}${delivery.title ? ` · ${delivery.title}` : ''} · `;
+
+        const status = document.createElement('span');
+        status.className = delivery.status;
+        status.textContent = describeDelivery(delivery);
+        details.append(status);
+
+        item.append(details);
+        if (delivery.status === 'failed' && delivery.webhookId) {
+            item.append(createTemplateButton('Retry', () => handleRetryDelivery(delivery)));
+        }
+        deliveryLogList.append(item);
+    });
+}
+
+/**
+ * Handles re-sending a failed delivery with the webhook as it is now
+ * @param {Object} delivery - Log record
+ */
+async function handleRetryDelivery(delivery) {
+    try {
+        const retried = await chrome.runtime.sendMessage({
+            action: 'sendWebhook',
+            webhookId: delivery.webhookId,
+            variables: delivery.variables
+        });
+        showWebhookStatus(describeDelivery(retried), retried.status !== 'delivered');
+    } catch (error) {
+        showWebhookStatus(error.message, true);
+        console.error('Error retrying delivery:', error);
+    }
+}
+
+/**
+ * Handles clearing the delivery log
+ */
+async function handleClearDeliveryLog() {
+    try {
+        await clearDeliveryLog();
+        renderDeliveryLog([]);
+    } catch (error) {
+        showWebhookStatus('Failed to clear the delivery log.', true);
+        console.error('Error clearing delivery log:', error);
+    }
+}
+
+/**
+ * Shows a webhook status message; errors stay until the next action
+ * @param {string} message - Message to show
+ * @param {boolean} isError - Whether the message is an error
+ */
+function showWebhookStatus(message, isError = false) {
+    webhookStatus.textContent = message;
+    webhookStatus.classList.toggle('error', isError);
+
+    if (!isError) {
+        setTimeout(() => {
+            if (webhookStatus.textContent === message) {
+                webhookStatus.textContent = '';
+            }
+        }, 2000);
+    }
+}
+
+/**
+ * Shows a template status message that fades after a moment
+ * @param {string} message - Message to show
+ * @param {boolean} isError - Whether the message is an error
+ */
+function showTemplateStatus(message, isError = false) {
+    templateStatus.textContent = message;
+    templateStatus.classList.toggle('error', isError);
+
+    // Errors stay until the next action so they can be read in full
+    if (!isError) {
+        setTimeout(() => {
+            templateStatus.textContent = '';
+        }, 2000);
+    }
+}
+
+/**
+ * Shows a save status message; other messages fade after a moment, errors stay
+ * @param {string} message - Message to show
+ * @param {boolean} isError - Whether the message is an error
+ */
+function showSaveStatus(message, isError = false) {
+    saveStatus.textContent = message;
+    saveStatus.classList.toggle('error', isError);
+
+    // Errors stay until the next action so they can be read in full
+    if (!isError) {
+        setTimeout(() => {
+            // A newer message replaced this one, and clears itself
+            if (saveStatus.textContent === message) {
+                saveStatus.textContent = '';
+            }
+        }, 2000);
+    }
+}
+
+console.log('Options script loaded');
@@ -0,0 +1,226 @@
+/**
+ * Summary Overlay - Injected on demand by the background worker
+ * Shows a dismissible result card next to the selection. The card lives in a
+ * closed shadow root so page styles cannot leak in or out.
+ */
+
+// Injection may happen more than once per page; only set up the first time
+if (!globalThis.summaryOverlayLoaded) {
+    globalThis.summaryOverlayLoaded = true;
+
+    (() => {
+        const OVERLAY_STYLES = `
+            :host { all: initial; }
+            .card {
+                position: absolute;
+                z-index: 2147483647;
+                width: 360px;
+                max-width: calc(100vw - 32px);
+                background: white;
+                border-radius: 12px;
+                box-shadow: 0 10px 40px rgba(0, 0, 0, 0.25);
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+                color: #333;
+                overflow: hidden;
+            }
+            header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 10px 14px;
+                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                color: white;
+                font-size: 14px;
+                font-weight: 600;
+            }
+            button {
+                font: inherit;
+                cursor: pointer;
+            }
+            .close {
+                background: none;
+                border: none;
+                color: white;
+                font-size: 18px;
+                line-height: 1;
+                padding: 0 2px;
+            }
+            .body {
+                padding: 14px;
+                font-size: 14px;
+                line-height: 1.6;
+                max-height: 260px;
+                overflow-y: auto;
+                white-space: pre-wrap;
+            }
+            .body.loading { color: #666; }
+            .body.error { color: #c62828; background: #fee; }
+            footer {
+                padding: 0 14px 14px;
+            }
+            .copy {
+                width: 100%;
+                padding: 8px 12px;
+                background: #f8f9fa;
+                color: #333;
+                border: 2px solid #e0e0e0;
+                border-radius: 6px;
+                font-size: 13px;
+            }
+            .copy:hover { border-color: #667eea; }
+        `;
+
+        let host = null;
+        let elements = null;
+
+        /**
+         * Gets the page position just below the current selection
+         * @returns {Object} - { top, left }
+         */
+        function getSelectionPosition() {
+            const selection = window.getSelection();
+
+            if (!selection || selection.rangeCount === 0) {
+                return { top: window.scrollY + 16, left: window.scrollX + 16 };
+            }
+
+            const rect = selection.getRangeAt(0).getBoundingClientRect();
+            const maxLeft = window.scrollX + document.documentElement.clientWidth - 376;
+
+            return {
+                top: window.scrollY + rect.bottom + 8,
+                left: Math.max(window.scrollX + 16, Math.min(window.scrollX + rect.left, maxLeft))
+            };
+        }
+
+        /**
+         * Creates the overlay card next to the selection
+         */
+        function createOverlay() {
+            host = document.createElement('div');
+            const shadow = host.attachShadow({ mode: 'closed' });
+
+            const style = document.createElement('style');
+            style.textContent = OVERLAY_STYLES;
+
+            const card = document.createElement('div');
+            card.className = 'card';
+            card.setAttribute('role', 'dialog');
+            card.setAttribute('aria-label', 'Summary');
+
+            const header = document.createElement('header');
+            const title = document.createElement('span');
+            title.textContent = '📝 Summary';
+            const close = document.createElement('button');
+            close.className = 'close';
+            close.setAttribute('aria-label', 'Close');
+            close.textContent = '×';
+            close.addEventListener('click', removeOverlay);
+            header.append(title, close);
+
+            const body = document.createElement('div');
+            body.className = 'body';
+
+            const footer = document.createElement('footer');
+            const copy = document.createElement('button');
+            copy.className = 'copy';
+            copy.textContent = '📋 Copy to Clipboard';
+            copy.addEventListener('click', () => handleCopy(body.textContent, copy));
+            footer.append(copy);
+
+            card.append(header, body, footer);
+            shadow.append(style, card);
+
+            const position = getSelectionPosition();
+            card.style.top = `${position.top}px`;
+            card.style.left = `${position.left}px`;
+
+            document.documentElement.append(host);
+            document.addEventListener('keydown', handleKeydown, true);
+
+            elements = { body, footer };
+        }
+
+        /**
+         * Removes the overlay and tells the background worker to stop
+         */
+        function removeOverlay() {
+            if (!host) return;
+
+            host.remove();
+            host = null;
+            elements = null;
+            document.removeEventListener('keydown', handleKeydown, true);
+
+            chrome.runtime.sendMessage({ action: 'summaryOverlayClosed' }).catch(() => {});
+        }
+
+        /**
+         * Dismisses the overlay on Escape
+         * @param {KeyboardEvent} event - Keydown event
+         */
+        function handleKeydown(event) {
+            if (event.key === 'Escape') {
+                removeOverlay();
+            }
+        }
+
+        /**
+         * Copies the summary and shows feedback on the button
+         * @param {string} text - Summary text
+         * @param {HTMLElement} button - Copy button
+         */
+        async function handleCopy(text, button) {
+            try {
+                await navigator.clipboard.writeText(text);
+                button.textContent = '✓ Copied!';
+            } catch (error) {
+                button.textContent = 'Failed to copy';
+                console.error('Copy error:', error);
+            }
+
+            setTimeout(() => {
+                button.textContent = '📋 Copy to Clipboard';
+            }, 2000);
+        }
+
+        /**
+         * Shows a summary state in the overlay, creating it if needed
+         * @param {Object} state - { status: 'loading'|'streaming'|'done'|'error', summary, error }
+         */
+        function showState(state) {
+            // A new request moves the card to the current selection
+            if (host && state.status === 'loading') {
+                host.remove();
+                host = null;
+            }
+
+            if (!host) {
+                createOverlay();
+            }
+
+            const { body, footer } = elements;
+
+            body.className = 'body';
+            footer.style.display = state.status === 'done' ? 'block' : 'none';
+
+            if (state.status === 'loading') {
+                body.classList.add('loading');
+                body.textContent = 'Generating summary...';
+            } else if (state.status === 'error') {
+                body.classList.add('error');
+                body.textContent = state.error;
+            } else {
+                body.textContent = state.summary;
+            }
+        }
+
+        // Listen for state updates from the background worker
+        chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+            if (request.action === 'showSummaryOverlay') {
+                showState(request.state);
+                sendResponse();
+            }
+        });
+    })();
+}
@@ -1,109 +1,632 @@
 /**
  * Popup Script
- * Manages the extension popup UI and user interactions
+ * Manages the extension popup UI and user interactions. The side panel
+ * (popup.html?view=sidepanel) runs the same script: it stays open while browsing,
+ * follows the active tab's selection and lists the summaries of each tab.
  */
 
+import {
+    API_CONFIG,
+    DEFAULT_TEMPLATE,
+    ERROR_MESSAGES,
+    OUTPUT_TEMPLATES,
+    STORAGE_KEYS,
+    SUMMARY_OPTIONS,
+    TEXT_LIMITS,
+    formatArticleText,
+    formatErrorMessage,
+    getFromStorage,
+    resolveOutputTemplate,
+    resolveSummarySettings,
+    sanitizeText,
+    saveToStorage,
+    truncateText,
+    validateApiKey,
+    validateText
+} from './utils.js';
+import { resolveProviderSettings, testProviderConnection } from './providers.js';
+import { splitIntoChunks } from './chunker.js';
+import { createHistoryEntry, deleteFromHistory, getHistory, searchHistory } from './history.js';
+import { EXPORT_CONFIG, downloadSummaries } from './export.js';
+import { formatCopy, writeToClipboard } from './clipboard.js';
+import { getWebhooks } from './webhooks.js';
+import { getPromptTemplates } from './prompts.js';
+import { SELECTION_CONFIG, getTabSelection, sendToContentScript } from './selection.js';
+import { deleteConversation, getConversation, validateQuestion } from './conversation.js';
+import { USAGE_CONFIG, estimateRequest, formatCost, formatUsage } from './usage.js';
+import {
+    clearApiKey,
+    getApiKey,
+    getKeyStatus,
+    isApiKeyProtected,
+    lockApiKey,
+    saveApiKey,
+    unlockApiKey
+} from './keystore.js';
+import {
+    createProfile,
+    deleteProfile,
+    getActiveProfile,
+    getProfiles,
+    saveProfile,
+    setActiveProfile,
+    validateProfile
+} from './profiles.js';
+
 // DOM Elements
+let profileNameInput;
+let providerSelect;
+let endpointFields;
+let baseUrlInput;
+let modelInput;
+let modelLabel;
+let modelOptions;
+let apiKeyLink;
 let apiKeyInput;
+let passphraseInput;
 let saveApiKeyBtn;
+let profileStatus;
+let deleteProfileBtn;
 let apiKeySection;
+let unlockSection;
+let unlockPassphraseInput;
+let unlockError;
+let lockButton;
 let summarySection;
 let statusText;
-let clearApiKeyBtn;
+let sourceLanguageBadge;
+let profileSelect;
 let loadingState;
 let summaryContent;
 let summaryText;
 let copyButton;
+let copyFormatSelect;
+let regenerateButton;
+let exportSummarySelect;
+let sendWebhookSelect;
+let stopButton;
+let summarizePageButton;
+let outputTemplateSelect;
 let errorState;
 let errorText;
+let confirmState;
+let confirmText;
 let instructionState;
+let historySection;
+let historySearch;
+let historyList;
+let historyEmpty;
+let historyStatus;
+let exportHistorySelect;
+let followUpSection;
+let followUpThread;
+let followUpForm;
+let followUpInput;
+let followUpButton;
+let openSidePanelButton;
+let tabSummariesSection;
+let tabSummaryList;
+
+// Profile in use, and the profile open in the profile form (null for a new
+// one) with whether it already has a key saved
+let activeProfile = null;
+let editingProfile = null;
+let editingHasKey = false;
+
+// History entries loaded for the history view, newest first
+let historyEntries = [];
+
+// Port for the in-flight summary request, and the text streamed so far
+let summaryPort = null;
+let streamedSummary = '';
+
+// Last request, re-sent when the output template changes or on Regenerate,
+// and the plain-text summary on screen for copying
+let lastRequest = null;
+let currentSummary = '';
+
+// The summary on screen in the shape of a history entry, for exporting
+let currentEntry = null;
+
+// Webhooks listed in the Send menu
+let webhooks = [];
+
+// Settles the question shown before sending a large selection
+let resolveConfirmation = null;
+
+// History entry of the summary on screen, for follow-up questions, the
+// questions answered so far and the port of the one being answered
+let conversationId = null;
+let conversationTurns = [];
+let followUpPort = null;
+
+// Side panel: whether this page is one, the tab whose selection it follows
+// and the summary made for each tab, newest first
+let isSidePanel = false;
+let activeTabId = null;
+let tabSummaries = [];
+
+// The side panel's instructions, as selections are summarized without a click
+const SIDE_PANEL_INSTRUCTION = '💡 Highlight text on any webpage and its summary appears here, or summarize the whole article below.';
+
+// Window the popup belongs to, looked up early as sidePanel.open() must be
+// called straight from the click
+let sidePanelWindowId = null;
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', async () => {
     // Get DOM elements
+    profileNameInput = document.getElementById('profileName');
+    providerSelect = document.getElementById('provider');
+    endpointFields = document.getElementById('endpointFields');
+    baseUrlInput = document.getElementById('baseUrl');
+    modelInput = document.getElementById('model');
+    modelLabel = document.getElementById('modelLabel');
+    modelOptions = document.getElementById('modelOptions');
+    apiKeyLink = document.getElementById('apiKeyLink');
     apiKeyInput = document.getElementById('apiKey');
+    passphraseInput = document.getElementById('passphrase');
     saveApiKeyBtn = document.getElementById('saveApiKey');
+    profileStatus = document.getElementById('profileStatus');
+    deleteProfileBtn = document.getElementById('deleteProfile');
     apiKeySection = document.getElementById('apiKeySection');
+    unlockSection = document.getElementById('unlockSection');
+    unlockPassphraseInput = document.getElementById('unlockPassphrase');
+    unlockError = document.getElementById('unlockError');
+    lockButton = document.getElementById('lockApiKey');
     summarySection = document.getElementById('summarySection');
     statusText = document.getElementById('statusText');
-    clearApiKeyBtn = document.getElementById('clearApiKey');
+    sourceLanguageBadge = document.getElementById('sourceLanguage');
+    profileSelect = document.getElementById('profileSelect');
     loadingState = document.getElementById('loadingState');
     summaryContent = document.getElementById('summaryContent');
     summaryText = document.getElementById('summaryText');
     copyButton = document.getElementById('copyButton');
+    copyFormatSelect = document.getElementById('copyFormat');
+    regenerateButton = document.getElementById('regenerateButton');
+    exportSummarySelect = document.getElementById('exportSummary');
+    sendWebhookSelect = document.getElementById('sendWebhook');
+    stopButton = document.getElementById('stopButton');
+    summarizePageButton = document.getElementById('summarizePageButton');
+    outputTemplateSelect = document.getElementById('outputTemplate');
     errorState = document.getElementById('errorState');
     errorText = document.getElementById('errorText');
+    confirmState = document.getElementById('confirmState');
+    confirmText = document.getElementById('confirmText');
     instructionState = document.getElementById('instructionState');
+    historySection = document.getElementById('historySection');
+    historySearch = document.getElementById('historySearch');
+    historyList = document.getElementById('historyList');
+    historyEmpty = document.getElementById('historyEmpty');
+    historyStatus = document.getElementById('historyStatus');
+    exportHistorySelect = document.getElementById('exportHistory');
+    followUpSection = document.getElementById('followUp');
+    followUpThread = document.getElementById('followUpThread');
+    followUpForm = document.getElementById('followUpForm');
+    followUpInput = document.getElementById('followUpInput');
+    followUpButton = document.getElementById('followUpButton');
+    openSidePanelButton = document.getElementById('openSidePanel');
+    tabSummariesSection = document.getElementById('tabSummaries');
+    tabSummaryList = document.getElementById('tabSummaryList');
+    isSidePanel = new URLSearchParams(location.search).get('view') === 'sidepanel';
 
     // Set up event listeners
-    saveApiKeyBtn.addEventListener('click', handleSaveApiKey);
-    clearApiKeyBtn.addEventListener('click', handleClearApiKey);
+    providerSelect.addEventListener('change', () => {
+        // Models are provider-specific
+        modelInput.value = '';
+        updateProviderFields();
+    });
+    saveApiKeyBtn.addEventListener('click', handleSaveProfile);
+    deleteProfileBtn.addEventListener('click', handleDeleteProfile);
+    document.getElementById('cancelProfile').addEventListener('click', checkApiKey);
+    document.getElementById('editProfile').addEventListener('click', () => editProfile(activeProfile));
+    profileSelect.addEventListener('change', handleProfileSwitch);
+    lockButton.addEventListener('click', handleLock);
+    document.getElementById('unlockButton').addEventListener('click', handleUnlock);
+    document.getElementById('forgotPassphrase').addEventListener('click', handleForgotPassphrase);
+    document.getElementById('openOptions').addEventListener('click', handleOpenOptions);
+    document.getElementById('openOptionsFromKey').addEventListener('click', handleOpenOptions);
     copyButton.addEventListener('click', handleCopyToClipboard);
+    copyFormatSelect.addEventListener('change', handleCopyFormatChange);
+    regenerateButton.addEventListener('click', handleRegenerate);
+    exportSummarySelect.addEventListener('change', handleExportSummary);
+    sendWebhookSelect.addEventListener('change', handleSendWebhook);
+    exportHistorySelect.addEventListener('change', handleExportHistory);
+    stopButton.addEventListener('click', handleStop);
+    summarizePageButton.addEventListener('click', handleSummarizePage);
+    outputTemplateSelect.addEventListener('change', handleTemplateChange);
+    document.getElementById('confirmSummarize').addEventListener('click', () => resolveConfirmation?.(true));
+    document.getElementById('cancelSummarize').addEventListener('click', () => resolveConfirmation?.(false));
+    document.getElementById('openHistory').addEventListener('click', showHistorySection);
+    document.getElementById('closeHistory').addEventListener('click', showSummarySection);
+    historySearch.addEventListener('input', renderHistory);
+    followUpButton.addEventListener('click', handleAskFollowUp);
+    openSidePanelButton?.addEventListener('click', handleOpenSidePanel);
 
-    // Allow Enter key to save API key
-    apiKeyInput.addEventListener('keypress', (e) => {
+    // Allow Enter key to save the profile
+    [profileNameInput, apiKeyInput, passphraseInput].forEach(input => input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            handleSaveProfile();
+        }
+    }));
+    unlockPassphraseInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            handleUnlock();
+        }
+    });
+    followUpInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
-            handleSaveApiKey();
+            handleAskFollowUp();
         }
     });
 
+    if (isSidePanel) {
+        showSidePanelView();
+        initSidePanel();
+    } else {
+        prepareSidePanelButton();
+    }
+
+    fillExportMenu(exportSummarySelect, '⬇ Export…');
+    fillExportMenu(exportHistorySelect, 'Export…');
+
+    try {
+        await loadProfiles();
+    } catch (error) {
+        console.error('Error loading profiles:', error);
+    }
+    await loadOutputTemplate();
+    await loadCopyFormat();
+    await loadWebhooks();
+
+    // Opened from the history keyboard shortcut
+    if (location.hash === '#history') {
+        await showHistorySection();
+        return;
+    }
+
     // Check if API key exists
     await checkApiKey();
 });
 
 /**
- * Checks if API key is stored and shows appropriate section
+ * Checks if the active profile has a usable API key and shows appropriate section
  */
 async function checkApiKey() {
     try {
-        const apiKey = await getFromStorage(STORAGE_KEYS.API_KEY);
+        const status = await getKeyStatus(activeProfile.id);
 
-        if (apiKey && validateApiKey(apiKey)) {
+        if (status === 'locked') {
+            showUnlockSection();
+        } else if (status === 'unlocked' || validateApiKey('', activeProfile.provider)) {
             // Show summary section
             showSummarySection();
             // Try to get selected text and summarize
-            await attemptSummarization(apiKey);
+            await attemptSummarization();
         } else {
-            // Show API key input section
-            showApiKeySection();
+            // Ask for the profile's API key
+            await editProfile(activeProfile);
         }
     } catch (error) {
         console.error('Error checking API key:', error);
-        showApiKeySection();
+        await editProfile(activeProfile);
+    }
+}
+
+/**
+ * Loads the profiles into the switcher and reads the active one
+ */
+async function loadProfiles() {
+    const profiles = await getProfiles();
+    activeProfile = await getActiveProfile();
+
+    profileSelect.innerHTML = '';
+    profiles.forEach(profile => profileSelect.add(new Option(profile.name, profile.id)));
+    profileSelect.add(new Option('+ New profile…', ''));
+    profileSelect.value = activeProfile.id;
+}
+
+/**
+ * Handles picking a profile in the switcher, or creating a new one
+ */
+async function handleProfileSwitch() {
+    const id = profileSelect.value;
+
+    // The switcher keeps showing the profile in use until the new one is saved
+    profileSelect.value = activeProfile.id;
+    closeSummaryPort();
+
+    if (!id) {
+        await editProfile(null);
+        return;
+    }
+
+    try {
+        await switchToProfile(id);
+    } catch (error) {
+        showError('Failed to switch profile. Please try again.');
+        console.error('Error switching profile:', error);
+    }
+}
+
+/**
+ * Makes a profile the active one and summarizes with it
+ * @param {string} id - Profile id
+ */
+async function switchToProfile(id) {
+    await setActiveProfile(id);
+    await loadProfiles();
+    selectOutputTemplate(activeProfile.template);
+    await checkApiKey();
+}
+
+/**
+ * Fills the output template picker with the built-in and custom templates,
+ * and selects the saved one
+ */
+async function loadOutputTemplate() {
+    Object.entries(OUTPUT_TEMPLATES).forEach(([id, template]) => {
+        outputTemplateSelect.add(new Option(template.LABEL, id));
+    });
+
+    try {
+        const promptTemplates = await getPromptTemplates();
+        if (promptTemplates.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = 'My templates';
+            promptTemplates.forEach(template => group.append(new Option(template.name, template.id)));
+            outputTemplateSelect.append(group);
+        }
+
+        selectOutputTemplate(activeProfile?.template);
+    } catch (error) {
+        outputTemplateSelect.value = DEFAULT_TEMPLATE;
+        console.error('Error loading output template:', error);
+    }
+}
+
+/**
+ * Selects a template in the picker, falling back to the default when it no
+ * longer exists
+ * @param {string} templateId - Built-in or custom template id
+ */
+function selectOutputTemplate(templateId) {
+    const isListed = Array.from(outputTemplateSelect.options).some(option => option.value === templateId);
+    outputTemplateSelect.value = isListed ? templateId : resolveOutputTemplate(templateId);
+}
+
+/**
+ * Handles picking an output template: saves it as the active profile's
+ * default and re-runs the last request
+ */
+async function handleTemplateChange() {
+    try {
+        activeProfile = { ...activeProfile, template: outputTemplateSelect.value };
+        await saveProfile(activeProfile);
+    } catch (error) {
+        console.error('Error saving output template:', error);
+    }
+
+    if (lastRequest) {
+        closeSummaryPort();
+        showLoading();
+        requestSummary(lastRequest.text, lastRequest.source, { tabId: lastRequest.tabId });
+    }
+}
+
+/**
+ * Opens the profile form
+ * @param {Object|null} profile - Profile to edit, or null to create one
+ */
+async function editProfile(profile) {
+    const settings = resolveProviderSettings(profile || {});
+
+    editingProfile = profile;
+    try {
+        editingHasKey = Boolean(profile) && (await getKeyStatus(profile.id)) !== 'none';
+    } catch (error) {
+        editingHasKey = false;
+        console.error('Error reading API key store:', error);
     }
+    providerSelect.innerHTML = '';
+    Object.entries(API_CONFIG.PROVIDERS).forEach(([id, config]) => {
+        providerSelect.add(new Option(config.NAME, id));
+    });
+
+    profileNameInput.value = profile?.name || '';
+    providerSelect.value = settings.provider;
+    baseUrlInput.value = profile?.baseUrl || '';
+    modelInput.value = profile?.model || '';
+    apiKeyInput.value = '';
+    passphraseInput.value = '';
+    updateProviderFields();
+
+    deleteProfileBtn.style.display = profile && profileSelect.options.length > 2 ? 'inline' : 'none';
+    showProfileStatus('');
+    showApiKeySection();
+}
+
+/**
+ * Shows a message under the profile form
+ * @param {string} message - Message, or '' to hide it
+ * @param {boolean} isError - Whether the message is an error
+ */
+function showProfileStatus(message, isError = false) {
+    profileStatus.textContent = message;
+    profileStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Updates the provider form for the selected provider
+ */
+function updateProviderFields() {
+    const provider = providerSelect.value;
+    const config = API_CONFIG.PROVIDERS[provider];
+
+    // Only self-hosted and Azure deployments need an endpoint
+    endpointFields.style.display = 'BASE_URL' in config ? 'block' : 'none';
+    baseUrlInput.placeholder = config.BASE_URL || 'https://my-resource.openai.azure.com';
+    modelLabel.textContent = provider === 'azure' ? 'Deployment name:' : 'Model:';
+    modelInput.placeholder = config.MODEL;
+    modelOptions.innerHTML = '';
+    config.MODELS.forEach(model => modelOptions.append(new Option(model)));
+
+    apiKeyInput.placeholder = editingHasKey
+        ? 'Leave empty to keep the saved key'
+        : config.REQUIRES_API_KEY ? config.KEY_HINT : 'Optional';
+    apiKeyLink.href = config.KEY_URL;
 }
 
 /**
- * Handles saving the API key
+ * Handles saving the profile form. The key and model are checked with a
+ * test call before anything is saved.
  */
-async function handleSaveApiKey() {
+async function handleSaveProfile() {
     const apiKey = apiKeyInput.value.trim();
+    const profile = createProfile({
+        ...editingProfile,
+        name: profileNameInput.value,
+        provider: providerSelect.value,
+        baseUrl: baseUrlInput.value,
+        model: modelInput.value
+    });
+    const config = API_CONFIG.PROVIDERS[profile.provider];
+
+    try {
+        const validation = validateProfile(profile, await getProfiles());
+        if (!validation.valid) {
+            showProfileStatus(validation.error, true);
+            return;
+        }
+
+        // Leaving the key empty while editing keeps the saved one
+        const keyStatus = editingProfile && !apiKey ? await getKeyStatus(profile.id) : 'none';
+        const keepKey = keyStatus !== 'none';
+
+        if (!keepKey && !validateApiKey(apiKey, profile.provider)) {
+            showProfileStatus(`Please enter a valid ${config.NAME} API key (${config.KEY_HINT})`, true);
+            return;
+        }
+
+        // Custom endpoints need host access granted at runtime
+        const endpoint = profile.baseUrl || config.BASE_URL;
+        if (endpoint && !(await requestHostPermission(endpoint))) {
+            showProfileStatus(`Access to ${endpoint} is required to use ${config.NAME}`, true);
+            return;
+        }
 
-    if (!validateApiKey(apiKey)) {
-        showError('Please enter a valid OpenAI API key (starts with "sk-")');
+        // A locked key cannot be tested until it is unlocked
+        if (keyStatus !== 'locked') {
+            saveApiKeyBtn.disabled = true;
+            showProfileStatus(`Testing ${config.NAME}...`);
+            await testProviderConnection(keepKey ? await getApiKey(profile.id) : apiKey, resolveProviderSettings(profile));
+        }
+    } catch (error) {
+        showProfileStatus(`Test call failed: ${formatErrorMessage(error)}`, true);
+        console.error('Error testing profile:', error);
         return;
+    } finally {
+        saveApiKeyBtn.disabled = false;
     }
 
     try {
-        await saveToStorage(STORAGE_KEYS.API_KEY, apiKey);
+        await saveProfile(profile);
+        if (apiKey) {
+            await saveApiKey(profile.id, apiKey, passphraseInput.value);
+        } else if (!editingProfile) {
+            await clearApiKey(profile.id);
+        }
         apiKeyInput.value = '';
+        passphraseInput.value = '';
+        await switchToProfile(profile.id);
+    } catch (error) {
+        showProfileStatus('Failed to save profile. Please try again.', true);
+        console.error('Error saving profile:', error);
+    }
+}
+
+/**
+ * Handles deleting the profile open in the form, with its API key
+ */
+async function handleDeleteProfile() {
+    try {
+        await deleteProfile(editingProfile.id);
+        await loadProfiles();
+        selectOutputTemplate(activeProfile.template);
+        await checkApiKey();
+    } catch (error) {
+        showProfileStatus(formatErrorMessage(error), true);
+        console.error('Error deleting profile:', error);
+    }
+}
+
+/**
+ * Requests host permission for a provider endpoint
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<boolean>} - Whether access was granted
+ */
+async function requestHostPermission(url) {
+    try {
+        const origin = new URL(url).origin;
+        return await chrome.permissions.request({ origins: [`${origin}/*`] });
+    } catch (error) {
+        console.error('Error requesting host permission:', error);
+        return false;
+    }
+}
+
+/**
+ * Opens the options page
+ * @param {Event} event - Click event
+ */
+function handleOpenOptions(event) {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+}
+
+/**
+ * Handles unlocking a passphrase-protected API key
+ */
+async function handleUnlock() {
+    try {
+        await unlockApiKey(activeProfile.id, unlockPassphraseInput.value);
+        unlockPassphraseInput.value = '';
+        unlockError.textContent = '';
         showSummarySection();
-        await attemptSummarization(apiKey);
+        await attemptSummarization();
+    } catch (error) {
+        unlockError.textContent = formatErrorMessage(error);
+        unlockPassphraseInput.select();
+    }
+}
+
+/**
+ * Handles locking the API key until the passphrase is entered again
+ */
+async function handleLock() {
+    try {
+        closeSummaryPort();
+        await lockApiKey(activeProfile.id);
+        showUnlockSection();
     } catch (error) {
-        showError('Failed to save API key. Please try again.');
-        console.error('Error saving API key:', error);
+        showError('Failed to lock API key. Please try again.');
+        console.error('Error locking API key:', error);
     }
 }
 
 /**
- * Handles clearing the API key
+ * Handles a forgotten passphrase: the key cannot be recovered, so it is
+ * removed and entered again
+ * @param {Event} event - Click event
  */
-async function handleClearApiKey() {
+async function handleForgotPassphrase(event) {
+    event.preventDefault();
+
     try {
-        await removeFromStorage(STORAGE_KEYS.API_KEY);
-        showApiKeySection();
+        await clearApiKey(activeProfile.id);
+        await editProfile(activeProfile);
     } catch (error) {
-        showError('Failed to clear API key. Please try again.');
+        unlockError.textContent = 'Failed to clear API key. Please try again.';
         console.error('Error clearing API key:', error);
     }
 }
@@ -111,13 +634,15 @@ async function handleClearApiKey() {
 /**
  * Attempts to get selected text and generate summary
  */
-async function attemptSummarization(apiKey) {
+async function attemptSummarization() {
     try {
         // Show loading state
         showLoading();
 
-        // Get selected text from storage (set by content script)
-        const selectedText = await getFromStorage('selected_text');
+        // Ask the active tab, falling back to the last selection it reported
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        activeTabId = tab?.id ?? null;
+        const selectedText = tab ? await getTabSelection(tab) : '';
 
         if (!selectedText || selectedText.trim().length === 0) {
             // No text selected, show instruction
@@ -132,26 +657,12 @@ async function attemptSummarization(apiKey) {
             return;
         }
 
-        // Send message to background script to summarize
-        chrome.runtime.sendMessage(
-            {
-                action: 'summarizeText',
-                text: selectedText,
-                apiKey: apiKey
-            },
-            (response) => {
-                if (chrome.runtime.lastError) {
-                    showError('Extension error: ' + chrome.runtime.lastError.message);
-                    return;
-                }
+        if (!(await confirmLargeRequest(selectedText))) {
+            return;
+        }
 
-                if (response.success) {
-                    showSummary(response.summary);
-                } else {
-                    showError(response.error || 'Failed to generate summary');
-                }
-            }
-        );
+        // Ask background script to summarize
+        requestSummary(selectedText, await getActiveTabSource(), { tabId: tab.id });
 
     } catch (error) {
         showError(formatErrorMessage(error));
@@ -160,13 +671,580 @@ async function attemptSummarization(apiKey) {
 }
 
 /**
- * Handles copying summary to clipboard
+ * Handles summarizing the main article of the active page
+ */
+async function handleSummarizePage() {
+    try {
+        showLoading();
+        statusText.textContent = 'Reading page...';
+
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const article = await getPageArticle(tab.id);
+
+        // Articles longer than the limit are cut rather than rejected
+        const text = formatArticleText(article).slice(0, TEXT_LIMITS.MAX_LENGTH);
+        const validation = validateText(text);
+        if (!validation.valid) {
+            showError(validation.error);
+            return;
+        }
+
+        if (!(await confirmLargeRequest(text))) {
+            return;
+        }
+
+        requestSummary(text, {
+            url: article.url || tab.url || '',
+            title: article.title || tab.title || ''
+        }, { tabId: tab.id });
+
+    } catch (error) {
+        showError('Could not read this page. Pages like the Chrome Web Store and browser settings cannot be summarized.');
+        console.error('Page extraction error:', error);
+    }
+}
+
+/**
+ * Asks before sending text estimated above USAGE_CONFIG.CONFIRM_TOKENS,
+ * showing its size and the most it can cost
+ * @param {string} text - Text about to be summarized
+ * @returns {Promise<boolean>} - Whether to go ahead
+ */
+async function confirmLargeRequest(text) {
+    const summarySettings = resolveSummarySettings(await getFromStorage(STORAGE_KEYS.SUMMARY_SETTINGS));
+    const settings = resolveProviderSettings(activeProfile, summarySettings);
+    const sanitized = sanitizeText(text);
+    const estimate = estimateRequest(sanitized, settings, splitIntoChunks(sanitized).length);
+
+    if (estimate.inputTokens < USAGE_CONFIG.CONFIRM_TOKENS) {
+        return true;
+    }
+
+    const model = settings.model || API_CONFIG.PROVIDERS[settings.provider].NAME;
+    const cost = estimate.cost === null
+        ? `The price of ${model} is not known.`
+        : `With ${model} it will cost up to ${formatCost(estimate.cost)}.`;
+    showConfirm(`This text is about ${estimate.inputTokens.toLocaleString('en-US')} tokens. ${cost} Summarize it?`);
+
+    const confirmed = await new Promise(resolve => {
+        resolveConfirmation = resolve;
+    });
+    resolveConfirmation = null;
+
+    if (confirmed) {
+        showLoading();
+    } else {
+        showInstruction();
+        statusText.textContent = 'Cancelled';
+    }
+    return confirmed;
+}
+
+/**
+ * Extracts the main article from a tab, injecting the content scripts if
+ * the page was open before the extension was installed
+ * @param {number} tabId - Tab to read
+ * @returns {Promise<Object>} - Result of extractArticle()
+ */
+async function getPageArticle(tabId) {
+    const response = await sendToContentScript(tabId, { action: 'extractArticle' });
+
+    if (!response?.success) {
+        throw new Error(response?.error || 'Article extraction failed');
+    }
+
+    return response.article;
+}
+
+/**
+ * Gets the URL and title of the active tab, recorded with the summary
+ * @returns {Promise<Object>} - { url, title }
+ */
+async function getActiveTabSource() {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        return { url: tab?.url || '', title: tab?.title || '' };
+    } catch (error) {
+        console.error('Error getting active tab:', error);
+        return { url: '', title: '' };
+    }
+}
+
+/**
+ * Handles regenerating the current summary, bypassing the cache
+ */
+function handleRegenerate() {
+    if (!lastRequest) return;
+
+    showLoading();
+    requestSummary(lastRequest.text, lastRequest.source, { regenerate: true, tabId: lastRequest.tabId });
+}
+
+/**
+ * Requests a summary from the background script over a port, rendering
+ * progress and streamed text as they arrive
+ * @param {string} text - Text to summarize
+ * @param {Object} source - { url, title } of the page the text came from
+ * @param {Object} options - { regenerate, tabId }; regenerate skips the cache, and tabId is the
+ *   tab the text came from, which the side panel lists the summary under
+ */
+function requestSummary(text, source, options = {}) {
+    const template = outputTemplateSelect.value;
+    const request = { text, source, tabId: options.tabId };
+
+    lastRequest = request;
+    streamedSummary = '';
+    showSourceLanguage(null);
+    showConversation(null);
+    summaryPort = chrome.runtime.connect({ name: 'summarize' });
+
+    summaryPort.onMessage.addListener((message) => {
+        switch (message.type) {
+            case 'progress':
+                showProgress(message.progress);
+                break;
+            case 'language':
+                showSourceLanguage(message.language);
+                break;
+            case 'retry':
+                showRetry(message.retry);
+                break;
+            case 'delta':
+                streamedSummary += message.text;
+                showStreaming(streamedSummary);
+                break;
+            case 'done':
+                closeSummaryPort();
+                currentEntry = createHistoryEntry({
+                    text,
+                    summary: message.summary,
+                    structured: message.structured,
+                    template: message.template,
+                    source,
+                    settings: activeProfile,
+                    usage: message.usage
+                });
+                showSummary(message.summary, message.structured, message.template);
+                showConversation(message.followUp ? message.historyId : null, message.turns);
+                if (isSidePanel) {
+                    rememberTabSummary(request, message, currentEntry);
+                }
+                if (message.cached) {
+                    statusText.textContent = 'Cached summary';
+                } else if (message.usage) {
+                    statusText.textContent = `Summary generated · ${formatUsage(message.usage)}`;
+                }
+                break;
+            case 'error':
+                closeSummaryPort();
+                if (message.error === ERROR_MESSAGES.KEY_LOCKED) {
+                    // Auto-locked since the popup opened
+                    showUnlockSection();
+                    break;
+                }
+                showError(message.error || 'Failed to generate summary');
+                break;
+        }
+    });
+
+    summaryPort.onDisconnect.addListener(() => {
+        if (summaryPort) {
+            summaryPort = null;
+            showError('Extension error: ' + (chrome.runtime.lastError?.message || 'Connection to background script lost'));
+        }
+    });
+
+    // The background worker reads the API key itself
+    summaryPort.postMessage({ action: 'summarizeText', text, source, template, regenerate: Boolean(options.regenerate) });
+}
+
+/**
+ * Closes the summary port; the background script aborts any request still running
+ */
+function closeSummaryPort() {
+    if (summaryPort) {
+        const port = summaryPort;
+        summaryPort = null;
+        port.disconnect();
+    }
+}
+
+/**
+ * Handles stopping the summary in progress
+ */
+function handleStop() {
+    closeSummaryPort();
+
+    if (streamedSummary) {
+        // Keep whatever arrived before stopping
+        currentEntry = createHistoryEntry({
+            text: lastRequest.text,
+            summary: streamedSummary,
+            source: lastRequest.source,
+            settings: activeProfile
+        });
+        showSummary(streamedSummary);
+        statusText.textContent = 'Stopped';
+    } else {
+        showError('Summary generation stopped.');
+    }
+}
+
+/**
+ * Shows the follow-up questions for a summary, or hides them
+ * @param {string|null} historyId - History entry of the summary, or null when questions cannot be asked
+ * @param {Array<Object>} turns - Questions answered so far ({ question, answer })
+ * @param {boolean} canAsk - Whether more questions can be asked; if not, only the transcript is shown
+ */
+function showConversation(historyId, turns = [], canAsk = true) {
+    closeFollowUpPort();
+    conversationId = canAsk ? historyId : null;
+    conversationTurns = turns || [];
+
+    followUpThread.innerHTML = '';
+    conversationTurns.forEach(turn => followUpThread.append(createTurnElement(turn)));
+    followUpForm.style.display = canAsk ? '' : 'none';
+    followUpSection.style.display = historyId && (canAsk || conversationTurns.length > 0) ? 'block' : 'none';
+}
+
+/**
+ * Creates a question and its answer for the follow-up thread
+ * @param {Object} turn - { question, answer }
+ * @returns {HTMLElement}
+ */
+function createTurnElement(turn) {
+    const element = document.createElement('div');
+    element.className = 'follow-up-turn';
+    element.append(
+        createTextElement('p', turn.question, 'follow-up-question'),
+        createTextElement('p', turn.answer, 'follow-up-answer')
+    );
+    return element;
+}
+
+/**
+ * Handles asking a follow-up question, streaming the answer into the thread
+ */
+function handleAskFollowUp() {
+    const question = followUpInput.value.trim();
+    const historyId = conversationId;
+
+    if (!conversationId || followUpPort || !validateQuestion(question).valid) {
+        followUpInput.focus();
+        return;
+    }
+
+    const turnElement = createTurnElement({ question, answer: 'Thinking...' });
+    const answer = turnElement.querySelector('.follow-up-answer');
+    const showAnswerError = (text) => {
+        answer.classList.remove('pending');
+        answer.classList.add('error');
+        answer.textContent = text;
+    };
+    let streamed = '';
+
+    answer.classList.add('pending');
+    followUpThread.append(turnElement);
+    followUpInput.value = '';
+    setFollowUpBusy(true);
+
+    const port = chrome.runtime.connect({ name: 'summarize' });
+    followUpPort = port;
+
+    port.onMessage.addListener((message) => {
+        switch (message.type) {
+            case 'retry':
+                showRetry(message.retry);
+                break;
+            case 'delta':
+                streamed += message.text;
+                answer.classList.remove('pending');
+                answer.textContent = streamed;
+                break;
+            case 'done':
+                closeFollowUpPort();
+                answer.classList.remove('pending');
+                answer.textContent = message.answer;
+                conversationTurns = message.turns;
+                tabSummaries
+                    .filter(item => item.historyId === historyId)
+                    .forEach(item => { item.turns = message.turns; });
+                statusText.textContent = message.usage ? `Answered · ${formatUsage(message.usage)}` : 'Answered';
+                break;
+            case 'error':
+                closeFollowUpPort();
+                if (message.error === ERROR_MESSAGES.KEY_LOCKED) {
+                    showUnlockSection();
+                    break;
+                }
+                showAnswerError(message.error || 'Failed to answer the question');
+                break;
+        }
+    });
+
+    port.onDisconnect.addListener(() => {
+        if (followUpPort === port) {
+            followUpPort = null;
+            setFollowUpBusy(false);
+            showAnswerError('Extension error: ' + (chrome.runtime.lastError?.message || 'Connection to background script lost'));
+        }
+    });
+
+    port.postMessage({ action: 'followUp', historyId, question });
+}
+
+/**
+ * Closes the port of the question being answered, if any
+ */
+function closeFollowUpPort() {
+    if (followUpPort) {
+        const port = followUpPort;
+        followUpPort = null;
+        port.disconnect();
+    }
+    setFollowUpBusy(false);
+}
+
+/**
+ * Disables the question input while an answer is on its way
+ * @param {boolean} busy - Whether a question is being answered
+ */
+function setFollowUpBusy(busy) {
+    followUpInput.disabled = busy;
+    followUpButton.disabled = busy;
+}
+
+/**
+ * Shows the side panel button when the browser can open the side panel
+ * (Chrome 116 and later)
+ */
+function prepareSidePanelButton() {
+    if (!chrome.sidePanel?.open) {
+        return;
+    }
+
+    chrome.windows.getCurrent()
+        .then(currentWindow => {
+            sidePanelWindowId = currentWindow.id;
+            openSidePanelButton.style.display = 'inline';
+        })
+        .catch(error => console.error('Error reading current window:', error));
+}
+
+/**
+ * Handles opening the side panel in place of the popup
+ */
+function handleOpenSidePanel() {
+    chrome.sidePanel.open({ windowId: sidePanelWindowId })
+        .then(() => window.close())
+        .catch(error => console.error('Error opening side panel:', error));
+}
+
+/**
+ * Adapts the popup's markup for the side panel
+ */
+function showSidePanelView() {
+    document.body.classList.add('side-panel');
+    openSidePanelButton.remove();
+    document.getElementById('instructionText').textContent = SIDE_PANEL_INSTRUCTION;
+}
+
+/**
+ * Sets up the side panel to follow the active tab and its selection
+ */
+function initSidePanel() {
+    // Content scripts report selections to the background worker, which keeps them per tab
+    chrome.storage.session.onChanged.addListener(handleSelectionChange);
+    chrome.tabs.onActivated.addListener(handleTabActivated);
+    chrome.tabs.onRemoved.addListener(handleTabRemoved);
+    renderTabSummaries();
+}
+
+/**
+ * Whether the side panel can move on to another summary: not while the
+ * profile form or history is open, or a question is waiting on the user
+ * or the provider
+ * @returns {boolean}
+ */
+function canFollowActiveTab() {
+    return summarySection.style.display !== 'none' && !followUpPort && !resolveConfirmation;
+}
+
+/**
+ * Summarizes a new selection in the active tab
+ * @param {Object} changes - chrome.storage.session changes
+ */
+function handleSelectionChange(changes) {
+    const text = changes[`${SELECTION_CONFIG.KEY_PREFIX}${activeTabId}`]?.newValue?.text;
+
+    if (!text || (lastRequest?.tabId === activeTabId && lastRequest.text === text) || !canFollowActiveTab()) {
+        return;
+    }
+
+    // A newer selection replaces a summary still in progress
+    closeSummaryPort();
+    attemptSummarization();
+}
+
+/**
+ * Shows the summary of the tab switched to, or summarizes its selection
+ * @param {Object} activeInfo - { tabId, windowId }
+ */
+async function handleTabActivated(activeInfo) {
+    try {
+        // Tabs activated in other windows are followed by their own side panel
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (tab?.id !== activeInfo.tabId) {
+            return;
+        }
+
+        // A summary in progress carries on, and is listed under its own tab when done
+        activeTabId = tab.id;
+        if (summaryPort || !canFollowActiveTab()) {
+            return;
+        }
+
+        const saved = tabSummaries.find(item => item.tabId === tab.id);
+        if (saved) {
+            showTabSummary(saved);
+        } else {
+            await attemptSummarization();
+        }
+    } catch (error) {
+        console.error('Error following active tab:', error);
+    }
+}
+
+/**
+ * Drops the summary of a closed tab
+ * @param {number} tabId - Closed tab
+ */
+function handleTabRemoved(tabId) {
+    tabSummaries = tabSummaries.filter(item => item.tabId !== tabId);
+    renderTabSummaries();
+}
+
+/**
+ * Keeps a finished summary as its tab's entry in the side panel list
+ * @param {Object} request - { text, source, tabId } the summary was requested with
+ * @param {Object} result - The worker's done message
+ * @param {Object} entry - The summary in the shape of a history entry, for exporting
+ */
+function rememberTabSummary(request, result, entry) {
+    if (request.tabId === undefined) {
+        return;
+    }
+
+    const item = {
+        tabId: request.tabId,
+        text: request.text,
+        source: request.source,
+        summary: result.summary,
+        structured: result.structured,
+        template: result.template,
+        historyId: result.followUp ? result.historyId : null,
+        turns: result.turns || [],
+        entry,
+        timestamp: Date.now()
+    };
+
+    tabSummaries = [item, ...tabSummaries.filter(existing => existing.tabId !== item.tabId)];
+    renderTabSummaries();
+}
+
+/**
+ * Renders the summaries kept for each tab
+ */
+function renderTabSummaries() {
+    tabSummaryList.innerHTML = '';
+    tabSummariesSection.style.display = tabSummaries.length > 0 ? 'block' : 'none';
+
+    tabSummaries.forEach(item => tabSummaryList.append(createTabSummaryItem(item)));
+}
+
+/**
+ * Creates the list item for a tab's summary
+ * @param {Object} item - Entry from rememberTabSummary()
+ * @returns {HTMLElement}
+ */
+function createTabSummaryItem(item) {
+    const element = document.createElement('li');
+    element.className = 'history-item';
+
+    const meta = [new Date(item.timestamp).toLocaleTimeString()];
+    if (item.turns.length > 0) {
+        meta.push(`${item.turns.length} ${item.turns.length === 1 ? 'question' : 'questions'}`);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    actions.append(
+        createHistoryAction('Show', () => showTabSummary(item)),
+        createHistoryAction('Go to tab', () => {
+            chrome.tabs.update(item.tabId, { active: true })
+                .catch(error => console.error('Error switching tab:', error));
+        })
+    );
+
+    element.append(
+        createTextElement('span', item.source.title || item.source.url || 'Untitled tab', 'history-title'),
+        createTextElement('div', meta.join(' · '), 'history-meta'),
+        createTextElement('p', truncateText(item.summary, 200), 'history-summary'),
+        actions
+    );
+    return element;
+}
+
+/**
+ * Shows a tab's summary from the side panel list
+ * @param {Object} item - Entry from rememberTabSummary()
+ */
+function showTabSummary(item) {
+    closeSummaryPort();
+    lastRequest = { text: item.text, source: item.source, tabId: item.tabId };
+    currentEntry = item.entry;
+    showSourceLanguage(null);
+    showSummary(item.summary, item.structured, item.template);
+    showConversation(item.historyId, item.turns);
+    statusText.textContent = item.source.title || 'Summary';
+}
+
+/**
+ * Fills the copy format menu and selects the format saved in settings
+ */
+async function loadCopyFormat() {
+    Object.entries(SUMMARY_OPTIONS.COPY_FORMATS).forEach(([id, label]) => {
+        copyFormatSelect.add(new Option(label, id));
+    });
+
+    try {
+        const settings = resolveSummarySettings(await getFromStorage(STORAGE_KEYS.SUMMARY_SETTINGS));
+        copyFormatSelect.value = settings.copyFormat;
+    } catch (error) {
+        console.error('Error loading copy format:', error);
+    }
+}
+
+/**
+ * Handles picking a copy format: remembers it for the next copy
+ */
+async function handleCopyFormatChange() {
+    try {
+        const settings = resolveSummarySettings(await getFromStorage(STORAGE_KEYS.SUMMARY_SETTINGS));
+        await saveToStorage(STORAGE_KEYS.SUMMARY_SETTINGS, { ...settings, copyFormat: copyFormatSelect.value });
+    } catch (error) {
+        console.error('Error saving copy format:', error);
+    }
+}
+
+/**
+ * Handles copying summary to clipboard in the chosen format
  */
 async function handleCopyToClipboard() {
-    const text = summaryText.textContent;
+    const entry = currentEntry || { summary: currentSummary };
 
     try {
-        await navigator.clipboard.writeText(text);
+        await writeToClipboard(formatCopy(entry, copyFormatSelect.value));
 
         // Show feedback
         const originalText = copyButton.textContent;
@@ -186,12 +1264,232 @@ async function handleCopyToClipboard() {
     }
 }
 
+/**
+ * Fills an export menu with the export formats
+ * @param {HTMLSelectElement} select - Menu to fill
+ * @param {string} label - Label shown until a format is picked
+ */
+function fillExportMenu(select, label) {
+    select.add(new Option(label, ''));
+    Object.entries(EXPORT_CONFIG.FORMATS).forEach(([id, format]) => select.add(new Option(format.NAME, id)));
+}
+
+/**
+ * Handles downloading the summary on screen, with its follow-up questions
+ */
+async function handleExportSummary() {
+    const format = exportSummarySelect.value;
+    exportSummarySelect.value = '';
+
+    if (!format || !currentEntry) return;
+
+    try {
+        await downloadSummaries([{ ...currentEntry, conversation: { turns: conversationTurns } }], format);
+        statusText.textContent = `Exported as ${EXPORT_CONFIG.FORMATS[format].NAME}`;
+    } catch (error) {
+        statusText.textContent = 'Export failed';
+        console.error('Export error:', error);
+    }
+}
+
+/**
+ * Fills the Send menu with the webhooks set up on the options page
+ */
+async function loadWebhooks() {
+    try {
+        webhooks = await getWebhooks();
+    } catch (error) {
+        console.error('Error loading webhooks:', error);
+    }
+
+    sendWebhookSelect.add(new Option('↗ Send to…', ''));
+    webhooks.forEach(webhook => sendWebhookSelect.add(new Option(webhook.name, webhook.id)));
+}
+
+/**
+ * Handles sending the summary on screen to a webhook. The background worker
+ * delivers it, so retries carry on if the popup closes.
+ */
+async function handleSendWebhook() {
+    const webhookId = sendWebhookSelect.value;
+    sendWebhookSelect.value = '';
+
+    const webhook = webhooks.find(item => item.id === webhookId);
+    if (!webhook || !currentEntry) return;
+
+    statusText.textContent = `Sending to ${webhook.name}...`;
+    try {
+        const delivery = await chrome.runtime.sendMessage({ action: 'sendWebhook', webhookId, entry: currentEntry });
+        statusText.textContent = delivery?.status === 'delivered'
+            ? `Sent to ${webhook.name}`
+            : `Sending to ${webhook.name} failed: ${delivery?.error || 'no response'}`;
+    } catch (error) {
+        statusText.textContent = `Sending to ${webhook.name} failed`;
+        console.error('Webhook error:', error);
+    }
+}
+
+/**
+ * Handles downloading the history entries matching the search box
+ */
+async function handleExportHistory() {
+    const format = exportHistorySelect.value;
+    const entries = searchHistory(historyEntries, historySearch.value);
+    exportHistorySelect.value = '';
+
+    if (!format || entries.length === 0) return;
+
+    try {
+        await downloadSummaries(entries, format);
+        historyStatus.textContent = `Exported ${entries.length} ${entries.length === 1 ? 'summary' : 'summaries'}`;
+    } catch (error) {
+        historyStatus.textContent = 'Export failed';
+        console.error('Export error:', error);
+    }
+}
+
+/**
+ * Renders history entries matching the search box
+ */
+function renderHistory() {
+    const entries = searchHistory(historyEntries, historySearch.value);
+
+    historyList.innerHTML = '';
+    historyEmpty.textContent = historyEntries.length === 0 ? 'No saved summaries yet.' : 'No summaries match your search.';
+    historyEmpty.style.display = entries.length === 0 ? 'block' : 'none';
+
+    entries.forEach(entry => historyList.append(createHistoryItem(entry)));
+}
+
+/**
+ * Creates the list item for a history entry
+ * @param {Object} entry - History entry
+ * @returns {HTMLElement}
+ */
+function createHistoryItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+
+    const title = document.createElement(entry.url ? 'a' : 'span');
+    title.className = 'history-title';
+    title.textContent = entry.title || entry.url || truncateText(entry.excerpt, 60);
+    if (entry.url) {
+        title.href = entry.url;
+        title.target = '_blank';
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = [
+        new Date(entry.timestamp).toLocaleString(),
+        entry.model,
+        entry.usage && formatUsage(entry.usage)
+    ].filter(Boolean).join(' · ');
+
+    const summary = document.createElement('p');
+    summary.className = 'history-summary';
+    summary.textContent = truncateText(entry.summary, 200);
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    actions.append(
+        createHistoryAction('Open', () => handleReopenHistory(entry)),
+        createHistoryAction('Copy', (button) => handleCopyHistory(entry, button)),
+        createHistoryAction('Delete', () => handleDeleteHistory(entry))
+    );
+
+    item.append(title, meta, summary, actions);
+    return item;
+}
+
+/**
+ * Creates a history action button
+ * @param {string} label - Button label
+ * @param {Function} onClick - Called with the button when clicked
+ * @returns {HTMLElement}
+ */
+function createHistoryAction(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn-link';
+    button.textContent = label;
+    button.addEventListener('click', () => onClick(button));
+    return button;
+}
+
+/**
+ * Re-opens a history entry in the summary view
+ * @param {Object} entry - History entry
+ */
+async function handleReopenHistory(entry) {
+    // The text the summary was made from is only kept while the conversation can be resumed
+    const canAsk = Boolean(await getConversation(entry.id).catch(error => {
+        console.error('Error loading conversation:', error);
+        return null;
+    }));
+
+    // Only the excerpt is kept, so history entries cannot be regenerated
+    lastRequest = null;
+    currentEntry = entry;
+    showSummarySection();
+    showSourceLanguage(null);
+    showSummary(entry.summary, entry.structured, entry.template);
+    showConversation(entry.id, entry.conversation?.turns, canAsk);
+    statusText.textContent = `Saved ${new Date(entry.timestamp).toLocaleDateString()}`;
+}
+
+/**
+ * Copies a history entry's summary to the clipboard in the chosen format
+ * @param {Object} entry - History entry
+ * @param {HTMLElement} button - Button to show feedback on
+ */
+async function handleCopyHistory(entry, button) {
+    try {
+        await writeToClipboard(formatCopy(entry, copyFormatSelect.value));
+
+        button.textContent = '✓ Copied!';
+        setTimeout(() => {
+            button.textContent = 'Copy';
+        }, 2000);
+    } catch (error) {
+        button.textContent = 'Copy failed';
+        console.error('Copy error:', error);
+    }
+}
+
+/**
+ * Deletes a history entry
+ * @param {Object} entry - History entry
+ */
+async function handleDeleteHistory(entry) {
+    try {
+        await deleteFromHistory(entry.id);
+        await deleteConversation(entry.id);
+        historyEntries = historyEntries.filter(e => e.id !== entry.id);
+        renderHistory();
+    } catch (error) {
+        console.error('Error deleting history entry:', error);
+    }
+}
+
 /**
  * Shows the API key input section
  */
 function showApiKeySection() {
     apiKeySection.style.display = 'block';
+    unlockSection.style.display = 'none';
+    summarySection.style.display = 'none';
+    historySection.style.display = 'none';
+}
+
+/**
+ * Shows the passphrase prompt for a locked API key
+ */
+function showUnlockSection() {
+    apiKeySection.style.display = 'none';
+    unlockSection.style.display = 'block';
     summarySection.style.display = 'none';
+    historySection.style.display = 'none';
+    unlockPassphraseInput.focus();
 }
 
 /**
@@ -199,41 +1497,249 @@ function showApiKeySection() {
  */
 function showSummarySection() {
     apiKeySection.style.display = 'none';
+    unlockSection.style.display = 'none';
     summarySection.style.display = 'block';
+    historySection.style.display = 'none';
+
+    // Locking only means something with a passphrase
+    isApiKeyProtected(activeProfile.id)
+        .then(isProtected => {
+            lockButton.style.display = isProtected ? 'inline' : 'none';
+        })
+        .catch(error => console.error('Error reading API key store:', error));
+}
+
+/**
+ * Shows the history section
+ */
+async function showHistorySection() {
+    apiKeySection.style.display = 'none';
+    unlockSection.style.display = 'none';
+    summarySection.style.display = 'none';
+    historySection.style.display = 'block';
+    historyStatus.textContent = 'History';
+
+    try {
+        historyEntries = await getHistory();
+    } catch (error) {
+        historyEntries = [];
+        console.error('Error loading history:', error);
+    }
+
+    renderHistory();
+    historySearch.focus();
 }
 
 /**
  * Shows loading state
  */
 function showLoading() {
+    confirmState.style.display = 'none';
     loadingState.style.display = 'flex';
     summaryContent.style.display = 'none';
     errorState.style.display = 'none';
     instructionState.style.display = 'none';
+    summarizePageButton.style.display = 'none';
+    stopButton.style.display = 'block';
     statusText.textContent = 'Generating...';
 }
 
 /**
- * Shows summary
+ * Shows chunked summarization progress in the status bar
+ * @param {Object} progress - { stage, completed, total, pass }
+ */
+function showProgress(progress) {
+    if (progress.stage === 'chunk') {
+        const current = Math.min(progress.completed + 1, progress.total);
+        statusText.textContent = `Summarizing part ${current} of ${progress.total}...`;
+    } else {
+        statusText.textContent = 'Combining summaries...';
+    }
+}
+
+/**
+ * Shows a pending retry in the status bar
+ * @param {Object} retry - { attempt, maxAttempts, delay, status }
+ */
+function showRetry(retry) {
+    const reason = retry.status === 429 ? 'Rate limited' : retry.status ? 'Service error' : 'Network error';
+    const seconds = Math.ceil(retry.delay / 1000);
+    statusText.textContent = `${reason}, retrying in ${seconds}s (attempt ${retry.attempt} of ${retry.maxAttempts})...`;
+}
+
+/**
+ * Shows the detected language of the text next to the status, with the
+ * summary language when it differs
+ * @param {Object|null} language - { source, target } language names, or null to hide
+ */
+function showSourceLanguage(language) {
+    if (!language?.source) {
+        sourceLanguageBadge.style.display = 'none';
+        return;
+    }
+
+    const translated = language.target && language.target !== language.source;
+    sourceLanguageBadge.textContent = translated ? `🌐 ${language.source} → ${language.target}` : `🌐 ${language.source}`;
+    sourceLanguageBadge.style.display = 'inline-block';
+}
+
+/**
+ * Shows a summary that is still streaming in
  */
-function showSummary(summary) {
+function showStreaming(summary) {
+    confirmState.style.display = 'none';
     loadingState.style.display = 'none';
     summaryContent.style.display = 'block';
     errorState.style.display = 'none';
     instructionState.style.display = 'none';
+    copyButton.style.display = 'none';
+    copyFormatSelect.style.display = 'none';
+    regenerateButton.style.display = 'none';
+    exportSummarySelect.style.display = 'none';
+    sendWebhookSelect.style.display = 'none';
+    summarizePageButton.style.display = 'none';
+    stopButton.style.display = 'block';
 
     summaryText.textContent = summary;
+    statusText.textContent = 'Streaming...';
+}
+
+/**
+ * Shows summary
+ * @param {string} summary - Plain-text summary
+ * @param {Object} structured - Validated object for structured templates, or null
+ * @param {string} templateId - Output template the summary was generated with
+ */
+function showSummary(summary, structured = null, templateId = DEFAULT_TEMPLATE) {
+    confirmState.style.display = 'none';
+    loadingState.style.display = 'none';
+    summaryContent.style.display = 'block';
+    errorState.style.display = 'none';
+    instructionState.style.display = 'none';
+    copyButton.style.display = 'block';
+    copyFormatSelect.style.display = 'block';
+    regenerateButton.style.display = lastRequest ? 'block' : 'none';
+    exportSummarySelect.style.display = currentEntry ? 'block' : 'none';
+    sendWebhookSelect.style.display = currentEntry && webhooks.length > 0 ? 'block' : 'none';
+    summarizePageButton.style.display = 'block';
+    stopButton.style.display = 'none';
+
+    currentSummary = summary;
+    if (structured) {
+        summaryText.innerHTML = '';
+        renderStructuredSummary(structured, templateId);
+    } else {
+        summaryText.textContent = summary;
+    }
     statusText.textContent = 'Summary generated';
 }
 
+/**
+ * Renders a structured summary as lists rather than flat text
+ * @param {Object} data - Validated object from the background script
+ * @param {string} templateId - Output template id
+ */
+function renderStructuredSummary(data, templateId) {
+    switch (templateId) {
+        case 'keyPoints':
+            summaryText.append(createList(data.points));
+            break;
+        case 'tldr':
+            summaryText.append(createTextElement('p', data.tldr));
+            break;
+        case 'actionItems':
+            if (data.items.length === 0) {
+                summaryText.append(createTextElement('p', 'No action items found.'));
+                break;
+            }
+            summaryText.append(createList(data.items, (li, item) => {
+                li.append(item.task);
+                if (item.owner) {
+                    li.append(' ', createTextElement('span', item.owner, 'owner'));
+                }
+            }));
+            break;
+        case 'qa': {
+            const list = document.createElement('dl');
+            data.questions.forEach(qa => {
+                list.append(createTextElement('dt', qa.question), createTextElement('dd', qa.answer));
+            });
+            summaryText.append(list);
+            break;
+        }
+        case 'executive':
+            summaryText.append(
+                createTextElement('h4', data.headline),
+                createTextElement('p', data.overview),
+                createList(data.keyPoints)
+            );
+            if (data.recommendation) {
+                summaryText.append(createTextElement('p', `Recommendation: ${data.recommendation}`));
+            }
+            break;
+    }
+}
+
+/**
+ * Creates an element holding text
+ * @param {string} tag - Tag name
+ * @param {string} text - Text content
+ * @param {string} className - Optional class name
+ * @returns {HTMLElement}
+ */
+function createTextElement(tag, text, className = '') {
+    const element = document.createElement(tag);
+    element.textContent = text;
+    if (className) {
+        element.className = className;
+    }
+    return element;
+}
+
+/**
+ * Creates a bulleted list
+ * @param {Array} items - List items
+ * @param {Function} renderItem - Fills an li for an item; defaults to its text
+ * @returns {HTMLElement}
+ */
+function createList(items, renderItem = (li, item) => li.append(item)) {
+    const list = document.createElement('ul');
+    items.forEach(item => {
+        const li = document.createElement('li');
+        renderItem(li, item);
+        list.append(li);
+    });
+    return list;
+}
+
+/**
+ * Shows a question before sending a large request
+ * @param {string} message - Question with the estimated size and cost
+ */
+function showConfirm(message) {
+    loadingState.style.display = 'none';
+    summaryContent.style.display = 'none';
+    errorState.style.display = 'none';
+    instructionState.style.display = 'none';
+    confirmState.style.display = 'block';
+    summarizePageButton.style.display = 'none';
+    stopButton.style.display = 'none';
+
+    confirmText.textContent = message;
+    statusText.textContent = 'Waiting for confirmation';
+}
+
 /**
  * Shows error message
  */
 function showError(message) {
+    confirmState.style.display = 'none';
     loadingState.style.display = 'none';
     summaryContent.style.display = 'none';
     errorState.style.display = 'block';
     instructionState.style.display = 'none';
+    summarizePageButton.style.display = 'block';
+    stopButton.style.display = 'none';
 
     errorText.textContent = message;
     statusText.textContent = 'Error';
@@ -243,10 +1749,13 @@ function showError(message) {
  * Shows instruction message
  */
 function showInstruction() {
+    confirmState.style.display = 'none';
     loadingState.style.display = 'none';
     summaryContent.style.display = 'none';
     errorState.style.display = 'none';
     instructionState.style.display = 'block';
+    summarizePageButton.style.display = 'block';
+    stopButton.style.display = 'none';
 
     statusText.textContent = 'Ready';
 }
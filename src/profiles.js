@@ -0,0 +1,179 @@
+/**
+ * Profiles
+ * Named provider profiles, each with its own provider, endpoint, model,
+ * default output template and encrypted API key (keystore.js), so personal,
+ * team and organization keys can be switched from the popup
+ */
+
+import { API_CONFIG, DEFAULT_TEMPLATE, STORAGE_KEYS, getFromStorage, removeFromStorage } from './utils.js';
+import { clearApiKey, migrateLegacyApiKey } from './keystore.js';
+
+// Constants
+const PROFILES_CONFIG = {
+    STORAGE_KEY: 'profiles',          // chrome.storage.local, next to the encrypted keys
+    ACTIVE_KEY: 'active_profile',
+    ID_PREFIX: 'profile:',
+    MIGRATED_ID: 'profile:default',  // Fixed, so migrations started by two pages agree
+    NAME_MAX_LENGTH: 40,
+    DEFAULT_NAME: 'Default'
+};
+
+// Migration in progress, shared so concurrent callers wait for the same one
+let migration = null;
+
+/**
+ * Creates a profile, keeping only known fields
+ * @param {Object} fields - { id, name, provider, baseUrl, model, apiVersion, template }; id is
+ *   generated when missing
+ * @returns {Object}
+ */
+function createProfile(fields = {}) {
+    return {
+        id: fields.id || `${PROFILES_CONFIG.ID_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: (fields.name || '').trim(),
+        provider: API_CONFIG.PROVIDERS[fields.provider] ? fields.provider : API_CONFIG.DEFAULT_PROVIDER,
+        baseUrl: (fields.baseUrl || '').trim(),
+        model: (fields.model || '').trim(),
+        apiVersion: (fields.apiVersion || '').trim(),
+        template: fields.template || DEFAULT_TEMPLATE
+    };
+}
+
+/**
+ * Validates a profile before saving
+ * @param {Object} profile - Profile from createProfile()
+ * @param {Array<Object>} profiles - Saved profiles, to keep names unique
+ * @returns {Object} - { valid: boolean, error: string }
+ */
+function validateProfile(profile, profiles = []) {
+    if (!profile.name) {
+        return { valid: false, error: 'Please give the profile a name.' };
+    }
+
+    if (profile.name.length > PROFILES_CONFIG.NAME_MAX_LENGTH) {
+        return { valid: false, error: `Profile names can be at most ${PROFILES_CONFIG.NAME_MAX_LENGTH} characters.` };
+    }
+
+    const name = profile.name.toLowerCase();
+    if (profiles.some(other => other.id !== profile.id && other.name.toLowerCase() === name)) {
+        return { valid: false, error: `A profile named "${profile.name}" already exists.` };
+    }
+
+    if (profile.provider === 'azure' && (!profile.baseUrl || !profile.model)) {
+        return { valid: false, error: 'Please enter your Azure endpoint URL and deployment name.' };
+    }
+
+    return { valid: true, error: '' };
+}
+
+/**
+ * Creates the first profile from the single provider setup of earlier
+ * versions, moving its API key along
+ * @returns {Promise<Array<Object>>} - The new profile list
+ */
+async function migrateToProfiles() {
+    const stored = await getFromStorage(STORAGE_KEYS.PROVIDER_SETTINGS) || {};
+    const profile = createProfile({
+        ...stored,
+        id: PROFILES_CONFIG.MIGRATED_ID,
+        name: PROFILES_CONFIG.DEFAULT_NAME,
+        template: await getFromStorage(STORAGE_KEYS.OUTPUT_TEMPLATE)
+    });
+
+    await chrome.storage.local.set({
+        [PROFILES_CONFIG.STORAGE_KEY]: [profile],
+        [PROFILES_CONFIG.ACTIVE_KEY]: profile.id
+    });
+    await migrateLegacyApiKey(profile.id);
+    await removeFromStorage(STORAGE_KEYS.PROVIDER_SETTINGS);
+    await removeFromStorage(STORAGE_KEYS.OUTPUT_TEMPLATE);
+
+    return [profile];
+}
+
+/**
+ * Gets all profiles, creating the first one on first use
+ * @returns {Promise<Array<Object>>}
+ */
+async function getProfiles() {
+    const result = await chrome.storage.local.get(PROFILES_CONFIG.STORAGE_KEY);
+    const profiles = result[PROFILES_CONFIG.STORAGE_KEY];
+
+    if (Array.isArray(profiles) && profiles.length > 0) {
+        return profiles;
+    }
+
+    // A second migration would find the legacy key already moved
+    migration = migration || migrateToProfiles().finally(() => {
+        migration = null;
+    });
+    return migration;
+}
+
+/**
+ * Gets the profile in use, falling back to the first one
+ * @returns {Promise<Object>}
+ */
+async function getActiveProfile() {
+    const profiles = await getProfiles();
+    const activeId = (await chrome.storage.local.get(PROFILES_CONFIG.ACTIVE_KEY))[PROFILES_CONFIG.ACTIVE_KEY];
+
+    return profiles.find(profile => profile.id === activeId) || profiles[0];
+}
+
+/**
+ * Switches to another profile
+ * @param {string} id - Profile id
+ * @returns {Promise<void>}
+ */
+async function setActiveProfile(id) {
+    await chrome.storage.local.set({ [PROFILES_CONFIG.ACTIVE_KEY]: id });
+}
+
+/**
+ * Adds a profile, or replaces the saved profile with the same id
+ * @param {Object} profile - Profile from createProfile()
+ * @returns {Promise<void>}
+ */
+async function saveProfile(profile) {
+    const profiles = await getProfiles();
+    const index = profiles.findIndex(item => item.id === profile.id);
+    const updated = index === -1
+        ? [...profiles, profile]
+        : profiles.map(item => (item.id === profile.id ? profile : item));
+
+    await chrome.storage.local.set({ [PROFILES_CONFIG.STORAGE_KEY]: updated });
+}
+
+/**
+ * Deletes a profile and its API key; the last profile cannot be deleted
+ * @param {string} id - Profile id
+ * @returns {Promise<void>}
+ */
+async function deleteProfile(id) {
+    const profiles = await getProfiles();
+    const remaining = profiles.filter(profile => profile.id !== id);
+
+    if (remaining.length === 0) {
+        throw new Error('The last profile cannot be deleted.');
+    }
+
+    await chrome.storage.local.set({ [PROFILES_CONFIG.STORAGE_KEY]: remaining });
+    await clearApiKey(id);
+
+    const activeId = (await chrome.storage.local.get(PROFILES_CONFIG.ACTIVE_KEY))[PROFILES_CONFIG.ACTIVE_KEY];
+    if (activeId === id) {
+        await setActiveProfile(remaining[0].id);
+    }
+}
+
+export {
+    PROFILES_CONFIG,
+    createProfile,
+    validateProfile,
+    getProfiles,
+    getActiveProfile,
+    setActiveProfile,
+    saveProfile,
+    deleteProfile
+};
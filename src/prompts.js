@@ -0,0 +1,231 @@
+/**
+ * Custom Prompt Templates
+ * User-written prompts with {{placeholders}}, picked per run from the popup's
+ * Output menu. Stored in chrome.storage.local, where there is room for long
+ * prompts (storage.sync caps each item at 8 KB).
+ */
+
+// Constants
+const PROMPT_TEMPLATES_CONFIG = {
+    STORAGE_KEY: 'prompt_templates',
+    ID_PREFIX: 'custom:',    // Keeps custom ids apart from OUTPUT_TEMPLATES ids
+    VARIABLES: {
+        text: 'text',
+        url: 'page URL',
+        title: 'page title',
+        language: 'language'
+    },
+    REQUIRED_VARIABLES: ['text'],
+    MAX_NAME_LENGTH: 60,
+    MAX_PROMPT_LENGTH: 4000,
+    EXPORT_VERSION: 1
+};
+
+// '\{{' is a literal '{{'; '{{ name }}' is a placeholder; a '{{' left over is unclosed
+const PLACEHOLDER_PATTERN = /\\\{\{|\{\{([^{}]*)\}\}|\{\{/g;
+
+/**
+ * Splits a prompt into literal text and placeholders
+ * @param {string} prompt - Template prompt
+ * @param {Object} variables - Allowed placeholder names (webhook bodies have their own)
+ * @returns {Array<string|Object>} - Strings and { name } placeholders
+ * @throws {Error} - On unknown or unclosed placeholders
+ */
+function parsePromptTemplate(prompt, variables = PROMPT_TEMPLATES_CONFIG.VARIABLES) {
+    const parts = [];
+    let index = 0;
+
+    for (const match of prompt.matchAll(PLACEHOLDER_PATTERN)) {
+        parts.push(prompt.slice(index, match.index));
+        index = match.index + match[0].length;
+
+        if (match[0] === '\\{{') {
+            parts.push('{{');
+        } else if (match[1] === undefined) {
+            throw new Error('Unclosed placeholder: every "{{" needs a matching "}}" (write "\\{{" for literal braces).');
+        } else {
+            const name = match[1].trim();
+
+            if (!(name in variables)) {
+                const known = Object.keys(variables).map(variable => `{{${variable}}}`).join(', ');
+                throw new Error(`Unknown placeholder {{${name}}}. Available placeholders: ${known}.`);
+            }
+
+            parts.push({ name });
+        }
+    }
+
+    parts.push(prompt.slice(index));
+    return parts;
+}
+
+/**
+ * Validates a template before it is saved
+ * @param {Object} template - { name, prompt }
+ * @returns {Object} - { valid: boolean, error: string }
+ */
+function validatePromptTemplate(template) {
+    const name = typeof template?.name === 'string' ? template.name.trim() : '';
+    const prompt = typeof template?.prompt === 'string' ? template.prompt : '';
+
+    if (!name) {
+        return { valid: false, error: 'Please give the template a name.' };
+    }
+
+    if (name.length > PROMPT_TEMPLATES_CONFIG.MAX_NAME_LENGTH) {
+        return { valid: false, error: `Template names can be at most ${PROMPT_TEMPLATES_CONFIG.MAX_NAME_LENGTH} characters.` };
+    }
+
+    if (!prompt.trim()) {
+        return { valid: false, error: 'Please write a prompt.' };
+    }
+
+    if (prompt.length > PROMPT_TEMPLATES_CONFIG.MAX_PROMPT_LENGTH) {
+        return { valid: false, error: `Prompts can be at most ${PROMPT_TEMPLATES_CONFIG.MAX_PROMPT_LENGTH} characters.` };
+    }
+
+    let parts;
+    try {
+        parts = parsePromptTemplate(prompt);
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+
+    const used = parts.filter(part => typeof part === 'object').map(part => part.name);
+    const missing = PROMPT_TEMPLATES_CONFIG.REQUIRED_VARIABLES.find(variable => !used.includes(variable));
+    if (missing) {
+        return { valid: false, error: `The prompt must include {{${missing}}}.` };
+    }
+
+    return { valid: true, error: null };
+}
+
+/**
+ * Fills a template's placeholders. Values are inserted as-is and never
+ * re-read as placeholders, so page titles or text containing "{{" are safe.
+ * @param {string} prompt - Template prompt
+ * @param {Object} variables - { text, url, title, language }
+ * @returns {string}
+ * @throws {Error} - When the prompt is invalid or a variable it uses has no value
+ */
+function renderPromptTemplate(prompt, variables) {
+    return parsePromptTemplate(prompt).map(part => {
+        if (typeof part === 'string') {
+            return part;
+        }
+
+        const value = variables[part.name];
+        if (value === undefined || value === null || String(value).trim() === '') {
+            throw new Error(`This template uses {{${part.name}}}, but no ${PROMPT_TEMPLATES_CONFIG.VARIABLES[part.name]} is available for this text.`);
+        }
+
+        return String(value);
+    }).join('');
+}
+
+/**
+ * Creates a template with a new id
+ * @param {Object} details - { name, prompt }
+ * @returns {Object} - { id, name, prompt }
+ */
+function createPromptTemplate({ name, prompt }) {
+    return {
+        id: `${PROMPT_TEMPLATES_CONFIG.ID_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: name.trim(),
+        prompt
+    };
+}
+
+/**
+ * Checks whether an output template id refers to a custom template
+ * @param {string} templateId - Output template id
+ * @returns {boolean}
+ */
+function isPromptTemplateId(templateId) {
+    return typeof templateId === 'string' && templateId.startsWith(PROMPT_TEMPLATES_CONFIG.ID_PREFIX);
+}
+
+/**
+ * Serializes templates for sharing
+ * @param {Array<Object>} templates - Stored templates
+ * @returns {string} - JSON
+ */
+function exportPromptTemplates(templates) {
+    return JSON.stringify({
+        version: PROMPT_TEMPLATES_CONFIG.EXPORT_VERSION,
+        templates: templates.map(({ name, prompt }) => ({ name, prompt }))
+    }, null, 2);
+}
+
+/**
+ * Merges templates from an export into the existing list. Imported templates
+ * replace existing ones with the same name, keeping their ids.
+ * @param {string} json - Exported JSON (an object with templates, or a bare array)
+ * @param {Array<Object>} existing - Stored templates
+ * @returns {Array<Object>} - Merged templates
+ * @throws {Error} - When the JSON or any template in it is invalid
+ */
+function importPromptTemplates(json, existing = []) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    const imported = Array.isArray(data) ? data : data?.templates;
+    if (!Array.isArray(imported) || imported.length === 0) {
+        throw new Error('The file does not contain any templates.');
+    }
+
+    const merged = existing.slice();
+
+    imported.forEach((template, index) => {
+        const validation = validatePromptTemplate(template);
+        if (!validation.valid) {
+            throw new Error(`Template ${index + 1} (${template?.name || 'unnamed'}): ${validation.error}`);
+        }
+
+        const name = template.name.trim();
+        const position = merged.findIndex(item => item.name === name);
+
+        if (position === -1) {
+            merged.push(createPromptTemplate(template));
+        } else {
+            merged[position] = { ...merged[position], prompt: template.prompt };
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Gets all custom templates
+ * @returns {Promise<Array<Object>>}
+ */
+async function getPromptTemplates() {
+    const result = await chrome.storage.local.get(PROMPT_TEMPLATES_CONFIG.STORAGE_KEY);
+    return result[PROMPT_TEMPLATES_CONFIG.STORAGE_KEY] || [];
+}
+
+/**
+ * Saves the full list of custom templates
+ * @param {Array<Object>} templates - Templates to store
+ * @returns {Promise<void>}
+ */
+async function savePromptTemplates(templates) {
+    await chrome.storage.local.set({ [PROMPT_TEMPLATES_CONFIG.STORAGE_KEY]: templates });
+}
+
+export {
+    PROMPT_TEMPLATES_CONFIG,
+    parsePromptTemplate,
+    validatePromptTemplate,
+    renderPromptTemplate,
+    createPromptTemplate,
+    isPromptTemplateId,
+    exportPromptTemplates,
+    importPromptTemplates,
+    getPromptTemplates,
+    savePromptTemplates
+};
@@ -0,0 +1,401 @@
+/**
+ * LLM Provider Layer
+ * Each provider supplies its own endpoint, auth headers, request builder,
+ * response parser and streaming event parser. Static configuration lives in API_CONFIG.PROVIDERS (utils.js).
+ */
+
+import { API_CONFIG, DEFAULT_SETTINGS, ERROR_MESSAGES, parseApiResponse, parseApiUsage } from './utils.js';
+
+/**
+ * Fills a '{placeholder}' endpoint template from provider settings
+ * @param {string} template - Endpoint template
+ * @param {Object} settings - Resolved provider settings
+ * @returns {string}
+ */
+function buildEndpoint(template, settings) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = settings[name];
+
+        if (!value) {
+            throw new Error(`Missing ${name} for ${API_CONFIG.PROVIDERS[settings.provider].NAME}. Please update your provider settings.`);
+        }
+
+        return name === 'baseUrl' ? value.replace(/\/+$/, '') : encodeURIComponent(value);
+    });
+}
+
+/**
+ * Builds the request body shared by OpenAI-compatible chat completion APIs
+ * @param {Array<Object>} messages - Chat messages
+ * @param {Object} settings - Resolved provider settings
+ * @returns {Object}
+ */
+function buildChatCompletionsBody(messages, settings) {
+    return {
+        model: settings.model,
+        messages,
+        max_tokens: settings.maxTokens,
+        temperature: settings.temperature
+    };
+}
+
+/**
+ * Extracts the text delta from an OpenAI-compatible streaming chunk
+ * @param {Object} event - Parsed 'data:' payload
+ * @returns {string}
+ */
+function parseChatCompletionsDelta(event) {
+    return event.choices?.[0]?.delta?.content || '';
+}
+
+/**
+ * Extracts the text delta from an Anthropic streaming event
+ * @param {Object} event - Parsed 'data:' payload
+ * @returns {string}
+ */
+function parseAnthropicDelta(event) {
+    if (event.type === 'error') {
+        throw new Error(event.error?.message || ERROR_MESSAGES.API_ERROR);
+    }
+
+    return event.type === 'content_block_delta' ? event.delta?.text || '' : '';
+}
+
+/**
+ * Parses an Anthropic Messages API response
+ * @param {Object} response - API response object
+ * @returns {string} - Extracted summary text
+ */
+function parseAnthropicResponse(response) {
+    const summary = (response?.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+    if (!summary.trim()) {
+        console.error('Error parsing API response:', response);
+        throw new Error(ERROR_MESSAGES.INVALID_RESPONSE);
+    }
+
+    return summary.trim();
+}
+
+/**
+ * Parses the token usage of an Anthropic Messages API response
+ * @param {Object} response - API response object
+ * @returns {Object|null} - { inputTokens, outputTokens }, or null when the response has none
+ */
+function parseAnthropicUsage(response) {
+    const usage = response?.usage;
+
+    if (!usage || typeof usage.input_tokens !== 'number') {
+        return null;
+    }
+
+    return {
+        inputTokens: usage.input_tokens,
+        outputTokens: usage.output_tokens || 0
+    };
+}
+
+/**
+ * Extracts token usage from an Anthropic streaming event. Input tokens come
+ * in message_start and the final output count in message_delta.
+ * @param {Object} event - Parsed 'data:' payload
+ * @returns {Object|null} - Partial { inputTokens, outputTokens }
+ */
+function parseAnthropicStreamUsage(event) {
+    if (event.type === 'message_start') {
+        return parseAnthropicUsage(event.message);
+    }
+
+    if (event.type === 'message_delta' && typeof event.usage?.output_tokens === 'number') {
+        return { outputTokens: event.usage.output_tokens };
+    }
+
+    return null;
+}
+
+const PROVIDERS = {
+    openai: {
+        getEndpoint: () => API_CONFIG.PROVIDERS.openai.ENDPOINT,
+        getHeaders: (apiKey) => ({ 'Authorization': `Bearer ${apiKey}` }),
+        buildBody: buildChatCompletionsBody,
+        parseResponse: parseApiResponse,
+        parseUsage: parseApiUsage,
+        parseStreamEvent: parseChatCompletionsDelta,
+        parseStreamUsage: parseApiUsage,
+        // Usage is only sent at the end of a stream when asked for
+        streamOptions: { stream_options: { include_usage: true } }
+    },
+
+    azure: {
+        getEndpoint: settings => buildEndpoint(API_CONFIG.PROVIDERS.azure.ENDPOINT, settings),
+        getHeaders: (apiKey) => ({ 'api-key': apiKey }),
+        // The deployment in the URL selects the model
+        buildBody: (messages, settings) => {
+            const body = buildChatCompletionsBody(messages, settings);
+            delete body.model;
+            return body;
+        },
+        parseResponse: parseApiResponse,
+        parseUsage: parseApiUsage,
+        parseStreamEvent: parseChatCompletionsDelta,
+        // No streamOptions: older API versions reject stream_options, so
+        // streamed responses report no usage and are estimated instead
+        parseStreamUsage: parseApiUsage
+    },
+
+    anthropic: {
+        getEndpoint: () => API_CONFIG.PROVIDERS.anthropic.ENDPOINT,
+        getHeaders: (apiKey) => ({
+            'x-api-key': apiKey,
+            'anthropic-version': API_CONFIG.PROVIDERS.anthropic.API_VERSION,
+            'anthropic-dangerous-direct-browser-access': 'true'
+        }),
+        // System prompt is a top-level field rather than a message
+        buildBody: (messages, settings) => ({
+            model: settings.model,
+            system: messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n') || undefined,
+            messages: messages.filter(m => m.role !== 'system'),
+            max_tokens: settings.maxTokens,
+            temperature: settings.temperature
+        }),
+        parseResponse: parseAnthropicResponse,
+        parseUsage: parseAnthropicUsage,
+        parseStreamEvent: parseAnthropicDelta,
+        parseStreamUsage: parseAnthropicStreamUsage
+    },
+
+    ollama: {
+        getEndpoint: settings => buildEndpoint(API_CONFIG.PROVIDERS.ollama.ENDPOINT, settings),
+        getHeaders: (apiKey) => (apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        buildBody: buildChatCompletionsBody,
+        parseResponse: parseApiResponse,
+        parseUsage: parseApiUsage,
+        parseStreamEvent: parseChatCompletionsDelta,
+        parseStreamUsage: parseApiUsage,
+        streamOptions: { stream_options: { include_usage: true } }
+    }
+};
+
+/**
+ * Gets a provider implementation by id
+ * @param {string} providerId - Provider id
+ * @returns {Object}
+ */
+function getProvider(providerId) {
+    const provider = PROVIDERS[providerId];
+
+    if (!provider) {
+        throw new Error(`Unknown provider: ${providerId}`);
+    }
+
+    return provider;
+}
+
+/**
+ * Merges stored provider settings with the provider's defaults
+ * @param {Object} stored - Settings saved by the user (may be undefined)
+ * @param {Object} summarySettings - Resolved summary settings ({ maxTokens, temperature })
+ * @returns {Object} - { provider, model, baseUrl, apiVersion, maxTokens, temperature }
+ */
+function resolveProviderSettings(stored = {}, summarySettings = DEFAULT_SETTINGS) {
+    const providerId = stored?.provider && API_CONFIG.PROVIDERS[stored.provider]
+        ? stored.provider
+        : API_CONFIG.DEFAULT_PROVIDER;
+    const config = API_CONFIG.PROVIDERS[providerId];
+
+    return {
+        provider: providerId,
+        model: stored?.model || config.MODEL,
+        baseUrl: stored?.baseUrl || config.BASE_URL || '',
+        apiVersion: stored?.apiVersion || config.API_VERSION || '',
+        maxTokens: summarySettings.maxTokens,
+        // Some providers accept a narrower temperature range
+        temperature: Math.min(summarySettings.temperature, config.MAX_TEMPERATURE ?? summarySettings.temperature)
+    };
+}
+
+/**
+ * Builds the fetch URL and options for a chat request
+ * @param {Array<Object>} messages - Chat messages ({ role, content })
+ * @param {string} apiKey - API key (may be empty for local servers)
+ * @param {Object} settings - Resolved provider settings
+ * @param {Object} requestOptions - { stream, signal }
+ * @returns {Object} - { url, options }
+ */
+function buildProviderRequest(messages, apiKey, settings, requestOptions = {}) {
+    const provider = getProvider(settings.provider);
+    const body = provider.buildBody(messages, settings);
+
+    if (requestOptions.stream) {
+        Object.assign(body, { stream: true }, provider.streamOptions);
+    }
+
+    return {
+        url: provider.getEndpoint(settings),
+        options: {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...provider.getHeaders(apiKey)
+            },
+            body: JSON.stringify(body),
+            signal: requestOptions.signal
+        }
+    };
+}
+
+/**
+ * Parses a provider response into summary text
+ * @param {Object} data - Parsed JSON response
+ * @param {Object} settings - Resolved provider settings
+ * @returns {string}
+ */
+function parseProviderResponse(data, settings) {
+    return getProvider(settings.provider).parseResponse(data);
+}
+
+/**
+ * Parses the token usage reported in a provider response
+ * @param {Object} data - Parsed JSON response
+ * @param {Object} settings - Resolved provider settings
+ * @returns {Object|null} - { inputTokens, outputTokens }, or null when not reported
+ */
+function parseProviderUsage(data, settings) {
+    return getProvider(settings.provider).parseUsage(data);
+}
+
+/**
+ * Creates the error for a failed provider response
+ * @param {Response} response - Fetch response that is not ok
+ * @param {Object} settings - Resolved provider settings
+ * @returns {Promise<Error>}
+ */
+async function createProviderError(response, settings) {
+    const providerName = API_CONFIG.PROVIDERS[settings.provider].NAME;
+    const errorData = await response.json().catch(() => ({}));
+
+    let message;
+    if (response.status === 401) {
+        message = `Invalid API key. Please check your ${providerName} API key.`;
+    } else if (response.status === 429) {
+        message = 'Rate limit exceeded. Please try again later.';
+    } else if (response.status >= 500) {
+        message = `${providerName} service error. Please try again later.`;
+    } else {
+        message = errorData.error?.message || `API error: ${response.status}`;
+    }
+
+    // formatErrorMessage reads the status and provider back
+    return Object.assign(new Error(message), { status: response.status, provider: providerName });
+}
+
+/**
+ * Sends a tiny request to check that a key, endpoint and model work together
+ * @param {string} apiKey - API key (may be empty for local servers)
+ * @param {Object} settings - Resolved provider settings
+ * @param {Object} options - { fetchImpl } to override fetch
+ * @returns {Promise<void>} - Rejects with the provider's error when the call fails
+ */
+async function testProviderConnection(apiKey, settings, options = {}) {
+    const fetchImpl = options.fetchImpl || fetch;
+    const providerName = API_CONFIG.PROVIDERS[settings.provider].NAME;
+    const request = buildProviderRequest(
+        [{ role: 'user', content: API_CONFIG.TEST_PROMPT }],
+        apiKey,
+        { ...settings, maxTokens: API_CONFIG.TEST_MAX_TOKENS },
+        { signal: AbortSignal.timeout(API_CONFIG.TEST_TIMEOUT) }
+    );
+    let response;
+
+    try {
+        response = await fetchImpl(request.url, request.options);
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new Error(`${providerName} did not respond in time. Please try again later.`);
+        }
+        throw new Error(`Could not reach ${providerName}. Please check the endpoint and your internet connection.`);
+    }
+
+    if (!response.ok) {
+        throw await createProviderError(response, settings);
+    }
+}
+
+/**
+ * Reads a server-sent events response, forwarding each text delta
+ * @param {Response} response - Streaming fetch response
+ * @param {Object} settings - Resolved provider settings
+ * @param {Function} onDelta - Called with each text delta as it arrives
+ * @param {Function} onUsage - Optional; called once with { inputTokens, outputTokens },
+ *   or null when the stream did not report usage
+ * @returns {Promise<string>} - Full summary text
+ */
+async function readProviderStream(response, settings, onDelta, onUsage) {
+    const provider = getProvider(settings.provider);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let summary = '';
+    let usage = null;
+
+    const handleLine = (line) => {
+        if (!line.startsWith('data:')) return;
+
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') return;
+
+        let event;
+        try {
+            event = JSON.parse(data);
+        } catch (error) {
+            console.error('Error parsing stream event:', data);
+            throw new Error(ERROR_MESSAGES.INVALID_RESPONSE);
+        }
+
+        const delta = provider.parseStreamEvent(event);
+        if (delta) {
+            summary += delta;
+            onDelta(delta);
+        }
+
+        const eventUsage = provider.parseStreamUsage(event);
+        if (eventUsage) {
+            usage = { ...usage, ...eventUsage };
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        // Events may be split across network chunks; keep the partial last line
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+
+    handleLine((buffer + decoder.decode()).trim());
+
+    if (!summary.trim()) {
+        throw new Error(ERROR_MESSAGES.INVALID_RESPONSE);
+    }
+
+    onUsage?.(usage && typeof usage.inputTokens === 'number' ? usage : null);
+    return summary.trim();
+}
+
+export {
+    PROVIDERS,
+    getProvider,
+    resolveProviderSettings,
+    buildProviderRequest,
+    parseProviderResponse,
+    parseProviderUsage,
+    createProviderError,
+    testProviderConnection,
+    readProviderStream
+};
@@ -0,0 +1,175 @@
+/**
+ * Request Retries
+ * Retries provider requests on rate limits, server errors and network
+ * failures with jittered exponential backoff, honouring Retry-After, and
+ * bounds each request with an overall timeout
+ */
+
+// Constants
+const RETRY_CONFIG = {
+    MAX_ATTEMPTS: 4,      // First try plus three retries
+    BASE_DELAY: 1000,     // Doubles with each retry
+    MAX_DELAY: 30000,     // Longest wait, including Retry-After
+    TIMEOUT: 120000       // Overall limit for a request, retries and streaming included
+};
+
+/**
+ * Checks whether a response status is worth retrying
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Parses a Retry-After header
+ * @param {string|null} value - Seconds or an HTTP date
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - Delay in milliseconds, or null when absent or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) {
+        return null;
+    }
+
+    if (/^\s*\d+\s*$/.test(value)) {
+        return Number(value) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Gets the wait before a retry
+ * @param {number} attempt - Attempt that just failed, from 1
+ * @param {number|null} retryAfter - Server-requested delay in milliseconds
+ * @param {Object} options - { baseDelay, maxDelay, random }
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempt, retryAfter = null, options = {}) {
+    const baseDelay = options.baseDelay ?? RETRY_CONFIG.BASE_DELAY;
+    const maxDelay = options.maxDelay ?? RETRY_CONFIG.MAX_DELAY;
+    const random = options.random || Math.random;
+
+    if (retryAfter !== null) {
+        return Math.min(retryAfter, maxDelay);
+    }
+
+    // Half fixed, half random, so clients that failed together retry apart
+    const backoff = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + random() * backoff / 2);
+}
+
+/**
+ * Waits, stopping early if the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Creates a signal that aborts when the given signal does or the timeout passes
+ * @param {AbortSignal} signal - Optional caller signal (e.g. the Stop button)
+ * @param {number} timeout - Milliseconds before aborting with a TimeoutError
+ * @returns {Object} - { signal, clear }; call clear() once the request is finished
+ */
+function createTimeoutSignal(signal, timeout = RETRY_CONFIG.TIMEOUT) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    const timer = setTimeout(() => {
+        controller.abort(new DOMException(`Request timed out after ${Math.round(timeout / 1000)} seconds`, 'TimeoutError'));
+    }, timeout);
+
+    if (signal?.aborted) {
+        onAbort();
+    } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return {
+        signal: controller.signal,
+        clear: () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    };
+}
+
+/**
+ * Fetches with retries on 429, 5xx and network failures. The last response
+ * is returned as-is, so callers still map final error statuses themselves.
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options; options.signal stops retrying when aborted
+ * @param {Object} retryOptions - { fetchImpl, maxAttempts, baseDelay, maxDelay, random, onRetry }
+ * @returns {Promise<Response>}
+ */
+async function fetchWithRetry(url, options = {}, retryOptions = {}) {
+    const fetchImpl = retryOptions.fetchImpl || ((...args) => fetch(...args));
+    const maxAttempts = retryOptions.maxAttempts || RETRY_CONFIG.MAX_ATTEMPTS;
+
+    for (let attempt = 1; ; attempt++) {
+        let response = null;
+        let failure = null;
+
+        try {
+            response = await fetchImpl(url, options);
+        } catch (error) {
+            // Stop and timeouts are final; anything else is a network failure
+            if (options.signal?.aborted || attempt >= maxAttempts) {
+                throw error;
+            }
+            failure = error;
+        }
+
+        if (response && (response.ok || !isRetryableStatus(response.status) || attempt >= maxAttempts)) {
+            return response;
+        }
+
+        const retryAfter = response ? parseRetryAfter(response.headers?.get('Retry-After')) : null;
+        const delay = getRetryDelay(attempt, retryAfter, retryOptions);
+
+        // The body of a failed attempt is not needed
+        response?.body?.cancel().catch(() => {});
+
+        retryOptions.onRetry?.({
+            attempt: attempt + 1,
+            maxAttempts,
+            delay,
+            status: response ? response.status : null,
+            error: failure ? failure.message : null
+        });
+
+        await sleep(delay, options.signal);
+    }
+}
+
+export {
+    RETRY_CONFIG,
+    isRetryableStatus,
+    parseRetryAfter,
+    getRetryDelay,
+    sleep,
+    createTimeoutSignal,
+    fetchWithRetry
+};
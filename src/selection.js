@@ -0,0 +1,100 @@
+/**
+ * Tab Selection
+ * Reads the text selected in a tab from its content script, injecting the
+ * content scripts into tabs opened before install. The last selection each
+ * tab reported is kept in chrome.storage.session as a fallback for pages
+ * that have lost their selection by the time the popup opens.
+ */
+
+// Constants
+const SELECTION_CONFIG = {
+    KEY_PREFIX: 'selection:',    // chrome.storage.session: { 'selection:<tabId>': { text, url, timestamp } }
+    CONTENT_SCRIPTS: ['src/extractor.js', 'src/content.js']
+};
+
+/**
+ * Sends a message to a tab's content script, injecting the content scripts
+ * first if the page was open before the extension was installed
+ * @param {number} tabId - Tab to message
+ * @param {Object} message - Message for content.js
+ * @returns {Promise<*>} - The content script's response; rejects on pages that cannot be scripted
+ */
+async function sendToContentScript(tabId, message) {
+    try {
+        return await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            files: SELECTION_CONFIG.CONTENT_SCRIPTS
+        });
+        return chrome.tabs.sendMessage(tabId, message);
+    }
+}
+
+/**
+ * Remembers the last text selected in a tab
+ * @param {number} tabId - Tab the text was selected in
+ * @param {string} text - Selected text
+ * @param {string} url - Page the text was selected on
+ * @returns {Promise<void>}
+ */
+async function saveTabSelection(tabId, text, url = '') {
+    await chrome.storage.session.set({
+        [`${SELECTION_CONFIG.KEY_PREFIX}${tabId}`]: { text, url, timestamp: Date.now() }
+    });
+}
+
+/**
+ * Forgets a tab's selection, when the tab is closed
+ * @param {number} tabId - Tab id
+ * @returns {Promise<void>}
+ */
+async function clearTabSelection(tabId) {
+    await chrome.storage.session.remove(`${SELECTION_CONFIG.KEY_PREFIX}${tabId}`);
+}
+
+/**
+ * Gets the selection a tab last reported, if it is still on the same page
+ * @param {chrome.tabs.Tab} tab - Tab to look up
+ * @returns {Promise<string>} - Selected text, or '' when there is none
+ */
+async function getStoredSelection(tab) {
+    const key = `${SELECTION_CONFIG.KEY_PREFIX}${tab.id}`;
+    const stored = (await chrome.storage.session.get(key))[key];
+
+    // A selection from a page the tab has since navigated away from no longer applies
+    if (!stored || (tab.url && stored.url && stored.url !== tab.url)) {
+        return '';
+    }
+
+    return stored.text || '';
+}
+
+/**
+ * Gets the text selected in a tab: the live selection from its content
+ * script, or else the last selection the tab reported
+ * @param {chrome.tabs.Tab} tab - Tab to read
+ * @returns {Promise<string>} - Selected text, or '' when there is none
+ */
+async function getTabSelection(tab) {
+    try {
+        const response = await sendToContentScript(tab.id, { action: 'getSelectedText' });
+        if (response?.text) {
+            return response.text;
+        }
+    } catch (error) {
+        // Restricted pages (chrome://, the Web Store) cannot be scripted
+        console.error('Error reading selection:', error);
+    }
+
+    return getStoredSelection(tab);
+}
+
+export {
+    SELECTION_CONFIG,
+    sendToContentScript,
+    saveTabSelection,
+    clearTabSelection,
+    getStoredSelection,
+    getTabSelection
+};
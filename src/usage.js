@@ -0,0 +1,312 @@
+/**
+ * Token Usage and Cost
+ * Estimates prompt tokens before a request, prices the usage providers
+ * report afterwards, and keeps per-day and per-month totals in
+ * chrome.storage.local for the spending caps
+ */
+
+import { API_CONFIG, ERROR_TYPES } from './utils.js';
+
+// Constants
+const USAGE_CONFIG = {
+    STORAGE_KEY: 'usage_totals',
+    CONFIRM_TOKENS: 8000,   // Ask before sending text estimated above this
+    MESSAGE_TOKENS: 4,      // Chat formatting added to each message
+    REPLY_TOKENS: 3,        // Chat formatting that primes the reply
+    KEEP_DAYS: 31,
+    KEEP_MONTHS: 12,
+    // US dollars per million tokens, matched by the longest model-name prefix
+    // so dated snapshots (e.g. 'gpt-4o-mini-2024-07-18') are priced too
+    PRICES: {
+        'gpt-3.5-turbo': { INPUT: 0.5, OUTPUT: 1.5 },
+        'gpt-4o-mini': { INPUT: 0.15, OUTPUT: 0.6 },
+        'gpt-4o': { INPUT: 2.5, OUTPUT: 10 },
+        'gpt-4-turbo': { INPUT: 10, OUTPUT: 30 },
+        'claude-3-haiku': { INPUT: 0.25, OUTPUT: 1.25 },
+        'claude-3-5-haiku': { INPUT: 0.8, OUTPUT: 4 },
+        'claude-3-5-sonnet': { INPUT: 3, OUTPUT: 15 }
+    },
+    FREE_PROVIDERS: ['ollama'],  // Local models cost nothing per token
+    // Pieces a BPE tokenizer would never merge across: contractions, words
+    // with their leading space, runs of up to three digits, punctuation, spaces
+    PIECE_PATTERN: /'(?:s|t|re|ve|m|ll|d)| ?\p{L}+| ?\p{N}{1,3}| ?[^\s\p{L}\p{N}]+|\s+/gu,
+    CJK_PATTERN: /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g
+};
+
+/**
+ * Estimates how many tokens a tokenizer would split text into. Text is split
+ * the way GPT and Claude tokenizers pre-split it, then each piece is counted
+ * from its length: short English words are one token, longer and non-Latin
+ * words several, and Chinese, Japanese and Korean about one per character.
+ * @param {string} text - Text to count
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    const pieces = (text || '').match(USAGE_CONFIG.PIECE_PATTERN) || [];
+
+    return pieces.reduce((total, piece) => {
+        const word = piece.trim();
+
+        if (!word) {
+            return total + 1;
+        }
+
+        const cjk = (word.match(USAGE_CONFIG.CJK_PATTERN) || []).length;
+        if (cjk > 0) {
+            return total + cjk + Math.ceil((word.length - cjk) / 4);
+        }
+
+        if (/^\p{P}+$|^\p{S}+$/u.test(word)) {
+            return total + Math.ceil(word.length / 2);
+        }
+
+        const charsPerToken = /^[\x00-\x7f]+$/.test(word) ? 5 : 2;
+        return total + Math.ceil(word.length / charsPerToken);
+    }, 0);
+}
+
+/**
+ * Estimates the input tokens of a chat request, system prompt included
+ * @param {string} prompt - User prompt
+ * @returns {number}
+ */
+function estimatePromptTokens(prompt) {
+    return estimateMessagesTokens([
+        { role: 'system', content: API_CONFIG.SYSTEM_PROMPT },
+        { role: 'user', content: prompt }
+    ]);
+}
+
+/**
+ * Estimates the input tokens of a chat request from its messages
+ * @param {Array<Object>} messages - Chat messages ({ role, content })
+ * @returns {number}
+ */
+function estimateMessagesTokens(messages) {
+    return messages.reduce((total, message) => total + estimateTokens(message.content) + USAGE_CONFIG.MESSAGE_TOKENS, 0) +
+        USAGE_CONFIG.REPLY_TOKENS;
+}
+
+/**
+ * Gets the per-token price of the configured model
+ * @param {Object} settings - Resolved provider settings
+ * @returns {Object|null} - { INPUT, OUTPUT } per million tokens, or null when unknown
+ */
+function getModelPrice(settings) {
+    if (USAGE_CONFIG.FREE_PROVIDERS.includes(settings.provider)) {
+        return { INPUT: 0, OUTPUT: 0 };
+    }
+
+    const model = (settings.model || '').toLowerCase();
+    const match = Object.keys(USAGE_CONFIG.PRICES)
+        .filter(name => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+
+    return match ? USAGE_CONFIG.PRICES[match] : null;
+}
+
+/**
+ * Prices token usage
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @param {Object} settings - Resolved provider settings
+ * @returns {number|null} - US dollars, or null when the model's price is unknown
+ */
+function estimateCost(usage, settings) {
+    const price = getModelPrice(settings);
+
+    if (!price) {
+        return null;
+    }
+
+    return (usage.inputTokens * price.INPUT + usage.outputTokens * price.OUTPUT) / 1000000;
+}
+
+/**
+ * Estimates the tokens and cost of summarizing text, before sending it
+ * @param {string} text - Text to summarize
+ * @param {Object} settings - Resolved provider settings ({ provider, model, maxTokens })
+ * @param {number} chunkCount - Requests the text is split into; more than one
+ *   adds a combine request over the partial summaries
+ * @returns {Object} - { inputTokens, outputTokens, cost }; output is the most the token budget allows
+ */
+function estimateRequest(text, settings, chunkCount = 1) {
+    const requests = chunkCount > 1 ? chunkCount + 1 : 1;
+    const outputTokens = requests * settings.maxTokens;
+    // Partial summaries are sent again in the combine request
+    const inputTokens = estimatePromptTokens(text) +
+        (requests - 1) * estimatePromptTokens('') +
+        (chunkCount > 1 ? chunkCount * settings.maxTokens : 0);
+
+    return {
+        inputTokens,
+        outputTokens,
+        cost: estimateCost({ inputTokens, outputTokens }, settings)
+    };
+}
+
+/**
+ * Adds one response's usage to a running request total
+ * @param {Object|null} total - Total so far, or null for the first response
+ * @param {Object} usage - { inputTokens, outputTokens, estimated }
+ * @param {Object} settings - Resolved provider settings
+ * @returns {Object} - { inputTokens, outputTokens, estimated, cost }
+ */
+function addUsage(total, usage, settings) {
+    const sum = {
+        inputTokens: (total?.inputTokens || 0) + usage.inputTokens,
+        outputTokens: (total?.outputTokens || 0) + usage.outputTokens,
+        estimated: Boolean(total?.estimated || usage.estimated)
+    };
+
+    return { ...sum, cost: estimateCost(sum, settings) };
+}
+
+/**
+ * Formats a cost in US dollars, with more digits for fractions of a cent
+ * @param {number|null} cost - Cost, or null when unknown
+ * @returns {string}
+ */
+function formatCost(cost) {
+    if (cost === null || cost === undefined) {
+        return 'unknown cost';
+    }
+
+    return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+/**
+ * Formats usage for the status bar, e.g. '1,204 tokens · $0.0004'
+ * @param {Object} usage - { inputTokens, outputTokens, estimated, cost }
+ * @returns {string}
+ */
+function formatUsage(usage) {
+    const tokens = (usage.inputTokens + usage.outputTokens).toLocaleString('en-US');
+    return `${usage.estimated ? '~' : ''}${tokens} tokens · ${formatCost(usage.cost)}`;
+}
+
+/**
+ * Gets the local-time keys of the day and month a time falls in
+ * @param {number} now - Time in milliseconds
+ * @returns {Object} - { day: 'YYYY-MM-DD', month: 'YYYY-MM' }
+ */
+function getPeriodKeys(now = Date.now()) {
+    const date = new Date(now);
+    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+    return { day: `${month}-${String(date.getDate()).padStart(2, '0')}`, month };
+}
+
+/**
+ * Adds usage to a day or month total
+ * @param {Object} bucket - { requests, inputTokens, outputTokens, cost } (may be undefined)
+ * @param {Object} usage - { inputTokens, outputTokens, cost }
+ * @returns {Object}
+ */
+function addToBucket(bucket = {}, usage) {
+    return {
+        requests: (bucket.requests || 0) + 1,
+        inputTokens: (bucket.inputTokens || 0) + usage.inputTokens,
+        outputTokens: (bucket.outputTokens || 0) + usage.outputTokens,
+        // Models with an unknown price add nothing; checkSpendingCap refuses them while a cap is set
+        cost: (bucket.cost || 0) + (usage.cost || 0)
+    };
+}
+
+/**
+ * Keeps the most recent keys of a period map
+ * @param {Object} buckets - Totals keyed by day or month
+ * @param {number} keep - Number of periods to keep
+ * @returns {Object}
+ */
+function keepRecent(buckets, keep) {
+    return Object.fromEntries(Object.entries(buckets).sort(([a], [b]) => b.localeCompare(a)).slice(0, keep));
+}
+
+/**
+ * Gets today's and this month's totals
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { today, month }, each { requests, inputTokens, outputTokens, cost }
+ */
+async function getUsageTotals(now = Date.now()) {
+    const stored = (await chrome.storage.local.get(USAGE_CONFIG.STORAGE_KEY))[USAGE_CONFIG.STORAGE_KEY] || {};
+    const keys = getPeriodKeys(now);
+    const empty = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+
+    return {
+        today: { ...empty, ...stored.days?.[keys.day] },
+        month: { ...empty, ...stored.months?.[keys.month] }
+    };
+}
+
+/**
+ * Adds a request's usage to today's and this month's totals
+ * @param {Object} usage - { inputTokens, outputTokens, cost }
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+async function recordUsage(usage, now = Date.now()) {
+    const stored = (await chrome.storage.local.get(USAGE_CONFIG.STORAGE_KEY))[USAGE_CONFIG.STORAGE_KEY] || {};
+    const keys = getPeriodKeys(now);
+    const days = stored.days || {};
+    const months = stored.months || {};
+
+    await chrome.storage.local.set({
+        [USAGE_CONFIG.STORAGE_KEY]: {
+            days: keepRecent({ ...days, [keys.day]: addToBucket(days[keys.day], usage) }, USAGE_CONFIG.KEEP_DAYS),
+            months: keepRecent({ ...months, [keys.month]: addToBucket(months[keys.month], usage) }, USAGE_CONFIG.KEEP_MONTHS)
+        }
+    });
+}
+
+/**
+ * Creates the error thrown when a spending cap is reached
+ * @param {string} message - Message shown to the user
+ * @returns {Error} - Named ERROR_TYPES.SPENDING_CAP
+ */
+function createSpendingCapError(message) {
+    const error = new Error(message);
+    error.name = ERROR_TYPES.SPENDING_CAP;
+    return error;
+}
+
+/**
+ * Throws when today's or this month's spending has reached its cap, or when a
+ * cap is set for a model whose spending cannot be counted
+ * @param {Object} totals - Result of getUsageTotals()
+ * @param {Object} settings - Resolved summary settings ({ dailyCap, monthlyCap }; 0 is no cap)
+ * @param {Object} providerSettings - Resolved provider settings of the request (omit to check the totals only)
+ * @throws {Error} - Named ERROR_TYPES.SPENDING_CAP
+ */
+function checkSpendingCap(totals, settings, providerSettings = null) {
+    const capped = settings.dailyCap > 0 || settings.monthlyCap > 0;
+
+    // Counting an unpriced model as free would let it run past the cap
+    if (capped && providerSettings && !getModelPrice(providerSettings)) {
+        throw createSpendingCapError(`The price of ${providerSettings.model || 'this model'} is unknown, so the spending cap cannot be enforced. Remove the caps in Settings or choose a model with a known price.`);
+    }
+
+    if (settings.dailyCap > 0 && totals.today.cost >= settings.dailyCap) {
+        throw createSpendingCapError(`Daily spending cap of ${formatCost(settings.dailyCap)} reached (${formatCost(totals.today.cost)} spent today). Raise it in Settings or try again tomorrow.`);
+    }
+
+    if (settings.monthlyCap > 0 && totals.month.cost >= settings.monthlyCap) {
+        throw createSpendingCapError(`Monthly spending cap of ${formatCost(settings.monthlyCap)} reached (${formatCost(totals.month.cost)} spent this month). Raise it in Settings to keep summarizing.`);
+    }
+}
+
+export {
+    USAGE_CONFIG,
+    estimateTokens,
+    estimatePromptTokens,
+    estimateMessagesTokens,
+    getModelPrice,
+    estimateCost,
+    estimateRequest,
+    addUsage,
+    formatCost,
+    formatUsage,
+    getPeriodKeys,
+    getUsageTotals,
+    recordUsage,
+    checkSpendingCap
+};
@@ -1,29 +1,204 @@
 /**
  * Utility functions for the Chrome Summarizer Extension
+ * The shared core imported by the background worker, popup, options page and tests
  */
 
 // Constants
 const STORAGE_KEYS = {
-    API_KEY: 'openai_api_key',
-    SELECTED_TEXT: 'selected_text',
-    LAST_SUMMARY: 'last_summary'
+    API_KEY: 'openai_api_key',  // Plain-text key saved by earlier versions; moved into the encrypted store (keystore.js)
+    PROVIDER_SETTINGS: 'provider_settings',  // Single provider setup of earlier versions; moved into profiles (profiles.js)
+    SUMMARY_SETTINGS: 'summary_settings',
+    SELECTED_TEXT: 'selected_text',  // Single selection kept in local storage by earlier versions; now per tab (selection.js)
+    LAST_SUMMARY: 'last_summary',
+    OUTPUT_TEMPLATE: 'output_template'  // Now saved per profile
 };
 
 const API_CONFIG = {
-    ENDPOINT: 'https://api.openai.com/v1/chat/completions',
-    MODEL: 'gpt-3.5-turbo',
+    DEFAULT_PROVIDER: 'openai',
     MAX_TOKENS: 150,
-    TEMPERATURE: 0.7
+    TEMPERATURE: 0.7,
+    SYSTEM_PROMPT: 'You are a helpful assistant that creates concise summaries of text.',
+    // Tiny request sent when a profile is saved, to check its key and model
+    TEST_PROMPT: 'Reply with OK.',
+    TEST_MAX_TOKENS: 5,
+    TEST_TIMEOUT: 20000,
+    PROVIDERS: {
+        openai: {
+            NAME: 'OpenAI',
+            ENDPOINT: 'https://api.openai.com/v1/chat/completions',
+            MODEL: 'gpt-3.5-turbo',
+            MODELS: ['gpt-3.5-turbo', 'gpt-4o-mini', 'gpt-4o', 'gpt-4-turbo'],
+            REQUIRES_API_KEY: true,
+            KEY_PATTERN: /^sk-.{18,}$/,  // Starts with 'sk-' and is longer than 20 characters
+            KEY_HINT: 'starts with "sk-"',
+            KEY_URL: 'https://platform.openai.com/api-keys'
+        },
+        azure: {
+            NAME: 'Azure OpenAI',
+            ENDPOINT: '{baseUrl}/openai/deployments/{model}/chat/completions?api-version={apiVersion}',
+            BASE_URL: '',  // e.g. https://my-resource.openai.azure.com
+            MODEL: '',     // Deployment name
+            MODELS: [],
+            API_VERSION: '2024-02-01',
+            REQUIRES_API_KEY: true,
+            KEY_PATTERN: /^[A-Za-z0-9]{32,}$/,
+            KEY_HINT: '32+ letters and digits',
+            KEY_URL: 'https://portal.azure.com/'
+        },
+        anthropic: {
+            NAME: 'Anthropic',
+            ENDPOINT: 'https://api.anthropic.com/v1/messages',
+            MODEL: 'claude-3-haiku-20240307',
+            MODELS: ['claude-3-haiku-20240307', 'claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest'],
+            MAX_TEMPERATURE: 1,
+            API_VERSION: '2023-06-01',
+            REQUIRES_API_KEY: true,
+            KEY_PATTERN: /^sk-ant-.{14,}$/,
+            KEY_HINT: 'starts with "sk-ant-"',
+            KEY_URL: 'https://console.anthropic.com/settings/keys'
+        },
+        ollama: {
+            NAME: 'Ollama / OpenAI-compatible',
+            ENDPOINT: '{baseUrl}/v1/chat/completions',
+            BASE_URL: 'http://localhost:11434',
+            MODEL: 'llama3',
+            MODELS: ['llama3', 'llama3.1', 'mistral', 'phi3'],
+            REQUIRES_API_KEY: false,  // Sent as a Bearer token when provided
+            KEY_PATTERN: null,
+            KEY_HINT: 'optional',
+            KEY_URL: 'https://github.com/ollama/ollama/blob/main/docs/openai.md'
+        }
+    }
+};
+
+const SUMMARY_OPTIONS = {
+    LENGTHS: {
+        short: { LABEL: 'Short', SENTENCES: '1-2 sentences', POINTS: '2-3 bullet points' },
+        medium: { LABEL: 'Medium', SENTENCES: '2-3 sentences', POINTS: '3-5 bullet points' },
+        long: { LABEL: 'Detailed', SENTENCES: 'one or two paragraphs', POINTS: '5-8 bullet points' }
+    },
+    STYLES: {
+        paragraph: { LABEL: 'Paragraph', FORMAT: length => `in ${length.SENTENCES}` },
+        bullets: { LABEL: 'Bullet points', FORMAT: length => `as ${length.POINTS}` },
+        plain: { LABEL: 'Plain language', FORMAT: length => `in ${length.SENTENCES}, using plain language a non-expert can follow` }
+    },
+    // Summary languages offered in settings; '' (the default) matches the text
+    LANGUAGES: {
+        en: 'English',
+        de: 'German',
+        es: 'Spanish',
+        fr: 'French',
+        it: 'Italian',
+        pt: 'Portuguese',
+        nl: 'Dutch',
+        ja: 'Japanese',
+        zh: 'Chinese',
+        ko: 'Korean',
+        ru: 'Russian',
+        ar: 'Arabic'
+    },
+    TEMPERATURE: { MIN: 0, MAX: 2 },
+    MAX_TOKENS: { MIN: 50, MAX: 4000 },
+    HISTORY_LIMIT: { MIN: 0, MAX: 1000 },  // 0 turns history off
+    SPENDING_CAP: { MIN: 0, MAX: 10000 },  // US dollars; 0 turns the cap off
+    AUTO_LOCK_MINUTES: { MIN: 1, MAX: 1440 },
+    // What the Copy button puts on the clipboard, see src/clipboard.js
+    COPY_FORMATS: {
+        text: 'Plain text',
+        markdown: 'Markdown with source',
+        html: 'Formatted (HTML)',
+        quote: 'Quote + summary'
+    }
+};
+
+// Output templates chosen in the popup. Structured templates ask the model for
+// JSON matching SHAPE: 'string' is required text, 'string?' may be null, and
+// [shape] is a list of that shape. MIN_TOKENS raises a low token budget so the
+// JSON is not cut off mid-object.
+const OUTPUT_TEMPLATES = {
+    summary: {
+        LABEL: 'Summary'  // Free text shaped by the length and style settings
+    },
+    keyPoints: {
+        LABEL: 'Key points',
+        INSTRUCTION: length => `the key points of the following text as ${length.POINTS}`,
+        SHAPE: { points: ['string'] },
+        MIN_TOKENS: 300,
+        TO_TEXT: data => data.points.map(point => `• ${point}`).join('\n')
+    },
+    tldr: {
+        LABEL: 'TL;DR',
+        INSTRUCTION: () => 'a one-line TL;DR of the following text, in a single sentence',
+        SHAPE: { tldr: 'string' },
+        TO_TEXT: data => `TL;DR: ${data.tldr}`
+    },
+    actionItems: {
+        LABEL: 'Action items',
+        INSTRUCTION: () => 'the action items in the following text, each with the person or team responsible (null when none is named)',
+        SHAPE: { items: [{ task: 'string', owner: 'string?' }] },
+        MIN_TOKENS: 400,
+        TO_TEXT: data => (data.items.length > 0
+            ? data.items.map(item => `• ${item.task}${item.owner ? ` (${item.owner})` : ''}`).join('\n')
+            : 'No action items found.')
+    },
+    qa: {
+        LABEL: 'Q&A',
+        INSTRUCTION: length => `${length.POINTS.replace('bullet points', 'questions')} a reader would ask about the following text, each answered from the text`,
+        SHAPE: { questions: [{ question: 'string', answer: 'string' }] },
+        MIN_TOKENS: 600,
+        TO_TEXT: data => data.questions.map(qa => `Q: ${qa.question}\nA: ${qa.answer}`).join('\n\n')
+    },
+    executive: {
+        LABEL: 'Executive summary',
+        INSTRUCTION: length => `an executive summary of the following text: a headline, an overview ${length.SENTENCES} long, ${length.POINTS.replace('bullet points', 'key points')} and a recommendation (null when the text does not call for one)`,
+        SHAPE: { headline: 'string', overview: 'string', keyPoints: ['string'], recommendation: 'string?' },
+        MIN_TOKENS: 600,
+        TO_TEXT: data => [
+            data.headline,
+            data.overview,
+            data.keyPoints.map(point => `• ${point}`).join('\n'),
+            data.recommendation && `Recommendation: ${data.recommendation}`
+        ].filter(Boolean).join('\n\n')
+    }
+};
+
+const DEFAULT_TEMPLATE = 'summary';
+
+const DEFAULT_SETTINGS = {
+    length: 'medium',
+    style: 'paragraph',
+    language: '',
+    temperature: API_CONFIG.TEMPERATURE,
+    maxTokens: API_CONFIG.MAX_TOKENS,
+    historyLimit: 100,
+    dailyCap: 0,
+    monthlyCap: 0,
+    autoLockMinutes: 15,  // Passphrase-protected keys lock after this long unused
+    copyFormat: 'text'
+};
+
+const TEXT_LIMITS = {
+    MIN_LENGTH: 10,
+    MAX_LENGTH: 100000  // Longer text is summarized in chunks by the background worker
 };
 
 const ERROR_MESSAGES = {
-    NO_API_KEY: 'Please set your OpenAI API key first.',
+    NO_API_KEY: 'Please set your API key first.',
     NO_TEXT_SELECTED: 'Please highlight some text on the webpage first.',
     API_ERROR: 'Failed to generate summary. Please check your API key and try again.',
     NETWORK_ERROR: 'Network error. Please check your internet connection.',
     INVALID_RESPONSE: 'Received invalid response from API.',
     TEXT_TOO_SHORT: 'Selected text is too short. Please select at least 10 characters.',
-    TEXT_TOO_LONG: 'Selected text is too long. Please select less than 10,000 characters.'
+    TEXT_TOO_LONG: 'Selected text is too long. Please select less than 100,000 characters.',
+    INVALID_FORMAT: 'The response was not in the expected format. Please try again.',
+    KEY_LOCKED: 'Your API key is locked. Open the extension popup and enter your passphrase.',
+    WRONG_PASSPHRASE: 'Wrong passphrase. Please try again.',
+    INVALID_KEY_VAULT: 'Your saved API key could not be read. Please enter it again.'
+};
+
+// Names given to errors that are told apart by type rather than message
+const ERROR_TYPES = {
+    SPENDING_CAP: 'SpendingCapError'
 };
 
 /**
@@ -38,11 +213,11 @@ function validateText(text) {
 
     const trimmedText = text.trim();
 
-    if (trimmedText.length < 10) {
+    if (trimmedText.length < TEXT_LIMITS.MIN_LENGTH) {
         return { valid: false, error: ERROR_MESSAGES.TEXT_TOO_SHORT };
     }
 
-    if (trimmedText.length > 10000) {
+    if (trimmedText.length > TEXT_LIMITS.MAX_LENGTH) {
         return { valid: false, error: ERROR_MESSAGES.TEXT_TOO_LONG };
     }
 
@@ -50,17 +225,24 @@ function validateText(text) {
 }
 
 /**
- * Validates OpenAI API key format
+ * Validates API key format for a provider
  * @param {string} apiKey - API key to validate
+ * @param {string} providerId - Provider id from API_CONFIG.PROVIDERS
  * @returns {boolean}
  */
-function validateApiKey(apiKey) {
-    if (!apiKey || typeof apiKey !== 'string') {
+function validateApiKey(apiKey, providerId = API_CONFIG.DEFAULT_PROVIDER) {
+    const provider = API_CONFIG.PROVIDERS[providerId];
+
+    if (!provider) {
         return false;
     }
 
-    // OpenAI API keys start with 'sk-' and are at least 20 characters
-    return apiKey.startsWith('sk-') && apiKey.length > 20;
+    if (!apiKey || typeof apiKey !== 'string') {
+        // Local servers usually run without authentication
+        return !provider.REQUIRES_API_KEY;
+    }
+
+    return provider.KEY_PATTERN ? provider.KEY_PATTERN.test(apiKey) : true;
 }
 
 /**
@@ -79,7 +261,8 @@ function sanitizeText(text) {
 
 /**
  * Formats error messages for display
- * @param {Error|string} error - Error object or message
+ * @param {Error|string} error - Error object or message; errors from a failed
+ *   provider response carry its status as error.status and the provider name as error.provider
  * @returns {string}
  */
 function formatErrorMessage(error) {
@@ -88,15 +271,20 @@ function formatErrorMessage(error) {
     }
 
     if (error instanceof Error) {
-        // Check for specific error types
-        if (error.message.includes('401')) {
-            return 'Invalid API key. Please check your OpenAI API key.';
+        // Spending caps explain themselves, amounts included
+        if (error.name === ERROR_TYPES.SPENDING_CAP) {
+            return error.message;
         }
-        if (error.message.includes('429')) {
+
+        // Check for specific HTTP statuses
+        if (error.status === 401) {
+            return `Invalid API key. Please check your ${error.provider ? `${error.provider} ` : ''}API key.`;
+        }
+        if (error.status === 429) {
             return 'Rate limit exceeded. Please try again later.';
         }
-        if (error.message.includes('500')) {
-            return 'OpenAI service error. Please try again later.';
+        if (error.status >= 500) {
+            return `${error.provider || 'AI'} service error. Please try again later.`;
         }
 
         return error.message || ERROR_MESSAGES.API_ERROR;
@@ -108,34 +296,185 @@ function formatErrorMessage(error) {
 /**
  * Creates a prompt for text summarization
  * @param {string} text - Text to summarize
+ * @param {Object} settings - Summary settings ({ length, style, language })
+ * @param {string} templateId - Output template id from OUTPUT_TEMPLATES
+ * @returns {string}
+ */
+function createSummaryPrompt(text, settings = DEFAULT_SETTINGS, templateId = DEFAULT_TEMPLATE) {
+    const length = SUMMARY_OPTIONS.LENGTHS[settings.length] || SUMMARY_OPTIONS.LENGTHS[DEFAULT_SETTINGS.length];
+    const style = SUMMARY_OPTIONS.STYLES[settings.style] || SUMMARY_OPTIONS.STYLES[DEFAULT_SETTINGS.style];
+    const language = SUMMARY_OPTIONS.LANGUAGES[settings.language];
+    const template = OUTPUT_TEMPLATES[templateId];
+
+    if (template?.SHAPE) {
+        const languageNote = language ? `. Write the values in ${language}, keeping the keys as shown` : '';
+        return `Please provide ${template.INSTRUCTION(length)}. ` +
+            `Respond with only a JSON object shaped like ${describeShape(template.SHAPE)}, with no other text${languageNote}:\n\n${text}`;
+    }
+
+    const languageNote = language ? `, written in ${language}` : '';
+    return `Please provide a concise summary of the following text ${style.FORMAT(length)}${languageNote}:\n\n${text}`;
+}
+
+/**
+ * Describes a template SHAPE as example JSON for the prompt
+ * @param {Object} shape - Template shape
+ * @returns {string}
+ */
+function describeShape(shape) {
+    return JSON.stringify(shape).replace(/"string\?"/g, '"string or null"');
+}
+
+/**
+ * Checks a parsed value against a template SHAPE
+ * @param {any} value - Parsed JSON value
+ * @param {string|Array|Object} shape - Template shape
+ * @returns {boolean}
+ */
+function matchesShape(value, shape) {
+    if (shape === 'string?') {
+        return value === null || value === undefined || typeof value === 'string';
+    }
+
+    if (shape === 'string') {
+        return typeof value === 'string' && value.trim().length > 0;
+    }
+
+    if (Array.isArray(shape)) {
+        return Array.isArray(value) && value.every(item => matchesShape(item, shape[0]));
+    }
+
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+        Object.entries(shape).every(([key, fieldShape]) => matchesShape(value[key], fieldShape));
+}
+
+/**
+ * Parses model output for an output template. Free-text templates return the
+ * text; structured templates return the JSON object after checking its shape.
+ * @param {string} content - Model output
+ * @param {string} templateId - Output template id from OUTPUT_TEMPLATES
+ * @returns {string|Object}
+ */
+function parseSummaryContent(content, templateId = DEFAULT_TEMPLATE) {
+    const template = OUTPUT_TEMPLATES[templateId];
+
+    if (!template?.SHAPE) {
+        return content.trim();
+    }
+
+    // Models sometimes wrap JSON in a code fence or add a sentence around it
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    let data = null;
+
+    if (start !== -1 && end > start) {
+        try {
+            data = JSON.parse(content.slice(start, end + 1));
+        } catch (error) {
+            console.error('Error parsing structured summary:', error);
+        }
+    }
+
+    if (!matchesShape(data, template.SHAPE)) {
+        throw new Error(ERROR_MESSAGES.INVALID_FORMAT);
+    }
+
+    return data;
+}
+
+/**
+ * Gets a known output template id, falling back to the default
+ * @param {string} templateId - Stored or requested template id
  * @returns {string}
  */
-function createSummaryPrompt(text) {
-    return `Please provide a concise summary of the following text in 2-3 sentences:\n\n${text}`;
+function resolveOutputTemplate(templateId) {
+    return OUTPUT_TEMPLATES[templateId] ? templateId : DEFAULT_TEMPLATE;
+}
+
+/**
+ * Formats a structured summary as plain text for copying and history
+ * @param {string|Object} summary - Result of parseSummaryContent()
+ * @param {string} templateId - Output template id from OUTPUT_TEMPLATES
+ * @returns {string}
+ */
+function formatSummaryText(summary, templateId = DEFAULT_TEMPLATE) {
+    const template = OUTPUT_TEMPLATES[templateId];
+    return template?.SHAPE ? template.TO_TEXT(summary) : summary;
+}
+
+/**
+ * Merges stored summary settings with defaults, dropping unknown values and
+ * clamping numbers into their allowed range
+ * @param {Object} stored - Settings saved by the user (may be undefined)
+ * @returns {Object} - { length, style, language, temperature, maxTokens, historyLimit, dailyCap, monthlyCap, autoLockMinutes, copyFormat }
+ */
+function resolveSummarySettings(stored = {}) {
+    const clamp = (value, range, fallback) => {
+        const number = Number(value);
+        if (value === undefined || value === null || value === '' || Number.isNaN(number)) {
+            return fallback;
+        }
+        return Math.min(range.MAX, Math.max(range.MIN, number));
+    };
+
+    return {
+        length: SUMMARY_OPTIONS.LENGTHS[stored?.length] ? stored.length : DEFAULT_SETTINGS.length,
+        style: SUMMARY_OPTIONS.STYLES[stored?.style] ? stored.style : DEFAULT_SETTINGS.style,
+        language: SUMMARY_OPTIONS.LANGUAGES[stored?.language] ? stored.language : DEFAULT_SETTINGS.language,
+        temperature: clamp(stored?.temperature, SUMMARY_OPTIONS.TEMPERATURE, DEFAULT_SETTINGS.temperature),
+        maxTokens: Math.round(clamp(stored?.maxTokens, SUMMARY_OPTIONS.MAX_TOKENS, DEFAULT_SETTINGS.maxTokens)),
+        historyLimit: Math.round(clamp(stored?.historyLimit, SUMMARY_OPTIONS.HISTORY_LIMIT, DEFAULT_SETTINGS.historyLimit)),
+        // Whole cents
+        dailyCap: Math.round(clamp(stored?.dailyCap, SUMMARY_OPTIONS.SPENDING_CAP, DEFAULT_SETTINGS.dailyCap) * 100) / 100,
+        monthlyCap: Math.round(clamp(stored?.monthlyCap, SUMMARY_OPTIONS.SPENDING_CAP, DEFAULT_SETTINGS.monthlyCap) * 100) / 100,
+        autoLockMinutes: Math.round(clamp(stored?.autoLockMinutes, SUMMARY_OPTIONS.AUTO_LOCK_MINUTES, DEFAULT_SETTINGS.autoLockMinutes)),
+        copyFormat: SUMMARY_OPTIONS.COPY_FORMATS[stored?.copyFormat] ? stored.copyFormat : DEFAULT_SETTINGS.copyFormat
+    };
 }
 
 /**
  * Parses OpenAI API response
  * @param {Object} response - API response object
- * @returns {string} - Extracted summary text
+ * @param {string} templateId - Output template id; structured templates are validated
+ * @returns {string|Object} - Summary text, or the validated object for structured templates
  */
-function parseApiResponse(response) {
+function parseApiResponse(response, templateId = DEFAULT_TEMPLATE) {
+    let summary;
+
     try {
         if (!response || !response.choices || response.choices.length === 0) {
             throw new Error(ERROR_MESSAGES.INVALID_RESPONSE);
         }
 
-        const summary = response.choices[0].message?.content;
+        summary = response.choices[0].message?.content;
 
         if (!summary) {
             throw new Error(ERROR_MESSAGES.INVALID_RESPONSE);
         }
-
-        return summary.trim();
     } catch (error) {
         console.error('Error parsing API response:', error);
         throw new Error(ERROR_MESSAGES.INVALID_RESPONSE);
     }
+
+    return parseSummaryContent(summary, templateId);
+}
+
+/**
+ * Parses the token usage block of an OpenAI API response
+ * @param {Object} response - API response object, or a final streaming chunk
+ * @returns {Object|null} - { inputTokens, outputTokens }, or null when the response has none
+ */
+function parseApiUsage(response) {
+    const usage = response?.usage;
+
+    if (!usage || typeof usage.prompt_tokens !== 'number') {
+        return null;
+    }
+
+    return {
+        inputTokens: usage.prompt_tokens,
+        outputTokens: usage.completion_tokens || 0
+    };
 }
 
 /**
@@ -204,22 +543,47 @@ function truncateText(text, maxLength = 100) {
     return text.substring(0, maxLength) + '...';
 }
 
-// Export for use in other scripts (if using modules)
-// For non-module scripts, these are available globally
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-        STORAGE_KEYS,
-        API_CONFIG,
-        ERROR_MESSAGES,
-        validateText,
-        validateApiKey,
-        sanitizeText,
-        formatErrorMessage,
-        createSummaryPrompt,
-        parseApiResponse,
-        saveToStorage,
-        getFromStorage,
-        removeFromStorage,
-        truncateText
-    };
+/**
+ * Formats an extracted article as text for summarization, with its
+ * metadata as a short header
+ * @param {Object} article - Result of extractArticle() (extractor.js)
+ * @returns {string}
+ */
+function formatArticleText(article) {
+    const header = [
+        article.title && `Title: ${article.title}`,
+        article.byline && `By: ${article.byline}`,
+        article.siteName && `Source: ${article.siteName}`
+    ].filter(Boolean).join('\n');
+
+    return header ? `${header}\n\n${article.text}` : article.text;
 }
+
+export {
+    STORAGE_KEYS,
+    API_CONFIG,
+    SUMMARY_OPTIONS,
+    OUTPUT_TEMPLATES,
+    DEFAULT_TEMPLATE,
+    DEFAULT_SETTINGS,
+    TEXT_LIMITS,
+    ERROR_MESSAGES,
+    ERROR_TYPES,
+    validateText,
+    validateApiKey,
+    sanitizeText,
+    formatErrorMessage,
+    createSummaryPrompt,
+    matchesShape,
+    parseSummaryContent,
+    resolveOutputTemplate,
+    formatSummaryText,
+    resolveSummarySettings,
+    parseApiResponse,
+    parseApiUsage,
+    saveToStorage,
+    getFromStorage,
+    removeFromStorage,
+    truncateText,
+    formatArticleText
+};
@@ -0,0 +1,330 @@
+/**
+ * Webhooks
+ * Sends summaries to team tools as JSON POST requests. Each webhook has a
+ * URL, extra headers and a JSON body template with {{placeholders}}, and is
+ * used from the popup's Send menu or for every new summary. Deliveries are
+ * retried on 429, 5xx and network failures and kept in a delivery log.
+ * Webhooks live in chrome.storage.local, as their headers often hold tokens.
+ */
+
+import { parsePromptTemplate } from './prompts.js';
+import { createTimeoutSignal, fetchWithRetry } from './retry.js';
+
+// Constants
+const WEBHOOK_CONFIG = {
+    STORAGE_KEY: 'webhooks',
+    LOG_KEY: 'webhook_log',
+    VARIABLES: {
+        summary: 'summary',
+        url: 'page URL',
+        title: 'page title',
+        excerpt: 'start of the summarized text'
+    },
+    DEFAULT_BODY: '{\n    "title": "{{title}}",\n    "url": "{{url}}",\n    "summary": "{{summary}}"\n}',
+    // Sent by "Send test" on the options page
+    TEST_VARIABLES: {
+        summary: 'This is a test summary from Text Summarizer.\n- It has a "quoted" point\n- And a second line',
+        url: 'https://example.com/',
+        title: 'Test page',
+        excerpt: 'The start of the summarized text.'
+    },
+    MAX_NAME_LENGTH: 60,
+    MAX_BODY_LENGTH: 10000,
+    MAX_ATTEMPTS: 3,          // First try plus two retries
+    TIMEOUT: 15000,           // Overall limit for a delivery, retries included
+    MAX_LOG_ENTRIES: 50,
+    MAX_ERROR_LENGTH: 200     // Characters of a failed response's body kept in the log
+};
+
+// Header names as HTTP allows them (RFC 9110 tokens)
+const HEADER_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+// Delivery log writes, run one after another so concurrent deliveries
+// do not overwrite each other's records. This only orders writes within one
+// page, so extension pages send through the background worker
+let logWrites = Promise.resolve();
+
+/**
+ * Parses the headers typed for a webhook, one "Name: value" per line
+ * @param {string} text - Header lines; blank lines are ignored
+ * @returns {Object} - Header values by name
+ * @throws {Error} - On a line that is not a valid header
+ */
+function parseWebhookHeaders(text = '') {
+    const headers = {};
+
+    text.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+
+        const separator = line.indexOf(':');
+        const name = line.slice(0, separator).trim();
+
+        if (separator === -1 || !HEADER_NAME_PATTERN.test(name)) {
+            throw new Error(`Header line ${index + 1} should look like "Authorization: Bearer <token>".`);
+        }
+
+        headers[name] = line.slice(separator + 1).trim();
+    });
+
+    return headers;
+}
+
+/**
+ * Fills the placeholders in every string of a parsed body template. Values
+ * are inserted as-is, so JSON.stringify() escapes them.
+ * @param {any} value - Parsed JSON value
+ * @param {Object} variables - { summary, url, title, excerpt }
+ * @returns {any}
+ */
+function fillPlaceholders(value, variables) {
+    if (typeof value === 'string') {
+        return parsePromptTemplate(value, WEBHOOK_CONFIG.VARIABLES)
+            .map(part => (typeof part === 'string' ? part : String(variables[part.name] ?? '')))
+            .join('');
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => fillPlaceholders(item, variables));
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, variables)]));
+    }
+
+    return value;
+}
+
+/**
+ * Renders a webhook's JSON body. Placeholders go inside JSON strings, so
+ * summaries with quotes or line breaks still give valid JSON.
+ * @param {string} template - JSON body template
+ * @param {Object} variables - { summary, url, title, excerpt }; missing values are left empty
+ * @returns {string} - JSON
+ * @throws {Error} - When the template is not JSON or uses unknown placeholders
+ */
+function renderWebhookBody(template, variables) {
+    let data;
+    try {
+        data = JSON.parse(template);
+    } catch (error) {
+        throw new Error('The body template is not valid JSON. Put placeholders inside quotes, e.g. "{{summary}}".');
+    }
+
+    return JSON.stringify(fillPlaceholders(data, variables));
+}
+
+/**
+ * Validates a webhook before it is saved
+ * @param {Object} webhook - { name, url, headers, body, auto }
+ * @returns {Object} - { valid: boolean, error: string }
+ */
+function validateWebhook(webhook) {
+    const name = typeof webhook?.name === 'string' ? webhook.name.trim() : '';
+    const body = typeof webhook?.body === 'string' ? webhook.body : '';
+
+    if (!name) {
+        return { valid: false, error: 'Please give the webhook a name.' };
+    }
+
+    if (name.length > WEBHOOK_CONFIG.MAX_NAME_LENGTH) {
+        return { valid: false, error: `Webhook names can be at most ${WEBHOOK_CONFIG.MAX_NAME_LENGTH} characters.` };
+    }
+
+    let url = null;
+    try {
+        url = new URL(webhook.url.trim());
+    } catch (error) {
+        // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        return { valid: false, error: 'Please enter an http:// or https:// URL.' };
+    }
+
+    if (body.length > WEBHOOK_CONFIG.MAX_BODY_LENGTH) {
+        return { valid: false, error: `Body templates can be at most ${WEBHOOK_CONFIG.MAX_BODY_LENGTH} characters.` };
+    }
+
+    try {
+        parseWebhookHeaders(webhook.headers);
+        renderWebhookBody(body, {});
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+
+    return { valid: true, error: null };
+}
+
+/**
+ * Creates a webhook with a new id
+ * @param {Object} details - { name, url, headers, body, auto }
+ * @returns {Object} - { id, name, url, headers, body, auto }
+ */
+function createWebhook({ name, url, headers = '', body = WEBHOOK_CONFIG.DEFAULT_BODY, auto = false }) {
+    return {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: name.trim(),
+        url: url.trim(),
+        headers,
+        body,
+        auto: Boolean(auto)
+    };
+}
+
+/**
+ * Gets the placeholder values for a summary
+ * @param {Object} entry - History entry, or one from createHistoryEntry() for the summary on screen
+ * @returns {Object} - { summary, url, title, excerpt }
+ */
+function getWebhookVariables(entry) {
+    return {
+        summary: entry?.summary || '',
+        url: entry?.url || '',
+        title: entry?.title || '',
+        excerpt: entry?.excerpt || ''
+    };
+}
+
+/**
+ * Sends a summary to a webhook and adds the outcome to the delivery log
+ * @param {Object} webhook - Stored webhook
+ * @param {Object} variables - { summary, url, title, excerpt }, from getWebhookVariables()
+ * @param {Object} options - { fetchImpl, baseDelay, timeout }
+ * @returns {Promise<Object>} - Log record: { id, webhookId, name, title, status, httpStatus, attempts, error, timestamp, variables };
+ *   status is 'delivered' or 'failed'. Failures are reported here rather than thrown.
+ */
+async function deliverWebhook(webhook, variables, options = {}) {
+    const timeout = createTimeoutSignal(null, options.timeout || WEBHOOK_CONFIG.TIMEOUT);
+    const record = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        webhookId: webhook.id,
+        name: webhook.name,
+        title: variables.title || variables.url,
+        status: 'failed',
+        httpStatus: null,
+        attempts: 1,
+        error: null,
+        timestamp: Date.now(),
+        variables   // Kept so failed deliveries can be retried from the log
+    };
+
+    try {
+        // Typed headers replace the default Content-Type, whatever their case
+        const headers = new Headers({ 'Content-Type': 'application/json' });
+        Object.entries(parseWebhookHeaders(webhook.headers)).forEach(([name, value]) => headers.set(name, value));
+
+        const response = await fetchWithRetry(webhook.url, {
+            method: 'POST',
+            headers,
+            body: renderWebhookBody(webhook.body, variables),
+            signal: timeout.signal
+        }, {
+            fetchImpl: options.fetchImpl,
+            maxAttempts: WEBHOOK_CONFIG.MAX_ATTEMPTS,
+            baseDelay: options.baseDelay,
+            onRetry: retry => {
+                record.attempts = retry.attempt;
+            }
+        });
+
+        record.httpStatus = response.status;
+        if (response.ok) {
+            record.status = 'delivered';
+            response.body?.cancel().catch(() => {});
+        } else {
+            const text = (await response.text().catch(() => '')).trim().slice(0, WEBHOOK_CONFIG.MAX_ERROR_LENGTH);
+            record.error = text ? `HTTP ${response.status}: ${text}` : `HTTP ${response.status}`;
+        }
+    } catch (error) {
+        record.error = error.message;
+    } finally {
+        timeout.clear();
+    }
+
+    await addToDeliveryLog(record).catch(error => console.error('Error saving webhook delivery:', error));
+    return record;
+}
+
+/**
+ * Sends a summary to a stored webhook
+ * @param {string} webhookId - Webhook id
+ * @param {Object} variables - { summary, url, title, excerpt }
+ * @param {Object} options - Passed to deliverWebhook()
+ * @returns {Promise<Object>} - Log record
+ * @throws {Error} - When the webhook has been deleted
+ */
+async function sendToWebhook(webhookId, variables, options = {}) {
+    const webhook = (await getWebhooks()).find(item => item.id === webhookId);
+
+    if (!webhook) {
+        throw new Error('This webhook no longer exists.');
+    }
+
+    return deliverWebhook(webhook, variables, options);
+}
+
+/**
+ * Gets all webhooks
+ * @returns {Promise<Array<Object>>}
+ */
+async function getWebhooks() {
+    const result = await chrome.storage.local.get(WEBHOOK_CONFIG.STORAGE_KEY);
+    return result[WEBHOOK_CONFIG.STORAGE_KEY] || [];
+}
+
+/**
+ * Saves the full list of webhooks
+ * @param {Array<Object>} webhooks - Webhooks to store
+ * @returns {Promise<void>}
+ */
+async function saveWebhooks(webhooks) {
+    await chrome.storage.local.set({ [WEBHOOK_CONFIG.STORAGE_KEY]: webhooks });
+}
+
+/**
+ * Gets the delivery log
+ * @returns {Promise<Array<Object>>} - Newest first
+ */
+async function getDeliveryLog() {
+    const result = await chrome.storage.local.get(WEBHOOK_CONFIG.LOG_KEY);
+    return result[WEBHOOK_CONFIG.LOG_KEY] || [];
+}
+
+/**
+ * Adds a delivery to the log, dropping the oldest beyond MAX_LOG_ENTRIES
+ * @param {Object} record - Delivery from deliverWebhook()
+ * @returns {Promise<void>}
+ */
+function addToDeliveryLog(record) {
+    const write = logWrites.then(async () => {
+        const log = [record, ...(await getDeliveryLog())].slice(0, WEBHOOK_CONFIG.MAX_LOG_ENTRIES);
+        await chrome.storage.local.set({ [WEBHOOK_CONFIG.LOG_KEY]: log });
+    });
+
+    // A failed write is reported to its caller and does not stop the next
+    logWrites = write.catch(() => {});
+    return write;
+}
+
+/**
+ * Clears the delivery log
+ * @returns {Promise<void>}
+ */
+async function clearDeliveryLog() {
+    await chrome.storage.local.remove(WEBHOOK_CONFIG.LOG_KEY);
+}
+
+export {
+    WEBHOOK_CONFIG,
+    parseWebhookHeaders,
+    renderWebhookBody,
+    validateWebhook,
+    createWebhook,
+    getWebhookVariables,
+    deliverWebhook,
+    sendToWebhook,
+    getWebhooks,
+    saveWebhooks,
+    getDeliveryLog,
+    addToDeliveryLog,
+    clearDeliveryLog
+};
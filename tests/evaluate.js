@@ -0,0 +1,556 @@
+/**
+ * Summary Quality Evaluation
+ * Runs each sample in data/sample_texts.json through the background worker's
+ * summarization pipeline, scores the output against its expected_summary with
+ * ROUGE-1/2/L and length metrics, and writes a JSON and Markdown report.
+ *
+ * Usage:
+ *   SUMMARIZER_API_KEY=sk-... node tests/evaluate.js --provider openai --model gpt-4o-mini
+ *   node tests/evaluate.js --provider ollama --model llama3 --record tests/fixtures/evaluation.json
+ *   node tests/evaluate.js --provider ollama --model llama3 --replay tests/fixtures/evaluation.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+
+import {
+    API_CONFIG,
+    DEFAULT_TEMPLATE,
+    OUTPUT_TEMPLATES,
+    STORAGE_KEYS,
+    resolveSummarySettings,
+    validateApiKey
+} from '../src/utils.js';
+import { createProfile, validateProfile, PROFILES_CONFIG } from '../src/profiles.js';
+import { saveApiKey } from '../src/keystore.js';
+import { createPromptTemplate, savePromptTemplates, validatePromptTemplate } from '../src/prompts.js';
+import { createFakeChrome } from './harness.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Constants
+const EVALUATION_CONFIG = {
+    SAMPLES_PATH: path.join(__dirname, '../data/sample_texts.json'),
+    REPORT_PATH: 'reports/evaluation',   // .json and .md are added
+    API_KEY_ENV: 'SUMMARIZER_API_KEY',
+    RECORDING_VERSION: 1,
+    // Replayed requests never leave the machine, so any well-formed key will do
+    REPLAY_KEYS: {
+        openai: 'sk-replay-000000000000000000',
+        azure: '0'.repeat(32),
+        anthropic: 'sk-ant-REDACTED'
+    }
+};
+
+/**
+ * Splits text into lowercase word tokens for ROUGE
+ * @param {string} text - Text to tokenize
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Counts the n-grams in a token list
+ * @param {string[]} tokens - Word tokens
+ * @param {number} n - N-gram size
+ * @returns {Map<string, number>}
+ */
+function countNgrams(tokens, n) {
+    const counts = new Map();
+
+    for (let i = 0; i + n <= tokens.length; i++) {
+        const gram = tokens.slice(i, i + n).join(' ');
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+
+    return counts;
+}
+
+/**
+ * Turns an overlap count into precision, recall and F1
+ * @param {number} overlap - Matching units
+ * @param {number} candidateTotal - Units in the candidate
+ * @param {number} referenceTotal - Units in the reference
+ * @returns {Object} - { precision, recall, f1 }
+ */
+function createScore(overlap, candidateTotal, referenceTotal) {
+    const precision = candidateTotal > 0 ? overlap / candidateTotal : 0;
+    const recall = referenceTotal > 0 ? overlap / referenceTotal : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+    return { precision, recall, f1 };
+}
+
+/**
+ * Scores n-gram overlap between a candidate and a reference (ROUGE-N)
+ * @param {string} candidate - Generated summary
+ * @param {string} reference - Expected summary
+ * @param {number} n - N-gram size
+ * @returns {Object} - { precision, recall, f1 }
+ */
+function rougeN(candidate, reference, n) {
+    const candidateCounts = countNgrams(tokenize(candidate), n);
+    const referenceCounts = countNgrams(tokenize(reference), n);
+    const total = counts => [...counts.values()].reduce((sum, count) => sum + count, 0);
+    let overlap = 0;
+
+    candidateCounts.forEach((count, gram) => {
+        overlap += Math.min(count, referenceCounts.get(gram) || 0);
+    });
+
+    return createScore(overlap, total(candidateCounts), total(referenceCounts));
+}
+
+/**
+ * Scores the longest common subsequence of words (ROUGE-L)
+ * @param {string} candidate - Generated summary
+ * @param {string} reference - Expected summary
+ * @returns {Object} - { precision, recall, f1 }
+ */
+function rougeL(candidate, reference) {
+    const a = tokenize(candidate);
+    const b = tokenize(reference);
+    // One row of the LCS table at a time
+    let previous = new Array(b.length + 1).fill(0);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = new Array(b.length + 1).fill(0);
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = a[i - 1] === b[j - 1] ? previous[j - 1] + 1 : Math.max(previous[j], current[j - 1]);
+        }
+        previous = current;
+    }
+
+    return createScore(previous[b.length], a.length, b.length);
+}
+
+/**
+ * Counts words separated by whitespace
+ * @param {string} text - Text to count
+ * @returns {number}
+ */
+function countWords(text) {
+    return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Scores a summary against its reference and source text
+ * @param {string} summary - Generated summary
+ * @param {string} reference - Expected summary
+ * @param {string} source - Text that was summarized
+ * @returns {Object} - { rouge1, rouge2, rougeL, length: { words, referenceWords, sourceWords,
+ *   compression, lengthRatio } }; compression is summary words per source word and
+ *   lengthRatio summary words per reference word
+ */
+function scoreSummary(summary, reference, source) {
+    const words = countWords(summary);
+    const referenceWords = countWords(reference);
+    const sourceWords = countWords(source);
+
+    return {
+        rouge1: rougeN(summary, reference, 1),
+        rouge2: rougeN(summary, reference, 2),
+        rougeL: rougeL(summary, reference),
+        length: {
+            words,
+            referenceWords,
+            sourceWords,
+            compression: sourceWords > 0 ? words / sourceWords : 0,
+            lengthRatio: referenceWords > 0 ? words / referenceWords : 0
+        }
+    };
+}
+
+/**
+ * Averages the scores of the samples that were summarized
+ * @param {Array<Object>} results - Per-sample results; failed ones have no scores
+ * @returns {Object|null} - { rouge1, rouge2, rougeL, compression, lengthRatio } means, or null when
+ *   every sample failed
+ */
+function averageScores(results) {
+    const scored = results.filter(result => result.scores);
+    const mean = pick => scored.reduce((sum, result) => sum + pick(result.scores), 0) / scored.length;
+
+    if (scored.length === 0) {
+        return null;
+    }
+
+    return {
+        rouge1: mean(scores => scores.rouge1.f1),
+        rouge2: mean(scores => scores.rouge2.f1),
+        rougeL: mean(scores => scores.rougeL.f1),
+        compression: mean(scores => scores.length.compression),
+        lengthRatio: mean(scores => scores.length.lengthRatio)
+    };
+}
+
+/**
+ * Formats the report as Markdown, one table row per sample
+ * @param {Object} report - Report from runEvaluation()
+ * @returns {string}
+ */
+function formatMarkdownReport(report) {
+    const { config, results, averages } = report;
+    const score = value => value.toFixed(3);
+    const failed = results.filter(result => result.error).length;
+    const lines = [
+        '# Summary Evaluation',
+        '',
+        `- Provider: ${API_CONFIG.PROVIDERS[config.provider].NAME} (${config.model})`,
+        `- Template: ${config.template}`,
+        `- Settings: ${config.length} length, ${config.style} style`,
+        `- Mode: ${config.mode}`,
+        `- Samples: ${results.length} (${failed} failed)`,
+        `- Generated: ${report.generatedAt}`,
+        '',
+        '| Sample | ROUGE-1 | ROUGE-2 | ROUGE-L | Words | Compression | Length vs reference |',
+        '| --- | ---: | ---: | ---: | ---: | ---: | ---: |'
+    ];
+
+    results.forEach(result => {
+        const name = `${result.id}. ${result.title}`;
+        if (result.error) {
+            lines.push(`| ${name} | Error: ${result.error.replace(/\|/g, '\\|')} | | | | | |`);
+            return;
+        }
+        const { rouge1, rouge2, rougeL, length } = result.scores;
+        lines.push(`| ${name} | ${score(rouge1.f1)} | ${score(rouge2.f1)} | ${score(rougeL.f1)} | ${length.words} | ` +
+            `${score(length.compression)} | ${score(length.lengthRatio)} |`);
+    });
+
+    if (averages) {
+        lines.push(`| **Average** | ${score(averages.rouge1)} | ${score(averages.rouge2)} | ${score(averages.rougeL)} | | ` +
+            `${score(averages.compression)} | ${score(averages.lengthRatio)} |`);
+    }
+
+    lines.push('', 'ROUGE columns are F1 scores against `expected_summary`. Compression is summary words per source word.', '');
+    return lines.join('\n');
+}
+
+/**
+ * Creates a key for a provider request from its body, which holds the model,
+ * prompt and settings but never the API key
+ * @param {string} body - JSON request body
+ * @returns {string}
+ */
+function createRecordingKey(body) {
+    return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+/**
+ * Wraps fetch so provider responses are saved to a recording
+ * @param {Object} recording - { version, responses }; filled in as responses arrive
+ * @param {Function} fetchImpl - fetch to wrap
+ * @returns {Function}
+ */
+function createRecordingFetch(recording, fetchImpl) {
+    return async (url, options = {}) => {
+        const response = await fetchImpl(url, options);
+        const body = await response.text();
+        const headers = { 'Content-Type': response.headers.get('Content-Type') || 'application/json' };
+
+        if (response.headers.has('Retry-After')) {
+            headers['Retry-After'] = response.headers.get('Retry-After');
+        }
+        recording.responses[createRecordingKey(options.body)] = { status: response.status, headers, body };
+
+        return new Response(body, { status: response.status, headers });
+    };
+}
+
+/**
+ * Creates a fetch that answers from a recording instead of the network
+ * @param {Object} recording - { version, responses }
+ * @returns {Function}
+ */
+function createReplayFetch(recording) {
+    return async (url, options = {}) => {
+        const recorded = recording.responses[createRecordingKey(options.body)];
+
+        // A 404 is reported as is, without retries
+        if (!recorded) {
+            return new Response(JSON.stringify({
+                error: { message: 'No recorded response for this request. Record one with --record.' }
+            }), { status: 404, headers: { 'Content-Type': 'application/json' } });
+        }
+
+        return new Response(recorded.body, { status: recorded.status, headers: recorded.headers });
+    };
+}
+
+/**
+ * Reads a recording file, or starts an empty one
+ * @param {string} file - Recording path
+ * @param {boolean} required - Whether a missing file is an error
+ * @returns {Object} - { version, responses }
+ */
+function readRecording(file, required) {
+    if (!fs.existsSync(file)) {
+        if (required) {
+            throw new Error(`Recording not found: ${file}`);
+        }
+        return { version: EVALUATION_CONFIG.RECORDING_VERSION, responses: {} };
+    }
+
+    const recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (recording.version !== EVALUATION_CONFIG.RECORDING_VERSION || !recording.responses) {
+        throw new Error(`Unsupported recording format: ${file}`);
+    }
+
+    return recording;
+}
+
+/**
+ * Summarizes one text through the background worker's port, as the popup does
+ * @param {string} text - Text to summarize
+ * @param {Object} source - { url, title }
+ * @returns {Promise<Object>} - The worker's done message; rejects with its error
+ */
+function summarizeThroughWorker(text, source) {
+    return new Promise((resolve, reject) => {
+        const port = chrome.runtime.connect({ name: 'summarize' });
+
+        port.onMessage.addListener((message) => {
+            if (message.type === 'done' || message.type === 'error') {
+                port.disconnect();
+                if (message.type === 'done') {
+                    resolve(message);
+                } else {
+                    reject(new Error(message.error));
+                }
+            }
+        });
+
+        // Skip the cache so every run calls the provider (or the recording)
+        port.postMessage({ action: 'summarizeText', text, source, regenerate: true });
+    });
+}
+
+/**
+ * Runs the samples through the summarization pipeline and scores them. The
+ * background worker is loaded against in-memory chrome.* APIs, so the run
+ * uses the same prompts, chunking, retries and parsing as the extension.
+ * @param {Object} options - { provider, model, baseUrl, apiVersion, apiKey, template, prompt,
+ *   length, style, samples, record, replay }; prompt is a custom prompt template's text,
+ *   samples a list of sample ids, and record or replay a recording path
+ * @returns {Promise<Object>} - { generatedAt, config, results, averages }
+ */
+async function runEvaluation(options = {}) {
+    if (options.record && options.replay) {
+        throw new Error('Use either --record or --replay, not both.');
+    }
+
+    const { samples } = JSON.parse(fs.readFileSync(EVALUATION_CONFIG.SAMPLES_PATH, 'utf8'));
+    const ids = options.samples ? options.samples.map(Number) : null;
+    const selected = ids ? samples.filter(sample => ids.includes(sample.id)) : samples;
+    if (selected.length === 0) {
+        throw new Error('No samples match the given ids.');
+    }
+
+    if (!API_CONFIG.PROVIDERS[options.provider]) {
+        throw new Error(`Unknown provider: ${options.provider}. Choose one of ${Object.keys(API_CONFIG.PROVIDERS).join(', ')}.`);
+    }
+
+    const profile = createProfile({
+        name: 'Evaluation',
+        provider: options.provider,
+        baseUrl: options.baseUrl,
+        model: options.model,
+        apiVersion: options.apiVersion,
+        template: options.template || DEFAULT_TEMPLATE
+    });
+    const validation = validateProfile(profile);
+    if (!validation.valid) {
+        throw new Error(validation.error);
+    }
+    if (!options.prompt && !OUTPUT_TEMPLATES[profile.template]) {
+        throw new Error(`Unknown template: ${profile.template}. Choose one of ${Object.keys(OUTPUT_TEMPLATES).join(', ')}.`);
+    }
+
+    const apiKey = options.apiKey || (options.replay ? EVALUATION_CONFIG.REPLAY_KEYS[profile.provider] || '' : '');
+    if (!validateApiKey(apiKey, profile.provider)) {
+        throw new Error(`Set ${EVALUATION_CONFIG.API_KEY_ENV} to a ${API_CONFIG.PROVIDERS[profile.provider].NAME} API key (${API_CONFIG.PROVIDERS[profile.provider].KEY_HINT}).`);
+    }
+
+    // The worker reads everything from chrome.* APIs, so they are set up first
+    globalThis.chrome = createFakeChrome();
+    if (typeof navigator === 'undefined') {
+        globalThis.navigator = { language: 'en-US' };
+    }
+    chrome.storage.local.data[PROFILES_CONFIG.STORAGE_KEY] = [profile];
+    chrome.storage.local.data[PROFILES_CONFIG.ACTIVE_KEY] = profile.id;
+    chrome.storage.sync.data[STORAGE_KEYS.SUMMARY_SETTINGS] = { length: options.length, style: options.style };
+    if (apiKey) {
+        await saveApiKey(profile.id, apiKey);
+    }
+
+    if (options.prompt) {
+        const template = createPromptTemplate({ name: 'Evaluation', prompt: options.prompt });
+        const promptValidation = validatePromptTemplate(template);
+        if (!promptValidation.valid) {
+            throw new Error(promptValidation.error);
+        }
+        await savePromptTemplates([template]);
+        profile.template = template.id;
+    }
+
+    const recordingPath = options.record || options.replay;
+    const recording = recordingPath ? readRecording(recordingPath, Boolean(options.replay)) : null;
+    const networkFetch = globalThis.fetch;
+    if (options.record) {
+        globalThis.fetch = createRecordingFetch(recording, networkFetch);
+    } else if (options.replay) {
+        globalThis.fetch = createReplayFetch(recording);
+    }
+
+    const results = [];
+    try {
+        await import('../src/background.js');
+
+        for (const sample of selected) {
+            const result = { id: sample.id, title: sample.title, reference: sample.expected_summary };
+            try {
+                const done = await summarizeThroughWorker(sample.text, { url: '', title: sample.title });
+                Object.assign(result, {
+                    summary: done.summary,
+                    usage: done.usage,
+                    scores: scoreSummary(done.summary, sample.expected_summary, sample.text)
+                });
+            } catch (error) {
+                result.error = error.message;
+            }
+            results.push(result);
+        }
+    } finally {
+        globalThis.fetch = networkFetch;
+    }
+
+    if (options.record) {
+        fs.mkdirSync(path.dirname(path.resolve(options.record)), { recursive: true });
+        fs.writeFileSync(options.record, JSON.stringify(recording, null, 2) + '\n');
+    }
+
+    const settings = resolveSummarySettings(chrome.storage.sync.data[STORAGE_KEYS.SUMMARY_SETTINGS]);
+    return {
+        generatedAt: new Date().toISOString(),
+        config: {
+            provider: profile.provider,
+            model: profile.model || API_CONFIG.PROVIDERS[profile.provider].MODEL,
+            baseUrl: profile.baseUrl,
+            template: options.prompt ? 'custom prompt' : profile.template,
+            length: settings.length,
+            style: settings.style,
+            mode: options.replay ? 'replay' : options.record ? 'record' : 'live'
+        },
+        results,
+        averages: averageScores(results)
+    };
+}
+
+/**
+ * Writes the report as JSON and Markdown
+ * @param {Object} report - Report from runEvaluation()
+ * @param {string} outPath - Path without extension
+ * @returns {string[]} - Files written
+ */
+function writeReport(report, outPath) {
+    const files = [`${outPath}.json`, `${outPath}.md`];
+
+    fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+    fs.writeFileSync(files[0], JSON.stringify(report, null, 2) + '\n');
+    fs.writeFileSync(files[1], formatMarkdownReport(report));
+
+    return files;
+}
+
+/**
+ * Runs the evaluation from the command line
+ */
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            provider: { type: 'string', default: API_CONFIG.DEFAULT_PROVIDER },
+            model: { type: 'string' },
+            'base-url': { type: 'string' },
+            'api-version': { type: 'string' },
+            template: { type: 'string', default: DEFAULT_TEMPLATE },
+            prompt: { type: 'string' },
+            length: { type: 'string' },
+            style: { type: 'string' },
+            samples: { type: 'string' },
+            record: { type: 'string' },
+            replay: { type: 'string' },
+            out: { type: 'string', default: EVALUATION_CONFIG.REPORT_PATH },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help) {
+        console.log(`Usage: node tests/evaluate.js [options]
+
+  --provider <id>       ${Object.keys(API_CONFIG.PROVIDERS).join(', ')} (default ${API_CONFIG.DEFAULT_PROVIDER})
+  --model <name>        Model or Azure deployment
+  --base-url <url>      Endpoint for Azure and OpenAI-compatible servers
+  --api-version <ver>   Azure API version
+  --template <id>       ${Object.keys(OUTPUT_TEMPLATES).join(', ')} (default ${DEFAULT_TEMPLATE})
+  --prompt <file>       Custom prompt template to use instead of --template
+  --length <length>     Summary length setting
+  --style <style>       Summary style setting
+  --samples <ids>       Comma-separated sample ids (default all)
+  --record <file>       Save provider responses for offline replay
+  --replay <file>       Answer from a recording instead of the provider
+  --out <path>          Report path without extension (default ${EVALUATION_CONFIG.REPORT_PATH})
+
+The API key is read from ${EVALUATION_CONFIG.API_KEY_ENV}.`);
+        return;
+    }
+
+    const report = await runEvaluation({
+        provider: values.provider,
+        model: values.model,
+        baseUrl: values['base-url'],
+        apiVersion: values['api-version'],
+        apiKey: process.env[EVALUATION_CONFIG.API_KEY_ENV] || '',
+        template: values.template,
+        prompt: values.prompt ? fs.readFileSync(values.prompt, 'utf8') : '',
+        length: values.length,
+        style: values.style,
+        samples: values.samples ? values.samples.split(',') : null,
+        record: values.record,
+        replay: values.replay
+    });
+
+    const files = writeReport(report, values.out);
+    const failed = report.results.filter(result => result.error);
+    console.log(formatMarkdownReport(report));
+    console.log(`Report written to ${files.join(' and ')}`);
+
+    // Every sample failing usually means a configuration problem
+    process.exitCode = failed.length === report.results.length ? 1 : 0;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch((error) => {
+        console.error('Evaluation error:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+export {
+    EVALUATION_CONFIG,
+    tokenize,
+    rougeN,
+    rougeL,
+    countWords,
+    scoreSummary,
+    averageScores,
+    formatMarkdownReport,
+    createRecordingKey,
+    runEvaluation,
+    writeReport
+};
@@ -0,0 +1,457 @@
+/**
+ * Test Harness
+ * In-memory fakes of the chrome.* APIs the extension uses, local stubs of an
+ * OpenAI-compatible chat completions endpoint and a webhook receiver, and a
+ * reader for CSV exports, shared by the test suites
+ */
+
+import http from 'http';
+
+// Error bodies the stub sends for each failing status, as OpenAI words them
+const MOCK_ERRORS = {
+    401: 'Incorrect API key provided.',
+    429: 'Rate limit reached for requests.',
+    500: 'The server had an error while processing your request.'
+};
+
+/**
+ * Creates a stand-in for a chrome.events.Event
+ * @returns {Object} - { addListener, removeListener, hasListener, dispatch, listeners };
+ *   dispatch calls every listener and returns their results
+ */
+function createFakeEvent() {
+    const listeners = [];
+
+    return {
+        listeners,
+        addListener(listener) {
+            listeners.push(listener);
+        },
+        removeListener(listener) {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        },
+        hasListener(listener) {
+            return listeners.includes(listener);
+        },
+        dispatch(...args) {
+            return listeners.map(listener => listener(...args));
+        }
+    };
+}
+
+/**
+ * Creates an in-memory stand-in for chrome.storage.local or .session, with
+ * the promise API, quota errors and onChanged events
+ * @param {number} quotaBytes - Size limit, as QUOTA_BYTES
+ * @returns {Object} - Storage area; .data holds the stored items
+ */
+function createFakeStorageArea(quotaBytes = 10485760) {
+    const data = {};
+    const onChanged = createFakeEvent();
+    const sizeOf = keys => keys.reduce((total, key) => total + key.length + JSON.stringify(data[key]).length, 0);
+    const notify = (keys, previous) => {
+        const changes = Object.fromEntries(keys.map(key => [key, { oldValue: previous[key], newValue: data[key] }]));
+        setTimeout(() => onChanged.dispatch(changes));
+    };
+
+    return {
+        data,
+        onChanged,
+        QUOTA_BYTES: quotaBytes,
+        async get(keys) {
+            const wanted = keys === null || keys === undefined ? Object.keys(data) : [].concat(keys);
+            return Object.fromEntries(wanted.filter(key => key in data).map(key => [key, data[key]]));
+        },
+        async set(items) {
+            const previous = { ...data };
+            Object.assign(data, items);
+            if (sizeOf(Object.keys(data)) > quotaBytes) {
+                Object.keys(items).forEach(key => delete data[key]);
+                Object.assign(data, previous);
+                throw new Error('QUOTA_BYTES quota exceeded');
+            }
+            notify(Object.keys(items), previous);
+        },
+        async getBytesInUse(key) {
+            return sizeOf(key === null ? Object.keys(data) : [key].filter(k => k in data));
+        },
+        async remove(keys) {
+            const previous = { ...data };
+            const removed = [].concat(keys).filter(key => key in data);
+            removed.forEach(key => delete data[key]);
+            if (removed.length > 0) {
+                notify(removed, previous);
+            }
+        }
+    };
+}
+
+/**
+ * Creates a stand-in for chrome.alarms that only records alarms; tests fire
+ * them with onAlarm.dispatch()
+ * @returns {Object} - { create, clear, get, onAlarm, scheduled }; scheduled holds alarms by name
+ */
+function createFakeAlarms() {
+    const scheduled = {};
+
+    return {
+        scheduled,
+        onAlarm: createFakeEvent(),
+        async create(name, info) {
+            scheduled[name] = { name, scheduledTime: info.when };
+        },
+        async clear(name) {
+            const existed = name in scheduled;
+            delete scheduled[name];
+            return existed;
+        },
+        async get(name) {
+            return scheduled[name];
+        }
+    };
+}
+
+/**
+ * Creates a stand-in for chrome.storage.sync with the callback API used by
+ * the storage helpers in utils.js
+ * @returns {Object}
+ */
+function createFakeSyncArea() {
+    const area = createFakeStorageArea(102400);
+
+    return {
+        data: area.data,
+        get(keys, callback) {
+            area.get(keys).then(callback);
+        },
+        set(items, callback) {
+            area.set(items).then(callback);
+        },
+        remove(keys, callback) {
+            area.remove(keys).then(callback);
+        }
+    };
+}
+
+/**
+ * Creates the two ends of a chrome.runtime.Port. Messages are copied and
+ * delivered on a later task, as they are between extension pages.
+ * @param {string} name - Port name
+ * @returns {Array<Object>} - [client end, receiving end]
+ */
+function createFakePortPair(name) {
+    const createEnd = () => ({ name, connected: true, onMessage: createFakeEvent(), onDisconnect: createFakeEvent() });
+    const ends = [createEnd(), createEnd()];
+
+    const link = (from, to) => {
+        from.postMessage = (message) => {
+            if (!from.connected) {
+                throw new Error('Attempting to use a disconnected port object');
+            }
+            const copy = structuredClone(message);
+            setTimeout(() => {
+                if (to.connected) {
+                    to.onMessage.dispatch(copy, to);
+                }
+            });
+        };
+        // Only the other end hears about a disconnect
+        from.disconnect = () => {
+            if (!from.connected) return;
+            from.connected = false;
+            to.connected = false;
+            setTimeout(() => to.onDisconnect.dispatch(to));
+        };
+    };
+
+    link(ends[0], ends[1]);
+    link(ends[1], ends[0]);
+    return ends;
+}
+
+/**
+ * Creates an in-memory stand-in for the chrome.* APIs used by the background
+ * worker and the popup. Both sides share it, so a port opened with
+ * runtime.connect() reaches the runtime.onConnect listeners.
+ * @param {Object} options - { tabs, onTabMessage }; tabs is what tabs.query() returns and
+ *   onTabMessage(tabId, message, options) answers tabs.sendMessage()
+ * @returns {Object} - Fake chrome object; .calls records API calls as { api, args }
+ */
+function createFakeChrome(options = {}) {
+    const calls = [];
+    const record = (api, handler = () => undefined) => async (...args) => {
+        calls.push({ api, args });
+        return handler(...args);
+    };
+
+    const chrome = {
+        calls,
+        storage: {
+            local: createFakeStorageArea(),
+            sync: createFakeSyncArea(),
+            session: createFakeStorageArea()
+        },
+        runtime: {
+            id: 'test-extension',
+            lastError: undefined,
+            onConnect: createFakeEvent(),
+            onMessage: createFakeEvent(),
+            onInstalled: createFakeEvent(),
+            connect(connectInfo = {}) {
+                const [client, receiver] = createFakePortPair(connectInfo.name || '');
+                setTimeout(() => chrome.runtime.onConnect.dispatch(receiver));
+                return client;
+            },
+            sendMessage(message) {
+                return new Promise((resolve) => {
+                    // Sent from an extension page; a listener returning true answers later through sendResponse
+                    const sender = { id: chrome.runtime.id, url: chrome.runtime.getURL('popup.html') };
+                    const results = chrome.runtime.onMessage.dispatch(message, sender, resolve);
+                    if (!results.includes(true)) {
+                        resolve(undefined);
+                    }
+                });
+            },
+            getURL: path => `chrome-extension://test-extension/${path}`,
+            getContexts: record('runtime.getContexts', () => []),
+            openOptionsPage: record('runtime.openOptionsPage')
+        },
+        tabs: {
+            query: record('tabs.query', () => options.tabs || []),
+            sendMessage: record('tabs.sendMessage', (tabId, message, sendOptions) => options.onTabMessage?.(tabId, message, sendOptions)),
+            create: record('tabs.create'),
+            update: record('tabs.update'),
+            onActivated: createFakeEvent(),
+            onRemoved: createFakeEvent()
+        },
+        alarms: createFakeAlarms(),
+        windows: {
+            getCurrent: record('windows.getCurrent', () => ({ id: 1 }))
+        },
+        sidePanel: {
+            open: record('sidePanel.open')
+        },
+        downloads: {
+            download: record('downloads.download', () => 1)
+        },
+        scripting: {
+            executeScript: record('scripting.executeScript', () => [{ result: undefined }])
+        },
+        contextMenus: {
+            create: record('contextMenus.create'),
+            onClicked: createFakeEvent()
+        },
+        commands: {
+            onCommand: createFakeEvent()
+        },
+        action: {
+            setBadgeText: record('action.setBadgeText'),
+            setBadgeBackgroundColor: record('action.setBadgeBackgroundColor'),
+            setPopup: record('action.setPopup'),
+            openPopup: record('action.openPopup')
+        },
+        permissions: {
+            request: record('permissions.request', () => true)
+        },
+        offscreen: {
+            createDocument: record('offscreen.createDocument'),
+            closeDocument: record('offscreen.closeDocument')
+        }
+    };
+
+    return chrome;
+}
+
+/**
+ * Sends one reply from the mock completions server
+ * @param {http.ServerResponse} res - Response to write
+ * @param {string|number} reply - 'success', 'malformed' or an HTTP error status
+ * @param {Object} request - Parsed request body
+ * @param {number} count - Requests received so far, numbering the summaries
+ */
+function sendMockReply(res, reply, request, count) {
+    if (typeof reply === 'number') {
+        res.writeHead(reply, {
+            'Content-Type': 'application/json',
+            // Retry at once, so rate-limit tests do not wait
+            ...(reply === 429 ? { 'Retry-After': '0' } : {})
+        });
+        res.end(JSON.stringify({ error: { message: MOCK_ERRORS[reply] || `Error ${reply}` } }));
+        return;
+    }
+
+    if (reply === 'malformed') {
+        res.writeHead(200, { 'Content-Type': request.stream ? 'text/event-stream' : 'application/json' });
+        res.end(request.stream ? 'data: {"choices": [{"delta": \n\n' : '{"choices": [');
+        return;
+    }
+
+    const content = ` Summary ${count}. `;
+    const usage = { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 };
+
+    if (!request.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }], usage }));
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    content.split(/(?<= )/).forEach(piece => {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+    });
+    res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+    res.end('data: [DONE]\n\n');
+}
+
+/**
+ * Starts a local stub of an OpenAI-compatible chat completions endpoint.
+ * Each request takes the next queued reply, or succeeds with a numbered
+ * summary; streaming requests are answered with server-sent events.
+ * @returns {Promise<Object>} - { baseUrl, url, requests, queue, close }; queue(...replies)
+ *   adds 'success', 'malformed' or HTTP error statuses (401, 429, 500)
+ */
+function startMockCompletionsServer() {
+    const requests = [];
+    const replies = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', data => { body += data; });
+        req.on('end', () => {
+            const request = JSON.parse(body);
+            requests.push(request);
+            sendMockReply(res, replies.shift() || 'success', request, requests.length);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                baseUrl,
+                url: `${baseUrl}/v1/chat/completions`,
+                requests,
+                queue: (...items) => replies.push(...items),
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Starts a local HTTP listener standing in for a team tool's webhook. Each
+ * request takes the next queued status, or is answered with 200.
+ * @returns {Promise<Object>} - { url, requests, queue, close }; requests holds
+ *   { method, path, headers, body } with the body parsed as JSON
+ */
+function startMockWebhookListener() {
+    const requests = [];
+    const statuses = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', data => { body += data; });
+        req.on('end', () => {
+            requests.push({ method: req.method, path: req.url, headers: req.headers, body: JSON.parse(body) });
+
+            const status = statuses.shift() || 200;
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(status === 200 ? 'ok' : MOCK_ERRORS[status] || `Error ${status}`);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/hooks/summaries`,
+                requests,
+                queue: (...items) => statuses.push(...items),
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Reads rows back from a CSV export as a spreadsheet would, then drops the
+ * quote the export puts before values that look like formulas
+ * @param {string} csv - File contents
+ * @returns {Array<Object>} - One object per row, keyed by the header
+ */
+function readCsvExport(csv) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < csv.length; i++) {
+        const char = csv[i];
+
+        if (quoted) {
+            if (char === '"' && csv[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || (char === '\r' && csv[i + 1] === '\n')) {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            if (char === '\r') i++;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows;
+    const unguard = value => (/^'[=+\-@\t\r']/.test(value) ? value.slice(1) : value);
+
+    return records.map(values => Object.fromEntries(header.map((column, index) => [column, unguard(values[index] ?? '')])));
+}
+
+/**
+ * Waits until a condition holds
+ * @param {Function} condition - Checked every few milliseconds; may be async
+ * @param {number} timeout - Milliseconds before giving up
+ * @returns {Promise<void>} - Rejects when the condition never holds
+ */
+async function waitFor(condition, timeout = 2000) {
+    const start = Date.now();
+
+    while (!(await condition())) {
+        if (Date.now() - start > timeout) {
+            throw new Error(`Condition not met within ${timeout}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+export {
+    createFakeEvent,
+    createFakeStorageArea,
+    createFakeSyncArea,
+    createFakeAlarms,
+    createFakePortPair,
+    createFakeChrome,
+    startMockCompletionsServer,
+    startMockWebhookListener,
+    readCsvExport,
+    waitFor
+};
@@ -3,13 +3,175 @@
  * Tests core functionality using sample data
  */
 
-// Load sample data
-const fs = require('fs');
-const path = require('path');
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import vm from 'vm';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+// Modules under test: the same ES modules the extension loads
+import {
+    STORAGE_KEYS,
+    API_CONFIG,
+    OUTPUT_TEMPLATES,
+    DEFAULT_SETTINGS,
+    TEXT_LIMITS,
+    ERROR_MESSAGES,
+    ERROR_TYPES,
+    validateText,
+    validateApiKey,
+    sanitizeText,
+    formatErrorMessage,
+    createSummaryPrompt,
+    parseSummaryContent,
+    resolveOutputTemplate,
+    formatSummaryText,
+    resolveSummarySettings,
+    parseApiResponse,
+    truncateText,
+    formatArticleText
+} from '../src/utils.js';
+import { CHUNK_CONFIG, splitIntoChunks, summarizeInChunks } from '../src/chunker.js';
+import {
+    resolveProviderSettings,
+    buildProviderRequest,
+    parseProviderResponse,
+    parseProviderUsage,
+    testProviderConnection,
+    readProviderStream
+} from '../src/providers.js';
+import {
+    HISTORY_CONFIG,
+    createHistoryEntry,
+    searchHistory,
+    fitHistoryToQuota,
+    getHistory,
+    saveToHistory,
+    deleteFromHistory
+} from '../src/history.js';
+import {
+    validatePromptTemplate,
+    renderPromptTemplate,
+    createPromptTemplate,
+    isPromptTemplateId,
+    exportPromptTemplates,
+    importPromptTemplates,
+    getPromptTemplates,
+    savePromptTemplates
+} from '../src/prompts.js';
+import { detectLanguage, detectTextLanguage, getLanguageName } from '../src/language.js';
+import { CACHE_CONFIG, createCacheKey, pruneCache, getCachedSummary, saveToCache } from '../src/cache.js';
+import { RETRY_CONFIG, parseRetryAfter, getRetryDelay, createTimeoutSignal, fetchWithRetry } from '../src/retry.js';
+import {
+    USAGE_CONFIG,
+    estimateTokens,
+    getModelPrice,
+    estimateCost,
+    estimateRequest,
+    addUsage,
+    formatUsage,
+    getUsageTotals,
+    recordUsage,
+    checkSpendingCap
+} from '../src/usage.js';
+import {
+    KEYSTORE_CONFIG,
+    encryptApiKey,
+    decryptApiKey,
+    migrateLegacyApiKey,
+    saveApiKey,
+    getKeyStatus,
+    getApiKey,
+    unlockApiKey,
+    lockApiKey,
+    lockExpiredKeys,
+    clearApiKey
+} from '../src/keystore.js';
+import {
+    PROFILES_CONFIG,
+    createProfile,
+    validateProfile,
+    getProfiles,
+    getActiveProfile,
+    setActiveProfile,
+    saveProfile,
+    deleteProfile
+} from '../src/profiles.js';
+import {
+    SELECTION_CONFIG,
+    getStoredSelection,
+    getTabSelection,
+    saveTabSelection
+} from '../src/selection.js';
+import {
+    CONVERSATION_CONFIG,
+    validateQuestion,
+    buildConversationMessages,
+    saveConversation,
+    deleteConversation,
+    getConversation,
+    addConversationTurn
+} from '../src/conversation.js';
+import {
+    EXPORT_CONFIG,
+    createExportRecord,
+    escapeHtml,
+    escapeMarkdown,
+    serializeSummaries,
+    createExportFilename,
+    downloadSummaries
+} from '../src/export.js';
+import { splitSummaryBlocks, formatCopy, writeToClipboard } from '../src/clipboard.js';
+import {
+    WEBHOOK_CONFIG,
+    parseWebhookHeaders,
+    renderWebhookBody,
+    validateWebhook,
+    createWebhook,
+    getWebhookVariables,
+    deliverWebhook,
+    sendToWebhook,
+    saveWebhooks,
+    getDeliveryLog,
+    clearDeliveryLog
+} from '../src/webhooks.js';
+
+// Fakes of the chrome.* APIs, local HTTP stubs and an export reader
+import {
+    createFakeChrome,
+    createFakeStorageArea,
+    createFakeSyncArea,
+    createFakeAlarms,
+    startMockCompletionsServer,
+    startMockWebhookListener,
+    readCsvExport,
+    waitFor
+} from './harness.js';
+import { rougeN, rougeL, scoreSummary, averageScores, formatMarkdownReport } from './evaluate.js';
+
+// Content scripts cannot be ES modules, so the extractor stays a classic script
+const require = createRequire(import.meta.url);
+const { extractArticle } = require('../src/extractor.js');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const execFileAsync = promisify(execFile);
+
+// Article extraction needs a DOM; jsdom is optional so the rest of the suite
+// runs without any installed packages
+let JSDOM = null;
+try {
+    ({ JSDOM } = require('jsdom'));
+} catch (error) {
+    JSDOM = null;
+}
 
 // Test results tracking
 let testsPassed = 0;
 let testsFailed = 0;
+let testsSkipped = 0;
 const failedTests = [];
 
 /**
@@ -29,31 +191,20 @@ function assert(condition, testName, errorMessage) {
     }
 }
 
+/**
+ * Records a test that could not run in this environment
+ */
+function skip(testName, reason) {
+    testsSkipped++;
+    console.log(`⏭️  SKIP: ${testName} (${reason})`);
+}
+
 /**
  * Test Suite: Text Validation
  */
 function testTextValidation() {
     console.log('\n📋 Testing Text Validation...\n');
 
-    // Mock validateText function (from utils.js)
-    function validateText(text) {
-        if (!text || typeof text !== 'string') {
-            return { valid: false, error: 'No text provided' };
-        }
-
-        const trimmedText = text.trim();
-
-        if (trimmedText.length < 10) {
-            return { valid: false, error: 'Selected text is too short. Please select at least 10 characters.' };
-        }
-
-        if (trimmedText.length > 10000) {
-            return { valid: false, error: 'Selected text is too long. Please select less than 10,000 characters.' };
-        }
-
-        return { valid: true, error: null };
-    }
-
     // Test 1: Empty text
     const result1 = validateText('');
     assert(
@@ -79,7 +230,7 @@ function testTextValidation() {
     );
 
     // Test 4: Very long text
-    const longText = 'a'.repeat(10001);
+    const longText = 'a'.repeat(100001);
     const result4 = validateText(longText);
     assert(
         !result4.valid && result4.error.includes('too long'),
@@ -102,14 +253,6 @@ function testTextValidation() {
 function testApiKeyValidation() {
     console.log('\n🔑 Testing API Key Validation...\n');
 
-    // Mock validateApiKey function (from utils.js)
-    function validateApiKey(apiKey) {
-        if (!apiKey || typeof apiKey !== 'string') {
-            return false;
-        }
-        return apiKey.startsWith('sk-') && apiKey.length > 20;
-    }
-
     // Test 1: Valid API key format
     assert(
         validateApiKey('sk-1234567890abcdefghijklmnop'),
@@ -152,16 +295,6 @@ function testApiKeyValidation() {
 function testTextSanitization() {
     console.log('\n🧹 Testing Text Sanitization...\n');
 
-    // Mock sanitizeText function (from utils.js)
-    function sanitizeText(text) {
-        if (!text) return '';
-
-        return text
-            .trim()
-            .replace(/[^\S\n]+/g, ' ')
-            .replace(/\n{3,}/g, '\n\n');
-    }
-
     // Test 1: Multiple spaces
     const result1 = sanitizeText('Hello    world');
     assert(
@@ -267,29 +400,6 @@ function testSampleDataProcessing() {
 function testErrorFormatting() {
     console.log('\n⚠️  Testing Error Formatting...\n');
 
-    // Mock formatErrorMessage function (from utils.js)
-    function formatErrorMessage(error) {
-        if (typeof error === 'string') {
-            return error;
-        }
-
-        if (error instanceof Error) {
-            if (error.message.includes('401')) {
-                return 'Invalid API key. Please check your OpenAI API key.';
-            }
-            if (error.message.includes('429')) {
-                return 'Rate limit exceeded. Please try again later.';
-            }
-            if (error.message.includes('500')) {
-                return 'OpenAI service error. Please try again later.';
-            }
-
-            return error.message || 'An error occurred while generating the summary.';
-        }
-
-        return 'An error occurred while generating the summary.';
-    }
-
     // Test 1: String error
     assert(
         formatErrorMessage('Custom error') === 'Custom error',
@@ -298,7 +408,7 @@ function testErrorFormatting() {
     );
 
     // Test 2: 401 error
-    const error401 = new Error('Request failed with status 401');
+    const error401 = Object.assign(new Error('Request failed'), { status: 401 });
     assert(
         formatErrorMessage(error401).includes('Invalid API key'),
         '401 errors should mention invalid API key',
@@ -306,7 +416,7 @@ function testErrorFormatting() {
     );
 
     // Test 3: 429 error
-    const error429 = new Error('Request failed with status 429');
+    const error429 = Object.assign(new Error('Request failed'), { status: 429 });
     assert(
         formatErrorMessage(error429).includes('Rate limit'),
         '429 errors should mention rate limit',
@@ -314,7 +424,7 @@ function testErrorFormatting() {
     );
 
     // Test 4: 500 error
-    const error500 = new Error('Request failed with status 500');
+    const error500 = Object.assign(new Error('Request failed'), { status: 500 });
     assert(
         formatErrorMessage(error500).includes('service error'),
         '500 errors should mention service error',
@@ -328,6 +438,14 @@ function testErrorFormatting() {
         'Generic errors should return message',
         `Got: ${formatErrorMessage(genericError)}`
     );
+
+    // Test 6: Numbers in a message are not taken for HTTP statuses
+    const amountError = new Error('Only 401 of 500 pages could be read');
+    assert(
+        formatErrorMessage(amountError) === amountError.message,
+        'Errors without a status should keep their message, numbers included',
+        `Got: ${formatErrorMessage(amountError)}`
+    );
 }
 
 /**
@@ -336,11 +454,6 @@ function testErrorFormatting() {
 function testPromptCreation() {
     console.log('\n💬 Testing Prompt Creation...\n');
 
-    // Mock createSummaryPrompt function (from utils.js)
-    function createSummaryPrompt(text) {
-        return `Please provide a concise summary of the following text in 2-3 sentences:\n\n${text}`;
-    }
-
     // Test 1: Prompt structure
     const prompt = createSummaryPrompt('Sample text');
     assert(
@@ -367,25 +480,2823 @@ function testPromptCreation() {
 }
 
 /**
- * Run all tests
+ * Test Suite: Summary Settings
  */
-function runAllTests() {
-    console.log('🧪 Chrome Summarizer Extension - Test Suite');
-    console.log('='.repeat(60));
+function testSummarySettings() {
+    console.log('\n🎛️  Testing Summary Settings...\n');
 
-    testTextValidation();
-    testApiKeyValidation();
-    testTextSanitization();
-    testSampleDataProcessing();
-    testErrorFormatting();
-    testPromptCreation();
+    // Test 1: Defaults keep the original prompt
+    const prompt1 = createSummaryPrompt('Sample text');
+    assert(
+        prompt1 === 'Please provide a concise summary of the following text in 2-3 sentences:\n\nSample text',
+        'Default settings should keep the original prompt',
+        `Got: ${prompt1}`
+    );
 
-    // Print summary
-    console.log('\n' + '='.repeat(60));
-    console.log('📊 Test Summary');
-    console.log('='.repeat(60));
-    console.log(`✅ Passed: ${testsPassed}`);
-    console.log(`❌ Failed: ${testsFailed}`);
+    // Test 2: Length and style shape the prompt
+    const prompt2 = createSummaryPrompt('Sample text', { length: 'short', style: 'bullets' });
+    assert(
+        prompt2.includes('as 2-3 bullet points') && prompt2.endsWith('Sample text'),
+        'Length and style should shape the prompt',
+        `Got: ${prompt2}`
+    );
+
+    // Test 3: Missing settings fall back to defaults
+    const result3 = resolveSummarySettings(undefined);
+    assert(
+        JSON.stringify(result3) === JSON.stringify(DEFAULT_SETTINGS),
+        'Missing settings should resolve to defaults',
+        `Got: ${JSON.stringify(result3)}`
+    );
+
+    // Test 4: Unknown values are dropped and numbers are clamped
+    const result4 = resolveSummarySettings({ length: 'epic', style: 'haiku', temperature: '5', maxTokens: 10 });
+    assert(
+        result4.length === 'medium' && result4.style === 'paragraph' && result4.temperature === 2 && result4.maxTokens === 50,
+        'Invalid settings should be dropped or clamped',
+        `Got: ${JSON.stringify(result4)}`
+    );
+
+    // Test 5: Provider settings carry the summary settings, within provider limits
+    const provider = resolveProviderSettings(
+        { provider: 'anthropic', model: 'claude-3-5-sonnet-latest' },
+        resolveSummarySettings({ temperature: 1.5, maxTokens: 500 })
+    );
+    assert(
+        provider.model === 'claude-3-5-sonnet-latest' && provider.maxTokens === 500 && provider.temperature === 1,
+        'Provider settings should use the chosen model, token budget and a supported temperature',
+        `Got: ${JSON.stringify(provider)}`
+    );
+
+    // Test 6: The copy format is kept when known and reset otherwise
+    const copyFormats = ['markdown', 'clipboard'].map(copyFormat => resolveSummarySettings({ copyFormat }).copyFormat);
+    assert(
+        copyFormats.join() === 'markdown,text',
+        'Known copy formats should be kept and unknown ones reset',
+        `Got: ${copyFormats}`
+    );
+}
+
+/**
+ * Test Suite: Output Templates
+ */
+function testOutputTemplates() {
+    console.log('\n🧩 Testing Output Templates...\n');
+
+    const completion = content => ({ choices: [{ message: { content } }] });
+    const rejects = (content, templateId) => {
+        try {
+            parseSummaryContent(content, templateId);
+            return false;
+        } catch (error) {
+            return error.message === ERROR_MESSAGES.INVALID_FORMAT;
+        }
+    };
+
+    // Test 1: Structured templates ask for JSON in their shape
+    const prompt = createSummaryPrompt('Sample text', DEFAULT_SETTINGS, 'actionItems');
+    assert(
+        prompt.includes('JSON') && prompt.includes('{"items":[{"task":"string","owner":"string or null"}]}') &&
+            prompt.endsWith('Sample text'),
+        'Structured templates should ask for JSON in their shape',
+        `Got: ${prompt}`
+    );
+
+    // Test 2: The free-text template keeps the length and style prompt
+    assert(
+        createSummaryPrompt('Sample text', DEFAULT_SETTINGS, 'summary') === createSummaryPrompt('Sample text'),
+        'The summary template should keep the original prompt',
+        `Got: ${createSummaryPrompt('Sample text', DEFAULT_SETTINGS, 'summary')}`
+    );
+
+    // Test 3: parseApiResponse validates and returns the object
+    const points = parseApiResponse(completion('{"points": ["First point", "Second point"]}'), 'keyPoints');
+    assert(
+        Array.isArray(points.points) && points.points.length === 2,
+        'parseApiResponse should return the validated object for structured templates',
+        `Got: ${JSON.stringify(points)}`
+    );
+
+    // Test 4: JSON wrapped in a code fence or prose is still found
+    const fenced = parseSummaryContent('Here you go:\n```json\n{"tldr": "Solar output doubled."}\n```', 'tldr');
+    assert(
+        fenced.tldr === 'Solar output doubled.',
+        'JSON inside a code fence should be parsed',
+        `Got: ${JSON.stringify(fenced)}`
+    );
+
+    // Test 5: Optional fields may be null, required ones may not
+    const actions = parseSummaryContent('{"items": [{"task": "Send the report", "owner": null}, {"task": "Book a room", "owner": "Sam"}]}', 'actionItems');
+    assert(
+        actions.items.length === 2 && rejects('{"items": [{"task": null, "owner": "Sam"}]}', 'actionItems'),
+        'Null owners should be accepted and missing tasks rejected',
+        `Got: ${JSON.stringify(actions)}`
+    );
+
+    // Test 6: Wrong shapes and malformed JSON are rejected
+    assert(
+        rejects('{"points": "not a list"}', 'keyPoints') &&
+            rejects('{"questions": [{"question": "Why?"}]}', 'qa') &&
+            rejects('{"tldr": "cut off', 'tldr') &&
+            rejects('Just a sentence.', 'executive'),
+        'Output that does not match the template shape should be rejected',
+        'A malformed response was accepted'
+    );
+
+    // Test 7: Structured summaries have a plain-text form for copying and history
+    const executive = parseSummaryContent(JSON.stringify({
+        headline: 'Panels double output',
+        overview: 'New panels doubled output per acre.',
+        keyPoints: ['Bifacial design', 'Higher install cost'],
+        recommendation: null
+    }), 'executive');
+    const text = formatSummaryText(executive, 'executive');
+    assert(
+        text === 'Panels double output\n\nNew panels doubled output per acre.\n\n• Bifacial design\n• Higher install cost' &&
+            formatSummaryText('Plain summary.', 'summary') === 'Plain summary.',
+        'Structured summaries should format as plain text',
+        `Got: ${text}`
+    );
+
+    // Test 8: Unknown template ids fall back to the free-text summary
+    assert(
+        resolveOutputTemplate('limerick') === 'summary' && resolveOutputTemplate('qa') === 'qa' &&
+            Object.values(OUTPUT_TEMPLATES).every(template => !template.SHAPE || template.TO_TEXT),
+        'Unknown templates should fall back to the summary template',
+        `Got: ${resolveOutputTemplate('limerick')}`
+    );
+}
+
+/**
+ * Test Suite: Custom Prompt Templates
+ */
+async function testPromptTemplates() {
+    console.log('\n✏️  Testing Custom Prompt Templates...\n');
+
+    const throwsMessage = (fn, fragment) => {
+        try {
+            fn();
+            return false;
+        } catch (error) {
+            return error.message.includes(fragment);
+        }
+    };
+
+    // Test 1: Placeholders are filled, with or without inner spaces
+    const prompt = renderPromptTemplate(
+        'Summarize "{{ title }}" ({{url}}) in {{language}}:\n\n{{text}}',
+        { text: 'Body text.', url: 'https://example.com', title: 'Example', language: 'English' }
+    );
+    assert(
+        prompt === 'Summarize "Example" (https://example.com) in English:\n\nBody text.',
+        'Templates should fill every placeholder',
+        `Got: ${prompt}`
+    );
+
+    // Test 2: A missing variable is an error rather than a blank
+    assert(
+        throwsMessage(() => renderPromptTemplate('{{title}}: {{text}}', { text: 'Body text.', title: '' }), 'no page title is available'),
+        'Missing variables should be a clear error',
+        'Rendered without a title'
+    );
+
+    // Test 3: Values are not re-read as placeholders, and \{{ is a literal brace
+    const escaped = renderPromptTemplate('Keep \\{{braces}}: {{text}}', { text: 'Use {{url}} here.' });
+    assert(
+        escaped === 'Keep {{braces}}: Use {{url}} here.',
+        'Values and escaped braces should be left as written',
+        `Got: ${escaped}`
+    );
+
+    // Test 4: Validation catches unknown, unclosed and missing placeholders
+    const unknown = validatePromptTemplate({ name: 'CVEs', prompt: 'List {{cves}} in {{text}}' });
+    const unclosed = validatePromptTemplate({ name: 'CVEs', prompt: 'List CVEs in {{text' });
+    const noText = validatePromptTemplate({ name: 'CVEs', prompt: 'List CVEs on {{url}}' });
+    const valid = validatePromptTemplate({ name: 'CVEs', prompt: 'For a security reviewer, list CVEs in:\n\n{{text}}' });
+    assert(
+        unknown.error.includes('{{cves}}') && unclosed.error.includes('Unclosed') &&
+            noText.error.includes('{{text}}') && valid.valid && !validatePromptTemplate({ name: ' ', prompt: '{{text}}' }).valid,
+        'Validation should reject unknown, unclosed and missing placeholders',
+        `Got: ${JSON.stringify([unknown, unclosed, noText, valid])}`
+    );
+
+    // Test 5: Export and import round-trip, replacing templates with the same name
+    const existing = [createPromptTemplate({ name: 'Security', prompt: 'Old {{text}}' })];
+    const exported = exportPromptTemplates([
+        { id: 'custom:x', name: 'Security', prompt: 'New {{text}}' },
+        { id: 'custom:y', name: 'Legal', prompt: 'Legal review of {{text}}' }
+    ]);
+    const merged = importPromptTemplates(exported, existing);
+    assert(
+        merged.length === 2 && merged[0].id === existing[0].id && merged[0].prompt === 'New {{text}}' &&
+            isPromptTemplateId(merged[1].id) && !exported.includes('custom:x'),
+        'Import should merge exported templates by name',
+        `Got: ${JSON.stringify(merged)}`
+    );
+
+    // Test 6: Invalid imports explain what is wrong and change nothing
+    assert(
+        throwsMessage(() => importPromptTemplates('not json', existing), 'not valid JSON') &&
+            throwsMessage(() => importPromptTemplates('{"templates": []}', existing), 'does not contain') &&
+            throwsMessage(() => importPromptTemplates('[{"name": "Bad", "prompt": "{{oops}}"}]', existing), 'Template 1 (Bad)') &&
+            existing.length === 1,
+        'Invalid imports should fail with a clear message',
+        'An invalid import was accepted'
+    );
+
+    // Test 7: Templates persist in local storage
+    global.chrome = { storage: { local: createFakeStorageArea() } };
+    try {
+        await savePromptTemplates(merged);
+        const stored = await getPromptTemplates();
+        assert(
+            stored.length === 2 && stored[1].name === 'Legal',
+            'Templates should be saved and loaded from storage',
+            `Got: ${JSON.stringify(stored)}`
+        );
+    } finally {
+        delete global.chrome;
+    }
+}
+
+/**
+ * Test Suite: Language Detection and Target Language
+ */
+async function testLanguage() {
+    console.log('\n🌐 Testing Language Detection...\n');
+
+    const samples = {
+        en: 'The committee said on Tuesday that the new policy is expected to reduce costs for families and that it will be reviewed next year.',
+        de: 'Der Ausschuss teilte am Dienstag mit, dass die neue Regelung die Kosten für Familien senken soll und im nächsten Jahr überprüft wird.',
+        es: 'El comité dijo el martes que la nueva política reducirá los costos para las familias y que se revisará el próximo año.',
+        ja: '委員会は火曜日、新しい政策により家族の負担が軽減される見込みであり、来年見直される予定だと述べた。',
+        zh: '委员会周二表示，新政策预计将降低家庭成本，并将于明年进行审查。',
+        ru: 'Комитет заявил во вторник, что новая политика должна снизить расходы семей.'
+    };
+
+    // Test 1: Common languages are detected from script and common words
+    const detected = Object.fromEntries(Object.entries(samples).map(([code, text]) => [code, detectLanguage(text)]));
+    assert(
+        Object.entries(detected).every(([code, result]) => code === result),
+        'Languages should be detected from their script and common words',
+        `Got: ${JSON.stringify(detected)}`
+    );
+
+    // Test 2: Too little to go on gives no guess
+    assert(
+        detectLanguage('Q3 2024: 12% (n=400)') === '' && detectLanguage('') === '',
+        'Text without enough words should not be guessed',
+        `Got: ${detectLanguage('Q3 2024: 12% (n=400)')}`
+    );
+
+    // Test 3: Chrome's detector is used when reliable, the heuristic otherwise
+    try {
+        global.chrome = { i18n: { detectLanguage: async () => ({ isReliable: true, languages: [{ language: 'pt-BR', percentage: 97 }] }) } };
+        const fromChrome = await detectTextLanguage(samples.en);
+        global.chrome = { i18n: { detectLanguage: async () => ({ isReliable: false, languages: [{ language: 'pt', percentage: 20 }] }) } };
+        const fromHeuristic = await detectTextLanguage(samples.de);
+        assert(
+            fromChrome === 'pt' && fromHeuristic === 'de',
+            "Chrome's detector should be preferred only when it is reliable",
+            `Got: ${fromChrome}, ${fromHeuristic}`
+        );
+    } finally {
+        delete global.chrome;
+    }
+
+    // Test 4: The prompt asks for the target language
+    const prompt = createSummaryPrompt(samples.de, { ...DEFAULT_SETTINGS, language: 'en' });
+    const structuredPrompt = createSummaryPrompt(samples.de, { ...DEFAULT_SETTINGS, language: 'en' }, 'keyPoints');
+    assert(
+        prompt.includes('in 2-3 sentences, written in English:') &&
+            structuredPrompt.includes('Write the values in English, keeping the keys as shown'),
+        'Prompts should request the summary in the target language',
+        `Got: ${prompt}`
+    );
+
+    // Test 5: Unknown target languages fall back to matching the text
+    const settings = resolveSummarySettings({ language: 'tlh' });
+    assert(
+        settings.language === '' && resolveSummarySettings({ language: 'ja' }).language === 'ja' &&
+            !createSummaryPrompt('Sample text', settings).includes('written in'),
+        'Unknown target languages should be dropped',
+        `Got: ${JSON.stringify(settings)}`
+    );
+
+    // Test 6: Codes are shown by name
+    assert(
+        getLanguageName('de') === 'German' && getLanguageName('en-US') === 'English' &&
+            getLanguageName('sv') === 'Swedish' && getLanguageName('') === '',
+        'Language codes should map to English names',
+        `Got: ${getLanguageName('de')}, ${getLanguageName('sv')}`
+    );
+}
+
+/**
+ * Test Suite: Text Chunking
+ */
+function testTextChunking() {
+    console.log('\n✂️  Testing Text Chunking...\n');
+
+    // Test 1: Short text is a single chunk
+    const short = 'A short paragraph that fits easily.';
+    const result1 = splitIntoChunks(short, 100);
+    assert(
+        result1.length === 1 && result1[0] === short,
+        'Short text should be a single chunk',
+        `Got ${result1.length} chunks`
+    );
+
+    // Test 2: Paragraph boundaries are preferred
+    const paragraphs = ['First paragraph here.', 'Second paragraph here.', 'Third paragraph here.'];
+    const result2 = splitIntoChunks(paragraphs.join('\n\n'), 50);
+    assert(
+        result2.length === 2 && result2[0] === `${paragraphs[0]}\n\n${paragraphs[1]}` && result2[1] === paragraphs[2],
+        'Chunks should break on paragraph boundaries',
+        `Got: ${JSON.stringify(result2)}`
+    );
+
+    // Test 3: Long paragraphs break on sentence boundaries
+    const sentences = 'One sentence here. Two sentence here. Three sentence here.';
+    const result3 = splitIntoChunks(sentences, 40);
+    assert(
+        result3.length === 2 && result3[0] === 'One sentence here. Two sentence here.' && result3[1] === 'Three sentence here.',
+        'Long paragraphs should break on sentence boundaries',
+        `Got: ${JSON.stringify(result3)}`
+    );
+
+    // Test 4: No chunk exceeds the limit, even for unbroken text
+    const unbroken = 'x'.repeat(250);
+    const result4 = splitIntoChunks(unbroken, 100);
+    assert(
+        result4.every(chunk => chunk.length <= 100) && result4.join('') === unbroken,
+        'Unbroken text should be cut into pieces within the limit',
+        `Got chunk lengths: ${result4.map(chunk => chunk.length).join(', ')}`
+    );
+
+    // Test 5: Upper bound is above the single-request chunk size
+    assert(
+        TEXT_LIMITS.MAX_LENGTH > CHUNK_CONFIG.CHUNK_SIZE,
+        'Maximum text length should allow multiple chunks',
+        `MAX_LENGTH=${TEXT_LIMITS.MAX_LENGTH}, CHUNK_SIZE=${CHUNK_CONFIG.CHUNK_SIZE}`
+    );
+}
+
+/**
+ * Test Suite: LLM Providers
+ */
+function testProviders() {
+    console.log('\n🔌 Testing LLM Providers...\n');
+
+    const messages = [
+        { role: 'system', content: 'System prompt' },
+        { role: 'user', content: 'User prompt' }
+    ];
+
+    // Test 1: Defaults to OpenAI
+    const openai = resolveProviderSettings(undefined);
+    const openaiRequest = buildProviderRequest(messages, 'sk-test', openai);
+    assert(
+        openaiRequest.url === 'https://api.openai.com/v1/chat/completions' &&
+            openaiRequest.options.headers.Authorization === 'Bearer sk-test' &&
+            JSON.parse(openaiRequest.options.body).model === 'gpt-3.5-turbo',
+        'OpenAI should be the default provider',
+        `Got: ${JSON.stringify(openaiRequest)}`
+    );
+
+    // Test 2: Azure uses the deployment URL and api-key header
+    const azure = resolveProviderSettings({ provider: 'azure', baseUrl: 'https://team.openai.azure.com/', model: 'gpt4-summaries' });
+    const azureRequest = buildProviderRequest(messages, 'a'.repeat(32), azure);
+    assert(
+        azureRequest.url === 'https://team.openai.azure.com/openai/deployments/gpt4-summaries/chat/completions?api-version=2024-02-01' &&
+            azureRequest.options.headers['api-key'] === 'a'.repeat(32) &&
+            !azureRequest.options.headers.Authorization,
+        'Azure should use the deployment endpoint and api-key header',
+        `Got: ${JSON.stringify(azureRequest)}`
+    );
+
+    // Test 3: Azure without an endpoint is a clear error
+    let missingEndpoint = '';
+    try {
+        buildProviderRequest(messages, 'a'.repeat(32), resolveProviderSettings({ provider: 'azure', model: 'x' }));
+    } catch (error) {
+        missingEndpoint = error.message;
+    }
+    assert(
+        missingEndpoint.includes('Missing baseUrl'),
+        'Azure without an endpoint should fail clearly',
+        `Got: "${missingEndpoint}"`
+    );
+
+    // Test 4: Anthropic moves the system prompt out of messages
+    const anthropic = resolveProviderSettings({ provider: 'anthropic' });
+    const anthropicRequest = buildProviderRequest(messages, 'sk-ant-test-key-1234567', anthropic);
+    const anthropicBody = JSON.parse(anthropicRequest.options.body);
+    assert(
+        anthropicRequest.options.headers['x-api-key'] === 'sk-ant-test-key-1234567' &&
+            anthropicBody.system === 'System prompt' &&
+            anthropicBody.messages.length === 1 &&
+            anthropicBody.messages[0].role === 'user',
+        'Anthropic should send the system prompt separately',
+        `Got: ${anthropicRequest.options.body}`
+    );
+
+    // Test 5: Anthropic content blocks are parsed
+    const anthropicSummary = parseProviderResponse(
+        { content: [{ type: 'text', text: ' A summary. ' }] },
+        anthropic
+    );
+    assert(
+        anthropicSummary === 'A summary.',
+        'Anthropic responses should be parsed from content blocks',
+        `Got: "${anthropicSummary}"`
+    );
+
+    // Test 6: Ollama works without an API key
+    const ollama = resolveProviderSettings({ provider: 'ollama' });
+    const ollamaRequest = buildProviderRequest(messages, '', ollama);
+    assert(
+        ollamaRequest.url === 'http://localhost:11434/v1/chat/completions' &&
+            !ollamaRequest.options.headers.Authorization,
+        'Ollama should default to localhost without auth',
+        `Got: ${JSON.stringify(ollamaRequest)}`
+    );
+
+    // Test 7: API key validation is provider-specific
+    assert(
+        validateApiKey('sk-1234567890abcdefghijklmnop') &&
+            !validateApiKey('sk-1234567890abcdefghijklmnop', 'azure') &&
+            validateApiKey('sk-ant-1234567890abcdef', 'anthropic') &&
+            validateApiKey('', 'ollama') &&
+            !validateApiKey('', 'anthropic') &&
+            !validateApiKey('sk-1234567890abcdefghijklmnop', 'unknown'),
+        'API key validation should depend on the provider',
+        'Provider-specific key rules were not applied'
+    );
+}
+
+/**
+ * Test Suite: Chunked Summarization
+ */
+async function testChunkedSummarization() {
+    console.log('\n🧩 Testing Chunked Summarization...\n');
+
+    const server = await startMockCompletionsServer();
+
+    // Same request shape the background worker sends
+    const summarize = async (chunk) => {
+        const response = await fetch(server.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: 'gpt-3.5-turbo',
+                messages: [{ role: 'user', content: createSummaryPrompt(chunk) }]
+            })
+        });
+        return parseApiResponse(await response.json());
+    };
+
+    try {
+        // Test 1: Short text uses a single request
+        const summary1 = await summarizeInChunks('Short text that fits in one request.', summarize);
+        assert(
+            summary1 === 'Summary 1.' && server.requests.length === 1,
+            'Short text should be summarized in a single request',
+            `Got "${summary1}" after ${server.requests.length} requests`
+        );
+
+        // Test 2: Long text is mapped over chunks then reduced
+        server.requests.length = 0;
+        const progress = [];
+        const paragraph = 'This paragraph describes one section of a long report. '.repeat(10);
+        const longText = sanitizeText(Array(4).fill(paragraph).join('\n\n'));
+        const summary2 = await summarizeInChunks(longText, summarize, {
+            chunkSize: paragraph.length + 10,
+            onProgress: update => progress.push(update)
+        });
+        assert(
+            server.requests.length === 5 && summary2 === 'Summary 5.',
+            'Long text should be summarized per chunk, then combined',
+            `Got "${summary2}" after ${server.requests.length} requests`
+        );
+
+        // Test 3: The combine request contains every partial summary
+        const combinePrompt = server.requests[4].messages[0].content;
+        assert(
+            ['Summary 1.', 'Summary 2.', 'Summary 3.', 'Summary 4.'].every(partial => combinePrompt.includes(partial)),
+            'Combine request should include all partial summaries',
+            `Got: ${combinePrompt}`
+        );
+
+        // Test 4: Progress is reported for each chunk and the combine step
+        const stages = progress.map(update => update.stage);
+        assert(
+            stages.filter(stage => stage === 'chunk').length === 5 && stages[stages.length - 1] === 'combine',
+            'Progress should be reported per chunk and for the combine step',
+            `Got: ${JSON.stringify(progress)}`
+        );
+
+        // Test 5: Summaries that never shrink are rejected
+        let rejected = false;
+        try {
+            await summarizeInChunks(longText, async chunk => chunk, { chunkSize: paragraph.length + 10 });
+        } catch (error) {
+            rejected = error.message.includes('too long');
+        }
+        assert(
+            rejected,
+            'Summarization should stop when partial summaries do not shrink',
+            'Expected "too long" error'
+        );
+    } finally {
+        await server.close();
+    }
+}
+
+/**
+ * Creates a fetch Response whose body arrives in the given pieces
+ * @param {string[]} pieces - Body pieces, split anywhere
+ * @returns {Response}
+ */
+function createStreamingResponse(pieces) {
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+        start(controller) {
+            pieces.forEach(piece => controller.enqueue(encoder.encode(piece)));
+            controller.close();
+        }
+    });
+    return new Response(stream, { headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+/**
+ * Test Suite: Streaming Responses
+ */
+async function testStreaming() {
+    console.log('\n🌊 Testing Streaming Responses...\n');
+
+    const openai = resolveProviderSettings({ provider: 'openai' });
+    const anthropic = resolveProviderSettings({ provider: 'anthropic' });
+
+    // Test 1: Streaming requests ask for a stream
+    const request = buildProviderRequest([{ role: 'user', content: 'Hi' }], 'sk-test', openai, { stream: true });
+    assert(
+        JSON.parse(request.options.body).stream === true,
+        'Streaming requests should set stream: true',
+        `Got: ${request.options.body}`
+    );
+
+    // Test 2: OpenAI deltas are forwarded, even when events are split across chunks
+    const deltas = [];
+    const openaiEvents = [
+        'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":" world."}}]}\n\n',
+        'data: [DONE]\n\n'
+    ].join('');
+    const summary2 = await readProviderStream(
+        createStreamingResponse([openaiEvents.slice(0, 70), openaiEvents.slice(70, 101), openaiEvents.slice(101)]),
+        openai,
+        delta => deltas.push(delta)
+    );
+    assert(
+        summary2 === 'Hello world.' && deltas.join('|') === 'Hello| world.',
+        'OpenAI stream deltas should be forwarded in order',
+        `Got "${summary2}" from deltas ${JSON.stringify(deltas)}`
+    );
+
+    // Test 3: Anthropic text deltas are forwarded, other events ignored
+    const anthropicEvents = [
+        'event: message_start\ndata: {"type":"message_start","message":{}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Short"}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":" summary."}}\n\n',
+        'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+    ];
+    const summary3 = await readProviderStream(createStreamingResponse(anthropicEvents), anthropic, () => {});
+    assert(
+        summary3 === 'Short summary.',
+        'Anthropic stream text deltas should be collected',
+        `Got "${summary3}"`
+    );
+
+    // Test 4: Anthropic error events fail the stream
+    let streamError = '';
+    try {
+        await readProviderStream(
+            createStreamingResponse(['event: error\ndata: {"type":"error","error":{"message":"Overloaded"}}\n\n']),
+            anthropic,
+            () => {}
+        );
+    } catch (error) {
+        streamError = error.message;
+    }
+    assert(
+        streamError === 'Overloaded',
+        'Stream error events should surface their message',
+        `Got: "${streamError}"`
+    );
+
+    // Test 5: Malformed or empty streams are rejected
+    let malformed = '';
+    try {
+        await readProviderStream(createStreamingResponse(['data: {not json}\n\n']), openai, () => {});
+    } catch (error) {
+        malformed = error.message;
+    }
+    assert(
+        malformed === 'Received invalid response from API.',
+        'Malformed stream events should be rejected',
+        `Got: "${malformed}"`
+    );
+}
+
+/**
+ * Test Suite: Summary History
+ */
+async function testHistory() {
+    console.log('\n🕘 Testing Summary History...\n');
+
+    const local = createFakeStorageArea();
+    global.chrome = { storage: { local } };
+
+    const makeEntry = (title, summary) => createHistoryEntry({
+        text: `Original text about ${title}. `.repeat(50),
+        summary,
+        source: { url: `https://example.com/${title}`, title },
+        settings: { provider: 'openai', model: 'gpt-3.5-turbo' }
+    });
+
+    try {
+        // Test 1: Entries record source, excerpt and model
+        const entry = makeEntry('Climate', 'Climate summary.');
+        assert(
+            entry.url === 'https://example.com/Climate' && entry.model === 'gpt-3.5-turbo' &&
+                entry.excerpt.length <= HISTORY_CONFIG.EXCERPT_LENGTH + 3 && entry.id && entry.timestamp,
+            'History entries should record source, excerpt and model',
+            `Got: ${JSON.stringify(entry)}`
+        );
+
+        // Test 2: Newest entries come first and the retention limit is enforced
+        await saveToHistory(makeEntry('First', 'One.'), 2);
+        await saveToHistory(makeEntry('Second', 'Two.'), 2);
+        await saveToHistory(makeEntry('Third', 'Three.'), 2);
+        const history = await getHistory();
+        assert(
+            history.length === 2 && history[0].title === 'Third' && history[1].title === 'Second',
+            'History should keep the newest entries within the limit',
+            `Got: ${history.map(e => e.title).join(', ')}`
+        );
+
+        // Test 3: A limit of 0 disables history
+        await saveToHistory(makeEntry('Ignored', 'Ignored.'), 0);
+        assert(
+            (await getHistory()).length === 2,
+            'A history limit of 0 should not save entries',
+            `Got ${(await getHistory()).length} entries`
+        );
+
+        // Test 4: Search matches every word across fields, case-insensitively
+        const matches = searchHistory(history, 'THIRD three');
+        assert(
+            matches.length === 1 && matches[0].title === 'Third' && searchHistory(history, '').length === 2,
+            'Search should match all words across title and summary',
+            `Got: ${matches.map(e => e.title).join(', ')}`
+        );
+
+        // Test 5: Deleting removes only that entry
+        await deleteFromHistory(history[0].id);
+        const remaining = await getHistory();
+        assert(
+            remaining.length === 1 && remaining[0].title === 'Second',
+            'Deleting should remove only the chosen entry',
+            `Got: ${remaining.map(e => e.title).join(', ')}`
+        );
+
+        // Test 6: Oldest entries are evicted to fit the byte budget
+        const entries = [makeEntry('A', 'a'), makeEntry('B', 'b'), makeEntry('C', 'c')];
+        const twoEntryBytes = JSON.stringify(entries.slice(0, 2)).length;
+        const fitted = fitHistoryToQuota(entries, twoEntryBytes);
+        assert(
+            fitted.length === 2 && fitted[1].title === 'B',
+            'Eviction should drop the oldest entries first',
+            `Got: ${fitted.map(e => e.title).join(', ')}`
+        );
+
+        // Test 7: Saving stays within a small storage quota
+        const small = createFakeStorageArea(3000);
+        global.chrome = { storage: { local: small } };
+        for (let i = 0; i < 5; i++) {
+            await saveToHistory(makeEntry(`Page${i}`, `Summary ${i}.`), 100);
+        }
+        const kept = await getHistory();
+        assert(
+            kept.length > 0 && kept.length < 5 && kept[0].title === 'Page4',
+            'Saving should evict old entries when storage is nearly full',
+            `Kept ${kept.length} entries`
+        );
+    } finally {
+        delete global.chrome;
+    }
+}
+
+/**
+ * Loads an HTML fixture into a jsdom document
+ * @param {string} name - File name in tests/fixtures
+ * @param {string} url - URL the page was saved from
+ * @returns {Document}
+ */
+function loadFixture(name, url) {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+    return new JSDOM(html, { url }).window.document;
+}
+
+/**
+ * Test Suite: Article Extraction
+ */
+function testArticleExtraction() {
+    console.log('\n📄 Testing Article Extraction...\n');
+
+    if (!JSDOM) {
+        skip('Article extraction against HTML fixtures', 'jsdom is not installed');
+        return;
+    }
+
+    // Test 1: Article body is kept, page chrome is stripped
+    const news = extractArticle(loadFixture('news_article.html', 'https://dailyplanet.example/solar'));
+    const clutter = ['Advertisement', 'World', 'Related stories', 'Share on social media', 'First!', 'newsletter', 'Copyright'];
+    const leaked = clutter.filter(text => news.text.includes(text));
+    assert(
+        news.text.includes('bifacial panels') && news.text.includes('lifetime of a farm') && leaked.length === 0,
+        'Extraction should keep the article and strip nav, ads, comments and footers',
+        `Leaked: ${leaked.join(', ') || 'none'}; text: ${truncateText(news.text, 200)}`
+    );
+
+    // Test 2: Quotes inside the article are kept once, in reading order
+    const quote = 'We expected a modest gain';
+    assert(
+        news.text.split(quote).length === 2 &&
+            news.text.indexOf('track the sun') < news.text.indexOf(quote) &&
+            news.text.indexOf(quote) < news.text.indexOf('Analysts cautioned'),
+        'Extraction should keep nested blocks once and in order',
+        `Got: ${news.text}`
+    );
+
+    // Test 3: Metadata comes from meta tags
+    assert(
+        news.title === 'Solar Farms Double Output With New Panels' && news.byline === 'Lois Lane' &&
+            news.siteName === 'Daily Planet' && news.publishedTime === '2024-03-14T09:00:00Z' &&
+            news.url === 'https://dailyplanet.example/solar',
+        'Extraction should read title, byline, site and date from meta tags',
+        `Got: ${JSON.stringify({ ...news, text: undefined })}`
+    );
+
+    // Test 4: Pages without article markup fall back to scoring and on-page bylines
+    const blog = extractArticle(loadFixture('blog_post.html', 'https://blog.example/pipeline'));
+    assert(
+        blog.text.includes('eighteen minutes') && blog.text.includes('lockfile hash') &&
+            !blog.text.includes('Archive') && !blog.text.includes('devops') &&
+            blog.title === 'Why We Rewrote Our Build Pipeline' && blog.byline === 'Sam Rivera',
+        'Extraction should find content and byline without article markup',
+        `Got: ${JSON.stringify(blog)}`
+    );
+
+    // Test 5: The page itself is left untouched
+    const doc = loadFixture('news_article.html', 'https://dailyplanet.example/solar');
+    extractArticle(doc);
+    assert(
+        doc.querySelector('nav') !== null && doc.querySelector('#comments') !== null,
+        'Extraction should not modify the page',
+        'Page elements were removed'
+    );
+
+    // Test 6: A form wrapping the whole page is kept; search, login and sign-up boxes are not
+    const wrapped = extractArticle(loadFixture('aspnet_page.html', 'https://gazette.example/Story.aspx?id=42'));
+    assert(
+        wrapped.text.includes('nine in the evening') && wrapped.text.includes('digital archive') &&
+            !wrapped.text.includes('Search') && !wrapped.text.includes('Member login') && !wrapped.text.includes('briefing'),
+        'Extraction should look inside page-wide forms but drop small ones',
+        `Got: ${JSON.stringify(wrapped)}`
+    );
+
+    // Test 7: Formatted text leads with metadata for the prompt
+    const formatted = formatArticleText(news);
+    assert(
+        formatted.startsWith('Title: Solar Farms Double Output With New Panels\nBy: Lois Lane\nSource: Daily Planet\n\n') &&
+            formatted.endsWith(news.text) &&
+            formatArticleText({ title: '', byline: '', siteName: '', text: 'Only text.' }) === 'Only text.',
+        'Formatted article text should start with a metadata header',
+        `Got: ${truncateText(formatted, 200)}`
+    );
+}
+
+/**
+ * Test Suite: Summary Cache
+ */
+async function testCache() {
+    console.log('\n🗄️  Testing Summary Cache...\n');
+
+    const params = { provider: 'openai', model: 'gpt-4o-mini', template: 'summary', length: 'medium', style: 'paragraph' };
+    const text = 'Solar farms doubled their output with new panels.';
+
+    // Test 1: Keys are stable and independent of parameter order
+    const key = await createCacheKey(text, params);
+    const reordered = await createCacheKey(text, { style: 'paragraph', length: 'medium', template: 'summary', model: 'gpt-4o-mini', provider: 'openai' });
+    assert(
+        key === reordered && /^[0-9a-f]{64}$/.test(key),
+        'Cache keys should be stable SHA-256 hashes',
+        `Got: ${key} vs ${reordered}`
+    );
+
+    // Test 2: Text, model, template and length all change the key
+    const variants = await Promise.all([
+        createCacheKey(`${text} `, params),
+        createCacheKey(text, { ...params, model: 'gpt-4o' }),
+        createCacheKey(text, { ...params, template: 'tldr' }),
+        createCacheKey(text, { ...params, length: 'short' })
+    ]);
+    assert(
+        variants.every(variant => variant !== key) && new Set(variants).size === variants.length,
+        'Different text or settings should produce different keys',
+        `Got: ${variants.join(', ')}`
+    );
+
+    global.chrome = { storage: { local: createFakeStorageArea() } };
+    const realNow = Date.now;
+
+    try {
+        // Test 3: Saved results are returned for the same key only
+        const result = { summary: 'Output doubled.', template: 'summary', structured: null };
+        await saveToCache(key, result);
+        const hit = await getCachedSummary(key);
+        const miss = await getCachedSummary(variants[1]);
+        assert(
+            hit?.summary === 'Output doubled.' && miss === null,
+            'Cached results should be returned for identical requests only',
+            `Got: ${JSON.stringify(hit)}, ${JSON.stringify(miss)}`
+        );
+
+        // Test 4: Entries expire after the TTL
+        Date.now = () => realNow() + CACHE_CONFIG.TTL + 1000;
+        assert(
+            (await getCachedSummary(key)) === null,
+            'Expired entries should not be returned',
+            'An expired entry was returned'
+        );
+        Date.now = realNow;
+
+        // Test 5: Saving the same key again replaces the entry
+        await saveToCache(key, { ...result, summary: 'Regenerated.' });
+        const stored = (await chrome.storage.local.get(CACHE_CONFIG.STORAGE_KEY))[CACHE_CONFIG.STORAGE_KEY];
+        assert(
+            stored.length === 1 && (await getCachedSummary(key)).summary === 'Regenerated.',
+            'Regenerated results should replace the cached entry',
+            `Got ${stored.length} entries`
+        );
+    } finally {
+        Date.now = realNow;
+        delete global.chrome;
+    }
+
+    // Test 6: Pruning enforces the TTL, entry limit and byte limit, oldest first
+    const now = Date.now();
+    const makeEntries = (count, size) => Array.from({ length: count }, (_, i) => ({
+        key: `k${i}`, result: { summary: 'x'.repeat(size) }, timestamp: now - i
+    }));
+    const expired = { key: 'old', result: { summary: 'old' }, timestamp: now - CACHE_CONFIG.TTL - 1 };
+    const byCount = pruneCache([...makeEntries(CACHE_CONFIG.MAX_ENTRIES + 5, 10), expired], now);
+    const bySize = pruneCache(makeEntries(5, CACHE_CONFIG.MAX_BYTES / 3), now);
+    assert(
+        byCount.length === CACHE_CONFIG.MAX_ENTRIES && byCount[0].key === 'k0' && !byCount.some(e => e.key === 'old') &&
+            bySize.length === 2 && bySize[1].key === 'k1',
+        'Pruning should drop expired entries and the oldest beyond the limits',
+        `Got ${byCount.length} by count, ${bySize.length} by size`
+    );
+}
+
+/**
+ * Creates a fake fetch that answers with a scripted sequence of statuses;
+ * 'network' rejects like a dropped connection
+ * @param {Array<number|string|Object>} script - Statuses, or { status, headers }
+ * @returns {Function} - fetch replacement with a `calls` counter
+ */
+function createScriptedFetch(script) {
+    const fakeFetch = async () => {
+        const step = script[Math.min(fakeFetch.calls, script.length - 1)];
+        fakeFetch.calls++;
+
+        if (step === 'network') {
+            throw new TypeError('Failed to fetch');
+        }
+
+        const { status, headers = {} } = typeof step === 'object' ? step : { status: step };
+        return new Response(JSON.stringify({ status }), { status, headers });
+    };
+    fakeFetch.calls = 0;
+    return fakeFetch;
+}
+
+/**
+ * Test Suite: Request Retries
+ */
+async function testRetry() {
+    console.log('\n🔁 Testing Request Retries...\n');
+
+    const fast = { baseDelay: 1, maxDelay: 20 };
+
+    // Test 1: Retry-After accepts seconds and HTTP dates
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    assert(
+        parseRetryAfter('3', now) === 3000 &&
+            parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', now) === 10000 &&
+            parseRetryAfter('soon', now) === null && parseRetryAfter(null, now) === null,
+        'Retry-After should parse seconds and HTTP dates',
+        `Got: ${parseRetryAfter('3', now)}, ${parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', now)}`
+    );
+
+    // Test 2: Backoff doubles with jitter, and Retry-After wins but is capped
+    const low = getRetryDelay(3, null, { random: () => 0 });
+    const high = getRetryDelay(3, null, { random: () => 1 });
+    assert(
+        low === RETRY_CONFIG.BASE_DELAY * 2 && high === RETRY_CONFIG.BASE_DELAY * 4 &&
+            getRetryDelay(1, 5000) === 5000 && getRetryDelay(1, 3600000) === RETRY_CONFIG.MAX_DELAY,
+        'Delays should use jittered exponential backoff or a capped Retry-After',
+        `Got: ${low}, ${high}`
+    );
+
+    // Test 3: 429 and 503 are retried until the request succeeds
+    const retries = [];
+    let fakeFetch = createScriptedFetch([429, 503, 200]);
+    let response = await fetchWithRetry('https://api.test', {}, { ...fast, fetchImpl: fakeFetch, onRetry: retry => retries.push(retry) });
+    assert(
+        response.status === 200 && fakeFetch.calls === 3,
+        'Rate limits and server errors should be retried',
+        `Got status ${response.status} after ${fakeFetch.calls} calls`
+    );
+
+    // Test 4: Each retry is reported with its attempt number and cause
+    assert(
+        retries.length === 2 && retries[0].attempt === 2 && retries[0].status === 429 &&
+            retries[1].status === 503 && retries[1].maxAttempts === RETRY_CONFIG.MAX_ATTEMPTS,
+        'Retries should be reported with attempt and status',
+        `Got: ${JSON.stringify(retries)}`
+    );
+
+    // Test 5: Retry-After from the server sets the delay
+    retries.length = 0;
+    fakeFetch = createScriptedFetch([{ status: 429, headers: { 'Retry-After': '0' } }, 200]);
+    await fetchWithRetry('https://api.test', {}, { ...fast, fetchImpl: fakeFetch, onRetry: retry => retries.push(retry) });
+    assert(
+        retries.length === 1 && retries[0].delay === 0,
+        'Retry-After should set the retry delay',
+        `Got: ${JSON.stringify(retries)}`
+    );
+
+    // Test 6: The last failed response is returned once attempts run out
+    fakeFetch = createScriptedFetch([500]);
+    response = await fetchWithRetry('https://api.test', {}, { ...fast, fetchImpl: fakeFetch, maxAttempts: 3 });
+    assert(
+        response.status === 500 && fakeFetch.calls === 3,
+        'Retrying should stop after the maximum attempts',
+        `Got status ${response.status} after ${fakeFetch.calls} calls`
+    );
+
+    // Test 7: Client errors are not retried
+    fakeFetch = createScriptedFetch([401, 200]);
+    response = await fetchWithRetry('https://api.test', {}, { ...fast, fetchImpl: fakeFetch });
+    assert(
+        response.status === 401 && fakeFetch.calls === 1,
+        'Client errors should not be retried',
+        `Got status ${response.status} after ${fakeFetch.calls} calls`
+    );
+
+    // Test 8: Network failures are retried, and rethrown when attempts run out
+    fakeFetch = createScriptedFetch(['network', 200]);
+    response = await fetchWithRetry('https://api.test', {}, { ...fast, fetchImpl: fakeFetch });
+    let networkError = null;
+    try {
+        await fetchWithRetry('https://api.test', {}, { ...fast, fetchImpl: createScriptedFetch(['network']), maxAttempts: 2 });
+    } catch (error) {
+        networkError = error;
+    }
+    assert(
+        response.status === 200 && networkError?.message === 'Failed to fetch',
+        'Network failures should be retried until attempts run out',
+        `Got status ${response.status}, error ${networkError?.message}`
+    );
+
+    // Test 9: Stopping during a wait ends retrying at once
+    const controller = new AbortController();
+    fakeFetch = createScriptedFetch([503]);
+    let stopError = null;
+    try {
+        await fetchWithRetry('https://api.test', { signal: controller.signal }, {
+            fetchImpl: fakeFetch,
+            onRetry: () => controller.abort()
+        });
+    } catch (error) {
+        stopError = error;
+    }
+    assert(
+        stopError?.name === 'AbortError' && fakeFetch.calls === 1,
+        'Aborting should stop retrying',
+        `Got: ${stopError?.name} after ${fakeFetch.calls} calls`
+    );
+
+    // Test 10: The overall timeout aborts with a TimeoutError
+    const timeout = createTimeoutSignal(null, 5);
+    let timeoutError = null;
+    try {
+        await fetchWithRetry('https://api.test', { signal: timeout.signal }, { fetchImpl: createScriptedFetch([503]) });
+    } catch (error) {
+        timeoutError = error;
+    } finally {
+        timeout.clear();
+    }
+    assert(
+        timeoutError?.name === 'TimeoutError',
+        'Requests should time out across retries',
+        `Got: ${timeoutError?.name}`
+    );
+}
+
+/**
+ * Test Suite: Token Usage and Cost
+ */
+async function testUsage() {
+    console.log('\n💰 Testing Token Usage and Cost...\n');
+
+    const openai = resolveProviderSettings({ provider: 'openai', model: 'gpt-4o-mini-2024-07-18' });
+    const anthropic = resolveProviderSettings({ provider: 'anthropic' });
+
+    // Test 1: English estimates land near the usual four characters per token
+    const { samples } = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/sample_texts.json'), 'utf8'));
+    const ratios = samples.map(sample => estimateTokens(sample.text) / (sample.text.length / 4));
+    assert(
+        ratios.every(ratio => ratio > 0.75 && ratio < 1.25),
+        'Token estimates should be close to real tokenizer counts for English',
+        `Got ratios: ${ratios.map(ratio => ratio.toFixed(2)).join(', ')}`
+    );
+
+    // Test 2: Chinese, Japanese and Korean count about one token per character
+    assert(
+        estimateTokens('日本語のテキストです') === 10 && estimateTokens('') === 0,
+        'CJK text should be counted per character',
+        `Got: ${estimateTokens('日本語のテキストです')}`
+    );
+
+    // Test 3: Prices match dated model names, local models are free, unknown models unpriced
+    const cost = estimateCost({ inputTokens: 1000000, outputTokens: 1000000 }, openai);
+    assert(
+        Math.abs(cost - 0.75) < 1e-9 &&
+            getModelPrice(resolveProviderSettings({ provider: 'ollama' })).INPUT === 0 &&
+            estimateCost({ inputTokens: 10, outputTokens: 10 }, { provider: 'azure', model: 'my-deployment' }) === null,
+        'Costs should use the longest matching model price',
+        `Got: ${cost}`
+    );
+
+    // Test 4: Usage blocks are read from OpenAI and Anthropic responses
+    const openaiUsage = parseProviderUsage({ usage: { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 } }, openai);
+    const anthropicUsage = parseProviderUsage({ usage: { input_tokens: 80, output_tokens: 20 } }, anthropic);
+    assert(
+        openaiUsage.inputTokens === 120 && openaiUsage.outputTokens === 30 &&
+            anthropicUsage.inputTokens === 80 && anthropicUsage.outputTokens === 20 &&
+            parseProviderUsage({ choices: [] }, openai) === null,
+        'Reported usage should be parsed for each provider',
+        `Got: ${JSON.stringify(openaiUsage)}, ${JSON.stringify(anthropicUsage)}`
+    );
+
+    // Test 5: Streams ask for usage where supported and report it at the end
+    const body = JSON.parse(buildProviderRequest([{ role: 'user', content: 'Hi' }], 'sk-test', openai, { stream: true }).options.body);
+    const azureBody = JSON.parse(buildProviderRequest(
+        [{ role: 'user', content: 'Hi' }], 'a'.repeat(32),
+        resolveProviderSettings({ provider: 'azure', baseUrl: 'https://x.openai.azure.com', model: 'gpt' }),
+        { stream: true }
+    ).options.body);
+    let openaiStreamUsage = null;
+    let anthropicStreamUsage = null;
+    await readProviderStream(createStreamingResponse([
+        'data: {"choices":[{"delta":{"content":"Hi."}}]}\n\n',
+        'data: {"choices":[],"usage":{"prompt_tokens":12,"completion_tokens":2}}\n\n',
+        'data: [DONE]\n\n'
+    ]), openai, () => {}, streamUsage => { openaiStreamUsage = streamUsage; });
+    await readProviderStream(createStreamingResponse([
+        'data: {"type":"message_start","message":{"usage":{"input_tokens":15,"output_tokens":1}}}\n\n',
+        'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi."}}\n\n',
+        'data: {"type":"message_delta","delta":{},"usage":{"output_tokens":4}}\n\n'
+    ]), anthropic, () => {}, streamUsage => { anthropicStreamUsage = streamUsage; });
+    assert(
+        body.stream_options?.include_usage === true && !('stream_options' in azureBody) &&
+            openaiStreamUsage?.inputTokens === 12 && openaiStreamUsage.outputTokens === 2 &&
+            anthropicStreamUsage?.inputTokens === 15 && anthropicStreamUsage.outputTokens === 4,
+        'Streamed usage should be requested and reported',
+        `Got: ${JSON.stringify(openaiStreamUsage)}, ${JSON.stringify(anthropicStreamUsage)}`
+    );
+
+    // Test 6: Chunked requests are estimated with their combine request
+    const longText = 'word '.repeat(20000);
+    const single = estimateRequest(longText, openai);
+    const chunked = estimateRequest(longText, openai, 4);
+    assert(
+        chunked.inputTokens > single.inputTokens && chunked.outputTokens === 5 * openai.maxTokens &&
+            single.inputTokens >= USAGE_CONFIG.CONFIRM_TOKENS,
+        'Request estimates should include every chunk and the combine step',
+        `Got: ${JSON.stringify(single)}, ${JSON.stringify(chunked)}`
+    );
+
+    // Test 7: Usage adds up across responses and stays marked when estimated
+    const total = addUsage(addUsage(null, { inputTokens: 100, outputTokens: 20 }, openai), { inputTokens: 50, outputTokens: 10, estimated: true }, openai);
+    assert(
+        total.inputTokens === 150 && total.outputTokens === 30 && total.estimated === true &&
+            formatUsage(total) === '~180 tokens · $0.0000',
+        'Per-response usage should be summed and formatted',
+        `Got: ${JSON.stringify(total)}, "${formatUsage(total)}"`
+    );
+
+    global.chrome = { storage: { local: createFakeStorageArea() } };
+
+    try {
+        // Test 8: Totals are kept per day and per month
+        const day1 = new Date(2026, 2, 1, 12).getTime();
+        const day2 = new Date(2026, 2, 2, 12).getTime();
+        await recordUsage({ inputTokens: 100, outputTokens: 10, cost: 0.5 }, day1);
+        await recordUsage({ inputTokens: 200, outputTokens: 20, cost: 0.25 }, day2);
+        await recordUsage({ inputTokens: 50, outputTokens: 5, cost: null }, day2);
+        const totals = await getUsageTotals(day2);
+        assert(
+            totals.today.requests === 2 && totals.today.inputTokens === 250 && totals.today.cost === 0.25 &&
+                totals.month.requests === 3 && totals.month.cost === 0.75,
+            'Usage should be totalled per day and per month',
+            `Got: ${JSON.stringify(totals)}`
+        );
+
+        // Test 9: Old days are dropped
+        for (let day = 3; day <= USAGE_CONFIG.KEEP_DAYS + 5; day++) {
+            await recordUsage({ inputTokens: 1, outputTokens: 1, cost: 0 }, new Date(2026, 2, day, 12).getTime());
+        }
+        const stored = (await chrome.storage.local.get(USAGE_CONFIG.STORAGE_KEY))[USAGE_CONFIG.STORAGE_KEY];
+        assert(
+            Object.keys(stored.days).length === USAGE_CONFIG.KEEP_DAYS && !('2026-03-01' in stored.days),
+            'Only the most recent days should be kept',
+            `Got ${Object.keys(stored.days).length} days`
+        );
+
+        // Test 10: Spending caps block requests once reached; 0 means no cap
+        const capped = resolveSummarySettings({ dailyCap: '0.256', monthlyCap: 5 });
+        let capError = '';
+        try {
+            checkSpendingCap(totals, capped);
+        } catch (error) {
+            capError = error.message;
+        }
+        let uncapped = true;
+        try {
+            checkSpendingCap(totals, resolveSummarySettings());
+            checkSpendingCap(totals, resolveSummarySettings({ dailyCap: 1, monthlyCap: 1 }));
+        } catch (error) {
+            uncapped = false;
+        }
+        assert(
+            capped.dailyCap === 0.26 && capError === '' && uncapped,
+            'Spending under the cap, or with no cap, should be allowed',
+            `Got cap ${capped.dailyCap}, error "${capError}"`
+        );
+
+        try {
+            checkSpendingCap(totals, resolveSummarySettings({ dailyCap: 0.25 }));
+        } catch (error) {
+            capError = error.message;
+        }
+        assert(
+            capError.startsWith('Daily spending cap of $0.25 reached'),
+            'Requests should be blocked once the daily cap is reached',
+            `Got: "${capError}"`
+        );
+
+        // Test 11: A cap of $500 is shown as is, not as a server error
+        let bigCapError = null;
+        try {
+            checkSpendingCap({ today: { cost: 0 }, month: { cost: 512 } }, resolveSummarySettings({ monthlyCap: 500 }));
+        } catch (error) {
+            bigCapError = error;
+        }
+        assert(
+            bigCapError?.name === ERROR_TYPES.SPENDING_CAP &&
+                formatErrorMessage(bigCapError).startsWith('Monthly spending cap of $500.00 reached'),
+            'Spending cap errors should keep their message, whatever the amount',
+            `Got: ${bigCapError && formatErrorMessage(bigCapError)}`
+        );
+
+        // Test 12: With a cap set, models without a known price are refused, not counted as free
+        const azure = resolveProviderSettings({ provider: 'azure', model: 'my-deployment', baseUrl: 'https://example.openai.azure.com' });
+        const noSpending = { today: { cost: 0 }, month: { cost: 0 } };
+        let unpricedError = null;
+        try {
+            checkSpendingCap(noSpending, resolveSummarySettings({ dailyCap: 1 }), azure);
+        } catch (error) {
+            unpricedError = error;
+        }
+        let allowed = true;
+        try {
+            checkSpendingCap(noSpending, resolveSummarySettings(), azure);
+            checkSpendingCap(noSpending, resolveSummarySettings({ monthlyCap: 5 }), resolveProviderSettings({ provider: 'ollama' }));
+            checkSpendingCap(noSpending, resolveSummarySettings({ monthlyCap: 5 }), resolveProviderSettings({ model: 'gpt-4o-mini' }));
+        } catch (error) {
+            allowed = false;
+        }
+        assert(
+            unpricedError?.name === ERROR_TYPES.SPENDING_CAP && unpricedError.message.includes('my-deployment') && allowed,
+            'Capped requests to models with an unknown price should be refused',
+            `Got: ${unpricedError?.message}, allowed: ${allowed}`
+        );
+    } finally {
+        delete global.chrome;
+    }
+}
+
+/**
+ * Test Suite: Encrypted API Key Store
+ */
+async function testKeyStore() {
+    console.log('\n🔐 Testing Encrypted API Key Store...\n');
+
+    const apiKey = 'sk-test1234567890abcdefghij';
+    const fast = { iterations: 1000 };
+
+    // Test 1: Keys round-trip with a passphrase and are not stored in plain text
+    const vault = await encryptApiKey(apiKey, 'correct horse', fast);
+    assert(
+        vault.protected && !JSON.stringify(vault).includes(apiKey) && (await decryptApiKey(vault, 'correct horse')) === apiKey,
+        'Passphrase-protected keys should decrypt with the passphrase',
+        `Got: ${JSON.stringify(vault)}`
+    );
+
+    // Test 2: A wrong passphrase is rejected
+    let wrongError = '';
+    try {
+        await decryptApiKey(vault, 'wrong horse');
+    } catch (error) {
+        wrongError = error.message;
+    }
+    assert(
+        wrongError === ERROR_MESSAGES.WRONG_PASSPHRASE,
+        'A wrong passphrase should be rejected',
+        `Got: "${wrongError}"`
+    );
+
+    // Test 3: Every vault gets a fresh salt and IV, and the default iteration count
+    const again = await encryptApiKey(apiKey, 'correct horse');
+    assert(
+        again.salt !== vault.salt && again.iv !== vault.iv && again.data !== vault.data &&
+            again.iterations === KEYSTORE_CONFIG.PBKDF2_ITERATIONS,
+        'Vaults should use a fresh salt and IV',
+        `Got: ${JSON.stringify(again)}`
+    );
+
+    // Test 4: Without a passphrase a device key is used
+    const deviceVault = await encryptApiKey(apiKey);
+    assert(
+        !deviceVault.protected && !JSON.stringify(deviceVault).includes(apiKey) && (await decryptApiKey(deviceVault)) === apiKey,
+        'Keys without a passphrase should round-trip with the device key',
+        `Got: ${JSON.stringify(deviceVault)}`
+    );
+
+    global.chrome = {
+        runtime: {},
+        storage: { local: createFakeStorageArea(), session: createFakeStorageArea(), sync: createFakeSyncArea() },
+        alarms: createFakeAlarms()
+    };
+    const realNow = Date.now;
+
+    try {
+        // Test 5: Plain-text keys from sync storage are moved into a profile's vault
+        const id = 'profile:test';
+        chrome.storage.sync.data[STORAGE_KEYS.API_KEY] = apiKey;
+        await migrateLegacyApiKey(id);
+        const migratedStatus = await getKeyStatus(id);
+        assert(
+            migratedStatus === 'unlocked' && !(STORAGE_KEYS.API_KEY in chrome.storage.sync.data) &&
+                chrome.storage.local.data[KEYSTORE_CONFIG.STORAGE_KEY][id] && (await getApiKey(id)) === apiKey &&
+                (await getKeyStatus('profile:other')) === 'none',
+            'Legacy plain-text keys should be migrated out of sync storage',
+            `Got status ${migratedStatus}, sync: ${JSON.stringify(chrome.storage.sync.data)}`
+        );
+
+        // Test 6: Saving with a passphrase unlocks the key; locking forgets it
+        await saveApiKey(id, apiKey, 'correct horse');
+        const unlockedStatus = await getKeyStatus(id);
+        const unlockedKey = await getApiKey(id);
+        await lockApiKey(id);
+        let lockedError = '';
+        try {
+            await getApiKey(id);
+        } catch (error) {
+            lockedError = error.message;
+        }
+        assert(
+            unlockedStatus === 'unlocked' && unlockedKey === apiKey &&
+                (await getKeyStatus(id)) === 'locked' && lockedError === ERROR_MESSAGES.KEY_LOCKED,
+            'Locked keys should not be readable until unlocked',
+            `Got: ${unlockedStatus}, "${lockedError}"`
+        );
+
+        // Test 7: Unlocking needs the right passphrase
+        let unlockError = '';
+        try {
+            await unlockApiKey(id, 'wrong horse');
+        } catch (error) {
+            unlockError = error.message;
+        }
+        await unlockApiKey(id, 'correct horse');
+        assert(
+            unlockError === ERROR_MESSAGES.WRONG_PASSPHRASE && (await getApiKey(id)) === apiKey,
+            'Unlocking should require the passphrase',
+            `Got: "${unlockError}"`
+        );
+
+        // Test 8: Unlocked keys lock themselves after the auto-lock time unused
+        const lockAfter = DEFAULT_SETTINGS.autoLockMinutes * 60 * 1000;
+        const statusBefore = await getKeyStatus(id, realNow() + lockAfter - 1000);
+        Date.now = () => realNow() + lockAfter + 1000;
+        const statusAfter = await getKeyStatus(id);
+        assert(
+            statusBefore === 'unlocked' && statusAfter === 'locked',
+            'Keys should auto-lock after the timeout',
+            `Got: ${statusBefore}, ${statusAfter}`
+        );
+        Date.now = realNow;
+
+        // Test 9: Clearing removes the vault and the unlocked copy
+        await unlockApiKey(id, 'correct horse');
+        await clearApiKey(id);
+        assert(
+            (await getKeyStatus(id)) === 'none' && (await getApiKey(id)) === '' &&
+                Object.keys(chrome.storage.session.data[KEYSTORE_CONFIG.SESSION_KEY]).length === 0,
+            'Clearing should remove every copy of the key',
+            `Got session: ${JSON.stringify(chrome.storage.session.data)}`
+        );
+
+        // Test 10: An alarm locks unlocked keys when their time is up, without waiting for a read
+        await saveApiKey(id, apiKey, 'correct horse');
+        const deadline = chrome.storage.session.data[KEYSTORE_CONFIG.SESSION_KEY][id].expiresAt;
+        const alarm = chrome.alarms.scheduled[KEYSTORE_CONFIG.LOCK_ALARM];
+        await lockExpiredKeys(deadline - 1000);
+        const keptBefore = id in chrome.storage.session.data[KEYSTORE_CONFIG.SESSION_KEY];
+        await lockExpiredKeys(deadline);
+        assert(
+            alarm?.scheduledTime === deadline && keptBefore &&
+                !(id in chrome.storage.session.data[KEYSTORE_CONFIG.SESSION_KEY]) &&
+                !(KEYSTORE_CONFIG.LOCK_ALARM in chrome.alarms.scheduled),
+            'The auto-lock alarm should lock keys on time and be cleared once none are unlocked',
+            `Got alarm ${JSON.stringify(alarm)}, session ${JSON.stringify(chrome.storage.session.data)}`
+        );
+    } finally {
+        Date.now = realNow;
+        delete global.chrome;
+    }
+}
+
+/**
+ * Test Suite: Provider Profiles
+ */
+async function testProfiles() {
+    console.log('\n👤 Testing Provider Profiles...\n');
+
+    global.chrome = {
+        runtime: {},
+        storage: { local: createFakeStorageArea(), session: createFakeStorageArea(), sync: createFakeSyncArea() },
+        alarms: createFakeAlarms()
+    };
+
+    try {
+        // Test 1: The single setup of earlier versions becomes the first profile, once
+        //   even when two callers ask for the profiles at the same time
+        const legacyVault = await encryptApiKey('sk-ant-test1234567890abcd');
+        chrome.storage.sync.data[STORAGE_KEYS.PROVIDER_SETTINGS] = { provider: 'anthropic', model: 'claude-3-5-haiku-latest' };
+        chrome.storage.sync.data[STORAGE_KEYS.OUTPUT_TEMPLATE] = 'bullets';
+        chrome.storage.local.data[KEYSTORE_CONFIG.LEGACY_STORAGE_KEY] = legacyVault;
+        const [[migrated], [concurrent]] = await Promise.all([getProfiles(), getProfiles()]);
+        assert(
+            concurrent.id === migrated.id && chrome.storage.local.data[PROFILES_CONFIG.STORAGE_KEY].length === 1 &&
+                migrated.name === PROFILES_CONFIG.DEFAULT_NAME && migrated.provider === 'anthropic' &&
+                migrated.model === 'claude-3-5-haiku-latest' && migrated.template === 'bullets' &&
+                (await getActiveProfile()).id === migrated.id &&
+                (await getApiKey(migrated.id)) === 'sk-ant-test1234567890abcd' &&
+                !(KEYSTORE_CONFIG.LEGACY_STORAGE_KEY in chrome.storage.local.data) &&
+                Object.keys(chrome.storage.sync.data).length === 0,
+            'Earlier settings and key should move into a Default profile',
+            `Got: ${JSON.stringify(migrated)}, sync: ${JSON.stringify(chrome.storage.sync.data)}`
+        );
+
+        // Test 2: Names are required and unique, and Azure needs its endpoint
+        const team = createProfile({ name: 'Team', provider: 'openai', model: 'gpt-4o' });
+        const checks = [
+            validateProfile(createProfile({ name: '  ' })),
+            validateProfile(createProfile({ name: 'default' }), [migrated]),
+            validateProfile(createProfile({ name: 'Org', provider: 'azure' })),
+            validateProfile(team, [migrated])
+        ];
+        assert(
+            checks.map(check => check.valid).join() === 'false,false,false,true',
+            'Profiles should be validated before saving',
+            `Got: ${JSON.stringify(checks)}`
+        );
+
+        // Test 3: Each profile keeps its own key, and switching changes the active one
+        await saveProfile(team);
+        await saveApiKey(team.id, 'sk-team1234567890abcdefghij');
+        await setActiveProfile(team.id);
+        const active = await getActiveProfile();
+        assert(
+            active.id === team.id && (await getProfiles()).length === 2 &&
+                (await getApiKey(team.id)) === 'sk-team1234567890abcdefghij' &&
+                (await getApiKey(migrated.id)) === 'sk-ant-test1234567890abcd',
+            'Profiles should keep separate keys and switch',
+            `Got active: ${JSON.stringify(active)}`
+        );
+
+        // Test 4: Deleting the active profile removes its key and falls back to another
+        await deleteProfile(team.id);
+        let lastError = '';
+        try {
+            await deleteProfile(migrated.id);
+        } catch (error) {
+            lastError = error.message;
+        }
+        assert(
+            (await getActiveProfile()).id === migrated.id && (await getKeyStatus(team.id)) === 'none' &&
+                lastError.includes('last profile') && (await getProfiles()).length === 1,
+            'Deleting a profile should remove its key and keep at least one profile',
+            `Got: "${lastError}"`
+        );
+    } finally {
+        delete global.chrome;
+    }
+
+    // Test 5: The test call sends a tiny request and reports provider errors
+    const settings = resolveProviderSettings({ provider: 'openai', model: 'gpt-4o-mini' });
+    const requests = [];
+    const fakeFetch = status => async (url, options) => {
+        requests.push({ url, body: JSON.parse(options.body) });
+        return new Response(JSON.stringify({ error: { message: 'bad model' } }), { status });
+    };
+    await testProviderConnection('sk-test1234567890abcdefghij', settings, { fetchImpl: fakeFetch(200) });
+    const errors = [];
+    for (const status of [401, 404]) {
+        try {
+            await testProviderConnection('sk-test1234567890abcdefghij', settings, { fetchImpl: fakeFetch(status) });
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+    assert(
+        requests[0].body.max_tokens === API_CONFIG.TEST_MAX_TOKENS && requests[0].body.model === 'gpt-4o-mini' &&
+            errors[0].startsWith('Invalid API key') && errors[1] === 'bad model',
+        'Test calls should be small and surface provider errors',
+        `Got: ${JSON.stringify(requests[0].body)}, ${JSON.stringify(errors)}`
+    );
+
+    // Test 6: Provider errors keep the HTTP status for formatErrorMessage
+    const formatted = [];
+    for (const status of [401, 429, 503]) {
+        try {
+            await testProviderConnection('sk-test1234567890abcdefghij', settings, { fetchImpl: fakeFetch(status) });
+        } catch (error) {
+            formatted.push({ status: error.status, message: formatErrorMessage(error) });
+        }
+    }
+    assert(
+        formatted.length === 3 &&
+            formatted[0].status === 401 && formatted[0].message === 'Invalid API key. Please check your OpenAI API key.' &&
+            formatted[1].status === 429 && formatted[1].message.includes('Rate limit') &&
+            formatted[2].status === 503 && formatted[2].message === 'OpenAI service error. Please try again later.',
+        'Provider errors should carry their status through to the formatted message',
+        `Got: ${JSON.stringify(formatted)}`
+    );
+}
+
+/**
+ * Replaces globals for the length of a test, such as the DOM of an extension page
+ * @param {Object} values - Global names and their test values
+ * @returns {Function} - Restores the previous globals
+ */
+function setGlobals(values) {
+    const previous = Object.keys(values).map(name => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+
+    Object.entries(values).forEach(([name, value]) => {
+        Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    });
+
+    return () => previous.forEach(([name, descriptor]) => {
+        if (descriptor) {
+            Object.defineProperty(globalThis, name, descriptor);
+        } else {
+            delete globalThis[name];
+        }
+    });
+}
+
+/**
+ * Creates a profile for the mock completions server and makes it active
+ * @param {Object} local - Fake chrome.storage.local
+ * @param {string} baseUrl - Mock server address
+ */
+function useMockServerProfile(local, baseUrl) {
+    const profile = createProfile({ name: 'Mock server', provider: 'ollama', baseUrl, model: 'mock' });
+
+    local.data[PROFILES_CONFIG.STORAGE_KEY] = [profile];
+    local.data[PROFILES_CONFIG.ACTIVE_KEY] = profile.id;
+}
+
+/**
+ * Sends a request to the background worker over a port, as the popup does,
+ * and collects its replies until it finishes
+ * @param {string|Object} request - Text to summarize, or a message to post as is
+ * @returns {Promise<Array<Object>>} - Messages received, ending with done or error
+ */
+async function requestFromWorker(request) {
+    const port = chrome.runtime.connect({ name: 'summarize' });
+    const messages = [];
+
+    port.onMessage.addListener(message => messages.push(message));
+    port.postMessage(typeof request === 'string'
+        ? { action: 'summarizeText', text: request, source: { url: 'https://example.com/', title: 'Example' } }
+        : request);
+
+    await waitFor(() => messages.some(message => message.type === 'done' || message.type === 'error'), 5000);
+    port.disconnect();
+    return messages;
+}
+
+/**
+ * Test Suite: Tab Selection
+ */
+async function testSelection() {
+    console.log('\n✂️  Testing Tab Selection...\n');
+
+    const tab = { id: 3, url: 'https://example.com/page' };
+    let liveText = 'Live selection from the page';
+    let hasContentScript = true;
+    const fakeChrome = createFakeChrome({
+        onTabMessage: (tabId, message) => {
+            if (!hasContentScript) {
+                throw new Error('Could not establish connection. Receiving end does not exist.');
+            }
+            return message.action === 'getSelectedText' ? { success: true, text: liveText } : undefined;
+        }
+    });
+    const injections = () => fakeChrome.calls.filter(call => call.api === 'scripting.executeScript');
+    const restoreGlobals = setGlobals({ chrome: fakeChrome });
+    const logError = console.error;
+
+    try {
+        // Test 1: The content script's live selection is used first
+        await saveTabSelection(tab.id, 'Older selection', tab.url);
+        assert(
+            (await getTabSelection(tab)) === 'Live selection from the page' && injections().length === 0,
+            'The live selection should come from the content script',
+            `Got injections: ${JSON.stringify(injections())}`
+        );
+
+        // Test 2: Tabs opened before install get the content scripts injected
+        hasContentScript = false;
+        fakeChrome.scripting.executeScript = async (details) => {
+            fakeChrome.calls.push({ api: 'scripting.executeScript', args: [details] });
+            hasContentScript = true;
+        };
+        const injectedText = await getTabSelection(tab);
+        assert(
+            injectedText === 'Live selection from the page' && injections().length === 1 &&
+                injections()[0].args[0].files.join() === SELECTION_CONFIG.CONTENT_SCRIPTS.join(),
+            'Content scripts should be injected on demand',
+            `Got "${injectedText}" after ${JSON.stringify(injections())}`
+        );
+
+        // Test 3: Without a live selection the tab's stored selection is used
+        liveText = '';
+        const fallback = await getTabSelection(tab);
+        const otherTab = await getTabSelection({ id: 4, url: tab.url });
+        const navigated = await getTabSelection({ ...tab, url: 'https://example.com/next' });
+        assert(
+            fallback === 'Older selection' && otherTab === '' && navigated === '',
+            'Stored selections should only apply to their own tab and page',
+            `Got: ${JSON.stringify([fallback, otherTab, navigated])}`
+        );
+
+        // Test 4: Pages that cannot be scripted fall back to the stored selection
+        hasContentScript = false;
+        fakeChrome.scripting.executeScript = async () => {
+            throw new Error('Cannot access a chrome:// URL');
+        };
+        console.error = () => {};
+        const restricted = await getTabSelection(tab);
+        console.error = logError;
+        assert(
+            restricted === 'Older selection',
+            'Restricted pages should fall back to the stored selection',
+            `Got: "${restricted}"`
+        );
+
+        // Test 5: Injecting the content scripts into a page that already has them changes nothing
+        const pageListeners = [];
+        const page = vm.createContext({
+            console: { log: () => {}, error: () => {} },
+            document: { addEventListener: () => {} },
+            window: { getSelection: () => ({ toString: () => 'Page selection' }) },
+            chrome: { runtime: { onMessage: { addListener: listener => pageListeners.push(listener) } } }
+        });
+        let reinjectionError = null;
+        try {
+            for (let injection = 0; injection < 2; injection++) {
+                SELECTION_CONFIG.CONTENT_SCRIPTS.forEach(file => vm.runInContext(
+                    fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), page, { filename: file }
+                ));
+            }
+        } catch (error) {
+            reinjectionError = error;
+        }
+        let pageReply = null;
+        pageListeners[0]?.({ action: 'getSelectedText' }, {}, reply => {
+            pageReply = reply;
+        });
+        assert(
+            !reinjectionError && pageListeners.length === 1 && typeof page.extractArticle === 'function' &&
+                pageReply?.text === 'Page selection',
+            'Re-injected content scripts should keep the first copy and its one listener',
+            `Got ${pageListeners.length} listeners, error: ${reinjectionError?.message}`
+        );
+    } finally {
+        console.error = logError;
+        restoreGlobals();
+    }
+}
+
+/**
+ * Test Suite: Follow-up Conversations
+ */
+async function testConversation() {
+    console.log('\n💬 Testing Follow-up Conversations...\n');
+
+    const local = createFakeStorageArea();
+    const session = createFakeStorageArea();
+    global.chrome = { storage: { local, session } };
+
+    const conversation = {
+        prompt: 'Summarize the following text:\n\nThe original text.',
+        summary: 'The summary.',
+        turns: []
+    };
+
+    try {
+        // Test 1: Questions must not be empty or too long
+        const tooLong = validateQuestion('?'.repeat(CONVERSATION_CONFIG.MAX_QUESTION_LENGTH + 1));
+        assert(
+            validateQuestion('  What year was it?  ').valid && !validateQuestion('   ').valid && !tooLong.valid,
+            'Questions should be validated',
+            `Got: ${JSON.stringify(tooLong)}`
+        );
+
+        // Test 2: Messages keep the prompt and summary, then the latest turns
+        const turns = Array.from({ length: CONVERSATION_CONFIG.MAX_TURNS + 2 }, (_, index) => ({
+            question: `Question ${index}`,
+            answer: `Answer ${index}`
+        }));
+        const messages = buildConversationMessages({ ...conversation, turns }, 'Next question');
+        assert(
+            messages[0].role === 'system' && messages[1].content === conversation.prompt &&
+                messages[2].role === 'assistant' && messages[2].content === 'The summary.' &&
+                messages[3].content === 'Question 2' && messages.length === 3 + CONVERSATION_CONFIG.MAX_TURNS * 2 + 1 &&
+                messages[messages.length - 1].role === 'user' && messages[messages.length - 1].content === 'Next question',
+            'Messages should hold the summarized prompt, the summary and the latest turns',
+            `Got: ${JSON.stringify(messages.map(message => message.content))}`
+        );
+
+        // Test 3: Answered questions are saved with the session and the history entry
+        const entry = createHistoryEntry({
+            text: 'The original text.',
+            summary: 'The summary.',
+            source: { url: 'https://example.com/', title: 'Example' },
+            settings: { provider: 'openai', model: 'gpt-4o-mini' }
+        });
+        await saveToHistory(entry, 10);
+        await saveConversation(entry.id, conversation);
+        await addConversationTurn(entry.id, conversation, { question: 'Who?', answer: 'Someone.', timestamp: 1 });
+        const [saved] = await getHistory();
+        const current = await getConversation(entry.id);
+        assert(
+            current.turns.length === 1 && saved.conversation?.prompt === conversation.prompt &&
+                saved.conversation.turns[0].answer === 'Someone.' && searchHistory([saved], 'someone').length === 1,
+            'Answered questions should be saved with the session and the history entry',
+            `Got: ${JSON.stringify(saved)}`
+        );
+
+        // Test 4: After a restart the conversation is resumed from history
+        Object.keys(session.data).forEach(key => delete session.data[key]);
+        const resumed = await getConversation(entry.id);
+        assert(
+            resumed?.summary === 'The summary.' && resumed.turns[0].question === 'Who?' &&
+                (await getConversation('missing')) === null,
+            'Conversations should be resumed from the history entry',
+            `Got: ${JSON.stringify(resumed)}`
+        );
+
+        // Test 5: Only the latest conversations are kept for the session, and deleted ones are gone
+        const realNow = Date.now;
+        try {
+            for (let index = 0; index <= CONVERSATION_CONFIG.MAX_SESSION_CONVERSATIONS; index++) {
+                Date.now = () => 1000 + index;
+                await saveConversation(`session-${index}`, conversation);
+            }
+        } finally {
+            Date.now = realNow;
+        }
+        await deleteConversation(`session-${CONVERSATION_CONFIG.MAX_SESSION_CONVERSATIONS}`);
+        const keptKeys = Object.keys(session.data).filter(key => key.startsWith(CONVERSATION_CONFIG.KEY_PREFIX));
+        assert(
+            keptKeys.length === CONVERSATION_CONFIG.MAX_SESSION_CONVERSATIONS - 1 &&
+                (await getConversation('session-0')) === null && (await getConversation('session-1')) !== null,
+            'Session conversations should be capped and removed with their history entry',
+            `Got: ${keptKeys.join(', ')}`
+        );
+    } finally {
+        delete global.chrome;
+    }
+}
+
+/**
+ * Test Suite: Summary Export
+ */
+async function testExport() {
+    console.log('\n⬇️  Testing Summary Export...\n');
+
+    const makeEntry = (fields) => ({
+        ...createHistoryEntry({
+            text: 'The original text, with "quotes", commas\nand a second line.',
+            summary: '- First point, with a comma\n- Second "quoted" point',
+            source: { url: 'https://example.com/a(b)', title: 'Plain title' },
+            settings: { provider: 'openai', model: 'gpt-4o-mini' }
+        }),
+        conversation: { prompt: 'Prompt', turns: [{ question: 'Who?', answer: 'Someone.', timestamp: 1 }] },
+        ...fields
+    });
+    const hostile = makeEntry({
+        title: '<script>alert("x")</script> & *stars* [link]',
+        url: 'javascript:alert(1)',
+        summary: '=SUM(A1:A2)',
+        excerpt: '\'quoted\' @mention, "and" more\r\nlines'
+    });
+    const entries = [makeEntry(), hostile];
+
+    // Test 1: HTML exports escape page content and only link to web pages
+    const html = serializeSummaries(entries, 'html');
+    assert(
+        html.startsWith('<!DOCTYPE html>') && !html.includes('<script>') &&
+            html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp;') &&
+            !html.includes('javascript:') && html.includes('<a href="https://example.com/a(b)">Plain title</a>') &&
+            html.includes('<dt>Who?</dt>') && escapeHtml('\'"') === '&#39;&quot;',
+        'HTML exports should escape content and only link to web pages',
+        `Got: ${html}`
+    );
+
+    // Test 2: Markdown exports link the source, quote the excerpt and escape formatting
+    const markdown = serializeSummaries([entries[0]], 'markdown');
+    const hostileMarkdown = serializeSummaries([hostile], 'markdown');
+    assert(
+        markdown.includes('## [Plain title](<https://example.com/a(b)>)') &&
+            markdown.includes('> The original text, with "quotes", commas\n> and a second line.') &&
+            markdown.includes('\\- First point, with a comma  \n\\- Second') &&
+            markdown.includes('**Q:** Who?') &&
+            hostileMarkdown.includes('## \\<script\\>alert("x")\\</script\\> & \\*stars\\* \\[link\\]') &&
+            !hostileMarkdown.includes('](') && escapeMarkdown('1. _a_ #b') === '1\\. \\_a\\_ \\#b',
+        'Markdown exports should link the source, quote the excerpt and escape formatting',
+        `Got: ${markdown}\n${hostileMarkdown}`
+    );
+
+    // Test 3: CSV quotes fields, guards formulas and reads back unchanged
+    const csv = serializeSummaries(entries, 'csv');
+    const rows = readCsvExport(csv);
+    const expected = entries.map(createExportRecord)
+        .map(record => Object.fromEntries(EXPORT_CONFIG.CSV_COLUMNS.map(column => [column, record[column]])));
+    assert(
+        csv.split('\r\n')[0] === EXPORT_CONFIG.CSV_COLUMNS.join(',') && csv.includes(',\'=SUM(A1:A2),') &&
+            csv.includes('"\'- First point, with a comma\n- Second ""quoted"" point"') &&
+            JSON.stringify(rows) === JSON.stringify(expected),
+        'CSV exports should quote fields, guard formulas and round-trip',
+        `Got: ${JSON.stringify(rows)}`
+    );
+
+    // Test 4: JSON exports read back unchanged
+    const json = serializeSummaries(entries, 'json');
+    assert(
+        JSON.parse(json).version === EXPORT_CONFIG.VERSION &&
+            JSON.stringify(JSON.parse(json).summaries) === JSON.stringify(entries.map(createExportRecord)),
+        'JSON exports should round-trip',
+        `Got: ${json}`
+    );
+
+    // Test 5: Downloads carry the serialized file, named after the page or the date
+    const fakeChrome = createFakeChrome();
+    const restoreGlobals = setGlobals({ chrome: fakeChrome });
+    try {
+        await downloadSummaries([entries[0]], 'text');
+        await downloadSummaries(entries, 'csv');
+        const [single, set] = fakeChrome.calls.filter(call => call.api === 'downloads.download').map(call => call.args[0]);
+        const base64 = single.url.slice(single.url.indexOf(',') + 1);
+        const decoded = new TextDecoder().decode(Uint8Array.from(atob(base64), char => char.charCodeAt(0)));
+        assert(
+            single.filename === 'summary-plain-title.txt' && single.url.startsWith('data:text/plain;charset=utf-8;base64,') &&
+                decoded === serializeSummaries([entries[0]], 'text') &&
+                set.filename === `summaries-${new Date().toISOString().slice(0, 10)}.csv` &&
+                createExportFilename([{ title: '' }], 'html') === 'summary.html',
+            'Downloads should carry the serialized file with a descriptive name',
+            `Got: ${JSON.stringify([single.filename, set.filename])}`
+        );
+    } finally {
+        restoreGlobals();
+    }
+}
+
+/**
+ * Test Suite: Rich Copy
+ */
+async function testClipboard() {
+    console.log('\n📋 Testing Rich Copy...\n');
+
+    const entry = createHistoryEntry({
+        text: 'The quoted source.\nIts second line.',
+        summary: 'Intro line\n- First *point*\n- Second <b>point</b>\n\nClosing line',
+        source: { url: 'https://example.com/a b', title: 'Page [1]' }
+    });
+
+    // Test 1: Bullets become lists and blank lines separate paragraphs
+    const blocks = splitSummaryBlocks(entry.summary);
+    assert(
+        JSON.stringify(blocks) === JSON.stringify([
+            { type: 'paragraph', lines: ['Intro line'] },
+            { type: 'list', items: ['First *point*', 'Second <b>point</b>'] },
+            { type: 'paragraph', lines: ['Closing line'] }
+        ]),
+        'Summaries should be split into paragraphs and lists',
+        `Got: ${JSON.stringify(blocks)}`
+    );
+
+    // Test 2: Plain text is the summary alone; Markdown adds an escaped source link
+    const text = formatCopy(entry, 'text');
+    const markdown = formatCopy(entry, 'markdown');
+    assert(
+        text.text === entry.summary && text.html === null && markdown.html === null &&
+            markdown.text === 'Intro line\n\n- First \\*point\\*\n- Second \\<b\\>point\\</b\\>\n\nClosing line' +
+                '\n\nSource: [Page \\[1\\]](<https://example.com/a%20b>)',
+        'Markdown copies should escape the summary and cite the source',
+        `Got: ${JSON.stringify(markdown)}`
+    );
+
+    // Test 3: HTML keeps lists and links, escapes the summary, and skips unsafe links
+    const html = formatCopy(entry, 'html');
+    const unsafe = formatCopy({ ...entry, url: 'javascript:alert(1)', title: 'Page' }, 'html');
+    assert(
+        html.html === '<p>Intro line</p><ul><li>First *point*</li><li>Second &lt;b&gt;point&lt;/b&gt;</li></ul>' +
+                '<p>Closing line</p><p>Source: <a href="https://example.com/a b">Page [1]</a></p>' &&
+            html.text.endsWith('Closing line\n\nSource: Page [1] (https://example.com/a b)') &&
+            !unsafe.html.includes('javascript:') && unsafe.html.endsWith('<p>Source: Page</p>'),
+        'HTML copies should keep lists and links and escape the summary',
+        `Got: ${JSON.stringify(html)}`
+    );
+
+    // Test 4: Quote copies put the source text first
+    const quote = formatCopy(entry, 'quote');
+    assert(
+        quote.text.startsWith('> The quoted source.\n> Its second line.\n\nIntro line') &&
+            quote.html.startsWith('<blockquote>The quoted source.<br>Its second line.</blockquote><p>Intro line</p>') &&
+            formatCopy({ ...entry, excerpt: '' }, 'quote').text === html.text,
+        'Quote copies should start with the quoted source text',
+        `Got: ${JSON.stringify(quote)}`
+    );
+
+    // Test 5: HTML is written with a plain-text alternative, or as text without ClipboardItem
+    const written = [];
+    class FakeClipboardItem {
+        constructor(items) {
+            this.items = items;
+        }
+    }
+    const clipboard = {
+        write: async items => { written.push(...items); },
+        writeText: async value => { written.push(value); }
+    };
+    let restoreGlobals = setGlobals({ navigator: { clipboard }, ClipboardItem: FakeClipboardItem });
+    try {
+        await writeToClipboard(html);
+        await writeToClipboard(markdown);
+    } finally {
+        restoreGlobals();
+    }
+    restoreGlobals = setGlobals({ navigator: { clipboard }, ClipboardItem: undefined });
+    try {
+        await writeToClipboard(html);
+    } finally {
+        restoreGlobals();
+    }
+    const [item, plain, fallback] = written;
+    assert(
+        item instanceof FakeClipboardItem && await item.items['text/html'].text() === html.html &&
+            await item.items['text/plain'].text() === html.text && plain === markdown.text && fallback === html.text,
+        'HTML should be written with a plain-text alternative, or as text without ClipboardItem',
+        `Got: ${JSON.stringify(written)}`
+    );
+}
+
+/**
+ * Test Suite: Webhooks
+ */
+async function testWebhooks() {
+    console.log('\n🔗 Testing Webhooks...\n');
+
+    const entry = createHistoryEntry({
+        text: 'Source text',
+        summary: 'Line with "quotes"\n- and a \\ backslash',
+        source: { url: 'https://example.com/page', title: 'Page {{title}}' }
+    });
+    const variables = getWebhookVariables(entry);
+
+    // Test 1: Webhooks need a name, a web URL, valid headers and a JSON body template
+    const base = { name: 'Team feed', url: 'https://hooks.example.com/x', headers: '', body: WEBHOOK_CONFIG.DEFAULT_BODY };
+    const errors = [
+        { ...base, name: ' ' },
+        { ...base, url: 'ftp://example.com/' },
+        { ...base, headers: 'Authorization Bearer abc' },
+        { ...base, body: '{"text": {{summary}}}' },
+        { ...base, body: '{"text": "{{author}}"}' }
+    ].map(webhook => validateWebhook(webhook).error);
+    assert(
+        validateWebhook(base).valid && errors.every(Boolean) && errors[3].includes('inside quotes') &&
+            errors[4].includes('Unknown placeholder {{author}}'),
+        'Invalid webhooks should be rejected with a reason',
+        `Got: ${JSON.stringify(errors)}`
+    );
+
+    // Test 2: Headers are read one per line
+    const headers = parseWebhookHeaders('Authorization: Bearer a:b\n\n  X-Team : notes ');
+    assert(
+        JSON.stringify(headers) === JSON.stringify({ Authorization: 'Bearer a:b', 'X-Team': 'notes' }),
+        'Header lines should be parsed into names and values',
+        `Got: ${JSON.stringify(headers)}`
+    );
+
+    // Test 3: Bodies stay valid JSON whatever the summary holds, and values are not re-read as placeholders
+    const body = JSON.parse(renderWebhookBody('{"text": "*{{title}}*\\n{{summary}}", "blocks": [{"url": "{{url}}"}], "n": 1, "empty": "{{excerpt}}"}', {
+        ...variables,
+        excerpt: ''
+    }));
+    assert(
+        body.text === `*Page {{title}}*\n${entry.summary}` && body.blocks[0].url === 'https://example.com/page' &&
+            body.n === 1 && body.empty === '',
+        'Rendered bodies should be valid JSON with the placeholders filled',
+        `Got: ${JSON.stringify(body)}`
+    );
+
+    const listener = await startMockWebhookListener();
+    const fakeChrome = createFakeChrome();
+    const restoreGlobals = setGlobals({ chrome: fakeChrome });
+
+    try {
+        const webhook = createWebhook({ ...base, url: listener.url, headers: 'Authorization: Bearer token\ncontent-type: application/vnd.team+json' });
+        await saveWebhooks([webhook]);
+
+        // Test 4: Deliveries post the rendered body with the typed headers, and are logged
+        const delivered = await deliverWebhook(webhook, variables);
+        const [request] = listener.requests;
+        assert(
+            delivered.status === 'delivered' && delivered.httpStatus === 200 && delivered.attempts === 1 &&
+                request.method === 'POST' && request.path === '/hooks/summaries' &&
+                request.headers.authorization === 'Bearer token' && request.headers['content-type'] === 'application/vnd.team+json' &&
+                request.body.summary === entry.summary && request.body.title === 'Page {{title}}' &&
+                (await getDeliveryLog())[0].id === delivered.id,
+            'Deliveries should post the rendered body with the typed headers',
+            `Got: ${JSON.stringify(delivered)} for ${JSON.stringify(request)}`
+        );
+
+        // Test 5: Server errors are retried
+        listener.queue(500);
+        const retried = await sendToWebhook(webhook.id, variables, { baseDelay: 1 });
+        assert(
+            retried.status === 'delivered' && retried.attempts === 2 && listener.requests.length === 3,
+            'Server errors should be retried',
+            `Got: ${JSON.stringify(retried)}`
+        );
+
+        // Test 6: Failures are logged with the response, newest first, and the log is capped
+        listener.queue(500, 500, 500, 400);
+        const failed = await deliverWebhook(webhook, variables, { baseDelay: 1 });
+        const rejected = await deliverWebhook(webhook, variables, { baseDelay: 1 });
+        for (let i = 0; i < WEBHOOK_CONFIG.MAX_LOG_ENTRIES; i++) {
+            await deliverWebhook(webhook, variables, { fetchImpl: async () => new Response('', { status: 404 }) });
+        }
+        const log = await getDeliveryLog();
+        assert(
+            failed.status === 'failed' && failed.attempts === WEBHOOK_CONFIG.MAX_ATTEMPTS &&
+                failed.error === 'HTTP 500: The server had an error while processing your request.' &&
+                rejected.attempts === 1 && rejected.httpStatus === 400 &&
+                log.length === WEBHOOK_CONFIG.MAX_LOG_ENTRIES && log[0].error === 'HTTP 404' &&
+                log[0].variables.summary === entry.summary,
+            'Failed deliveries should be logged with the response and the log capped',
+            `Got: ${JSON.stringify([failed, rejected])}`
+        );
+
+        // Test 7: Deliveries finishing together all reach the log
+        await clearDeliveryLog();
+        const succeed = async () => new Response(null, { status: 204 });
+        await Promise.all([1, 2, 3].map(() => deliverWebhook(webhook, variables, { fetchImpl: succeed })));
+        const together = await getDeliveryLog();
+        assert(
+            together.length === 3 && together.every(record => record.status === 'delivered'),
+            'Concurrent deliveries should all be logged',
+            `Got ${together.length} records`
+        );
+    } finally {
+        restoreGlobals();
+        await listener.close();
+    }
+}
+
+/**
+ * Test Suite: Background Worker
+ */
+async function testBackgroundWorker() {
+    console.log('\n⚙️  Testing Background Worker...\n');
+
+    const { samples, test_cases: testCases } = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/sample_texts.json'), 'utf8'));
+    const server = await startMockCompletionsServer();
+    const listener = await startMockWebhookListener();
+    const overlayStates = [];
+    let overlayReplies = true;
+    const tab = { id: 7, url: 'https://example.com/article', title: 'Article' };
+    const fakeChrome = createFakeChrome({
+        tabs: [tab],
+        onTabMessage: (tabId, message) => {
+            if (message.action === 'getSelectedText') {
+                return { text: samples[5].text };
+            }
+            if (message.action === 'showSummaryOverlay') {
+                overlayStates.push(message.state);
+                // A frame whose listener never answers leaves the message pending
+                return overlayReplies ? undefined : new Promise(() => {});
+            }
+            return undefined;
+        }
+    });
+    const restoreGlobals = setGlobals({ chrome: fakeChrome, navigator: { language: 'en-US' } });
+    const baseDelay = RETRY_CONFIG.BASE_DELAY;
+    const logError = console.error;
+
+    useMockServerProfile(fakeChrome.storage.local, server.baseUrl);
+    RETRY_CONFIG.BASE_DELAY = 1;
+    // Failing requests are logged by the worker; keep the test output readable
+    console.error = () => {};
+
+    try {
+        await import('../src/background.js');
+
+        // Test 1: Installing registers the context menu entry
+        chrome.runtime.onInstalled.dispatch({ reason: 'install' });
+        const menu = chrome.calls.find(call => call.api === 'contextMenus.create');
+        assert(
+            menu?.args[0].id === 'summarizeSelection' && menu.args[0].contexts.includes('selection'),
+            'Installing should register the context menu entry',
+            `Got: ${JSON.stringify(menu)}`
+        );
+
+        // Test 2: A summary streams over the port and ends with usage
+        const messages = await requestFromWorker(samples[0].text);
+        const done = messages.find(message => message.type === 'done');
+        const streamed = messages.filter(message => message.type === 'delta').map(message => message.text).join('');
+        assert(
+            server.requests[0].stream === true && streamed.trim() === 'Summary 1.' &&
+                done?.summary === 'Summary 1.' && !done.cached &&
+                done.usage.inputTokens === 100 && done.usage.outputTokens === 10 && !done.usage.estimated,
+            'Summaries should stream over the port and report the provider\'s usage',
+            `Got: ${JSON.stringify(messages)}`
+        );
+
+        // Test 3: The summary is kept in history and as the last summary
+        const [entry] = await getHistory();
+        assert(
+            entry?.summary === 'Summary 1.' && entry.url === 'https://example.com/' && entry.model === 'mock' &&
+                chrome.storage.local.data[STORAGE_KEYS.LAST_SUMMARY] === 'Summary 1.',
+            'Summaries should be saved to history',
+            `Got: ${JSON.stringify(entry)}`
+        );
+
+        // Test 4: Asking again is answered from the cache
+        const repeat = await requestFromWorker(samples[0].text);
+        assert(
+            repeat[repeat.length - 1].cached === true && server.requests.length === 1,
+            'Repeated requests should be answered from the cache',
+            `Got: ${JSON.stringify(repeat)} after ${server.requests.length} requests`
+        );
+
+        // Test 5: A rejected key is reported without retrying
+        server.queue(401);
+        const unauthorized = await requestFromWorker(samples[1].text);
+        assert(
+            unauthorized[unauthorized.length - 1].error?.startsWith('Invalid API key') && server.requests.length === 2,
+            'A 401 should be reported as an invalid key',
+            `Got: ${JSON.stringify(unauthorized)}`
+        );
+
+        // Test 6: Rate limits are retried and reported to the popup
+        server.queue(429);
+        const limited = await requestFromWorker(samples[2].text);
+        const retry = limited.find(message => message.type === 'retry');
+        assert(
+            retry?.retry.status === 429 && limited[limited.length - 1].summary === 'Summary 4.',
+            'A 429 should be retried after telling the popup',
+            `Got: ${JSON.stringify(limited)}`
+        );
+
+        // Test 7: Server errors give up after the last attempt
+        server.queue(500, 500, 500, 500);
+        const before = server.requests.length;
+        const failed = await requestFromWorker(samples[3].text);
+        assert(
+            failed[failed.length - 1].error?.includes('service error') &&
+                server.requests.length - before === RETRY_CONFIG.MAX_ATTEMPTS &&
+                failed.filter(message => message.type === 'retry').length === RETRY_CONFIG.MAX_ATTEMPTS - 1,
+            'Repeated 500s should be retried, then reported as a service error',
+            `Got: ${JSON.stringify(failed)} after ${server.requests.length - before} requests`
+        );
+
+        // Test 8: A response that is not valid JSON is reported, not shown
+        server.queue('malformed');
+        const malformed = await requestFromWorker(samples[4].text);
+        assert(
+            malformed[malformed.length - 1].error === ERROR_MESSAGES.INVALID_RESPONSE,
+            'Malformed responses should be reported as invalid',
+            `Got: ${JSON.stringify(malformed)}`
+        );
+
+        // Test 9: Invalid text is rejected before any request
+        const requestCount = server.requests.length;
+        const rejections = [];
+        for (const testCase of testCases.filter(item => item.expected_error)) {
+            const replies = await requestFromWorker(testCase.input);
+            rejections.push(replies[replies.length - 1].error === validateText(testCase.input).error);
+        }
+        assert(
+            rejections.length > 0 && rejections.every(Boolean) && server.requests.length === requestCount,
+            'Invalid text should be rejected without calling the provider',
+            `Got: ${JSON.stringify(rejections)}`
+        );
+
+        // Test 10: The keyboard shortcut summarizes the selection in an overlay
+        chrome.commands.onCommand.dispatch('summarize-selection', tab);
+        await waitFor(() => overlayStates.some(state => state.status === 'done'), 5000);
+        const injected = chrome.calls.find(call => call.api === 'scripting.executeScript');
+        const statuses = overlayStates.map(state => state.status);
+        assert(
+            injected?.args[0].files.includes('src/overlay.js') && statuses[0] === 'loading' &&
+                statuses.includes('streaming') && overlayStates[overlayStates.length - 1].summary === `Summary ${server.requests.length}.`,
+            'The shortcut should show loading, streamed and final states in the overlay',
+            `Got: ${JSON.stringify(overlayStates)}`
+        );
+
+        // Test 11: The copy shortcut hands the last summary to the offscreen document
+        let copied = null;
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (message.target === 'offscreen') {
+                copied = message.text;
+                sendResponse({ success: true });
+            }
+        });
+        chrome.commands.onCommand.dispatch('copy-last-summary');
+        await waitFor(() => chrome.calls.some(call => call.api === 'action.setBadgeText' && call.args[0].text === '✓'));
+        assert(
+            copied === chrome.storage.local.data[STORAGE_KEYS.LAST_SUMMARY] &&
+                chrome.calls.some(call => call.api === 'offscreen.createDocument'),
+            'The copy shortcut should copy the last summary through the offscreen document',
+            `Got: "${copied}"`
+        );
+
+        // Test 12: Selections reported by content scripts are kept per tab until the tab closes
+        chrome.runtime.onMessage.dispatch({ action: 'selectionChanged', text: 'Selected in tab 7' }, { tab, url: tab.url });
+        chrome.runtime.onMessage.dispatch({ action: 'selectionChanged', text: 'Selected in tab 8' }, { tab: { id: 8 }, url: 'https://example.org/' });
+        await waitFor(() => `${SELECTION_CONFIG.KEY_PREFIX}8` in chrome.storage.session.data);
+        const kept = await getStoredSelection(tab);
+        chrome.tabs.onRemoved.dispatch(7, {});
+        await waitFor(() => !(`${SELECTION_CONFIG.KEY_PREFIX}7` in chrome.storage.session.data));
+        assert(
+            kept === 'Selected in tab 7' && (await getStoredSelection({ id: 8 })) === 'Selected in tab 8',
+            'Selections should be kept per tab and dropped when the tab closes',
+            `Got: ${JSON.stringify(chrome.storage.session.data)}`
+        );
+
+        // Test 13: Follow-up questions are sent after the summarized prompt and summary
+        const askedBefore = server.requests.length;
+        const followUp = await requestFromWorker({ action: 'followUp', historyId: done.historyId, question: 'What else?' });
+        const answered = followUp.find(message => message.type === 'done');
+        const sent = server.requests[askedBefore]?.messages || [];
+        assert(
+            done.followUp === true && sent.length === 4 && sent[1].content.includes(samples[0].text) &&
+                sent[2].role === 'assistant' && sent[2].content === 'Summary 1.' && sent[3].content === 'What else?' &&
+                followUp.some(message => message.type === 'delta') &&
+                answered?.answer === `Summary ${askedBefore + 1}.` && answered.turns.length === 1,
+            'Follow-up questions should be answered in context and streamed',
+            `Got: ${JSON.stringify(followUp)} for ${JSON.stringify(sent)}`
+        );
+
+        // Test 14: The conversation is saved with the summary's history entry
+        const discussed = (await getHistory()).find(item => item.id === done.historyId);
+        assert(
+            discussed?.conversation?.turns[0].question === 'What else?' &&
+                discussed.conversation.turns[0].answer === answered?.answer,
+            'Follow-up conversations should be saved with the summary',
+            `Got: ${JSON.stringify(discussed)}`
+        );
+
+        // Test 15: Summaries that are no longer known cannot be discussed
+        const unknown = await requestFromWorker({ action: 'followUp', historyId: 'missing', question: 'What else?' });
+        assert(
+            unknown[unknown.length - 1].type === 'error' && unknown[unknown.length - 1].error.includes('no longer be discussed') &&
+                server.requests.length === askedBefore + 1,
+            'Follow-ups about unknown summaries should fail without a request',
+            `Got: ${JSON.stringify(unknown)}`
+        );
+
+        // Test 16: New summaries go to automatic webhooks; cached ones are not sent again
+        const autoHook = createWebhook({ name: 'Team feed', url: listener.url, auto: true });
+        const manualHook = createWebhook({ name: 'Notes', url: listener.url, headers: 'X-Team: notes' });
+        await saveWebhooks([autoHook, manualHook]);
+        const fresh = (await requestFromWorker(samples[1].text)).find(message => message.type === 'done');
+        await waitFor(async () => (await getDeliveryLog()).length === 1);
+        await requestFromWorker(samples[1].text);
+        const [autoDelivery] = await getDeliveryLog();
+        assert(
+            listener.requests.length === 1 && listener.requests[0].body.summary === fresh?.summary &&
+                listener.requests[0].body.title === 'Example' && autoDelivery.status === 'delivered' &&
+                autoDelivery.webhookId === autoHook.id,
+            'New summaries should be sent to automatic webhooks only, and only once',
+            `Got: ${JSON.stringify(listener.requests)}`
+        );
+
+        // Test 17: The popup's Send menu delivers through the worker, also with the popup open in a
+        // tab; content scripts cannot
+        const entry16 = (await getHistory()).find(item => item.id === fresh?.historyId);
+        const sendMessage = { action: 'sendWebhook', webhookId: manualHook.id, entry: entry16 };
+        const sentByPopup = await chrome.runtime.sendMessage(sendMessage);
+        const sentByPopupTab = await new Promise(resolve => chrome.runtime.onMessage.dispatch(
+            sendMessage, { id: chrome.runtime.id, url: chrome.runtime.getURL('popup.html'), tab }, resolve
+        ));
+        const fromPage = chrome.runtime.onMessage.dispatch(sendMessage, { id: chrome.runtime.id, url: tab.url, tab }, () => {});
+        const missingHook = await chrome.runtime.sendMessage({ action: 'sendWebhook', webhookId: 'missing', entry: entry16 });
+        assert(
+            sentByPopup?.status === 'delivered' && sentByPopupTab?.status === 'delivered' &&
+                !fromPage.includes(true) && listener.requests.length === 3 &&
+                listener.requests[1].headers['x-team'] === 'notes' &&
+                missingHook.status === 'failed' && missingHook.error === 'This webhook no longer exists.',
+            'Manual sends should be delivered by the worker for extension pages only',
+            `Got: ${JSON.stringify([sentByPopup, missingHook])}`
+        );
+
+        // The options page sends its tests, unsaved webhooks included, and its retries through the worker
+        const testHook = createWebhook({ name: 'Draft', url: listener.url, body: '{"text": "{{summary}}"}' });
+        const sentTest = await chrome.runtime.sendMessage({
+            action: 'sendWebhook', webhook: testHook, variables: WEBHOOK_CONFIG.TEST_VARIABLES
+        });
+        const retried = await chrome.runtime.sendMessage({
+            action: 'sendWebhook', webhookId: manualHook.id, variables: WEBHOOK_CONFIG.TEST_VARIABLES
+        });
+        const log = await getDeliveryLog();
+        assert(
+            sentTest?.status === 'delivered' && retried?.status === 'delivered' && listener.requests.length === 5 &&
+                listener.requests[3].body.text === WEBHOOK_CONFIG.TEST_VARIABLES.summary &&
+                log[0].webhookId === manualHook.id && log[1].name === 'Draft',
+            'Test sends and retries from the options page should be delivered and logged by the worker',
+            `Got: ${JSON.stringify([sentTest, retried])}`
+        );
+
+        // Test 18: Overlay states are sent without waiting for the page to answer
+        overlayReplies = false;
+        overlayStates.length = 0;
+        chrome.contextMenus.onClicked.dispatch({ menuItemId: 'summarizeSelection', selectionText: samples[2].text, frameId: 0 }, tab);
+        await waitFor(() => overlayStates.some(state => state.status === 'done'), 5000).catch(() => {});
+        overlayReplies = true;
+        assert(
+            overlayStates[0]?.status === 'loading' && overlayStates.some(state => state.status === 'done'),
+            'Summaries should reach the overlay even when the page never answers',
+            `Got: ${JSON.stringify(overlayStates)}`
+        );
+
+        // Test 19: The worker locks expired keys when the auto-lock alarm fires
+        await chrome.storage.session.set({
+            [KEYSTORE_CONFIG.SESSION_KEY]: { 'profile:expired': { apiKey: 'sk-expired', expiresAt: Date.now() - 1000 } }
+        });
+        chrome.alarms.onAlarm.dispatch({ name: KEYSTORE_CONFIG.LOCK_ALARM });
+        await waitFor(() => !('profile:expired' in chrome.storage.session.data[KEYSTORE_CONFIG.SESSION_KEY]));
+        assert(
+            !(KEYSTORE_CONFIG.LOCK_ALARM in chrome.alarms.scheduled),
+            'The worker should lock expired keys when the auto-lock alarm fires',
+            `Got session: ${JSON.stringify(chrome.storage.session.data)}`
+        );
+    } finally {
+        console.error = logError;
+        RETRY_CONFIG.BASE_DELAY = baseDelay;
+        restoreGlobals();
+        await server.close();
+        await listener.close();
+    }
+}
+
+/**
+ * Opens popup.html (or another page running popup.js) in jsdom with its
+ * script loaded, talking to a stand-in for the background worker
+ * @param {Object} options - { page, selectedText, webhooks, run }; selectedText is what the tab's
+ *   content script reports, or a function of the tab id returning it, webhooks are stored for the
+ *   Send menu and run makes each load a fresh module instance
+ * @returns {Promise<Object>} - { document, chrome, port, request, restore }; port is the worker's
+ *   end and request the message the popup sent on it, both set once the popup connects. restore()
+ *   waits for the popup's start-up to finish, then puts the globals back.
+ */
+async function openPopup(options = {}) {
+    const page = options.page || 'popup.html';
+    const html = fs.readFileSync(path.join(__dirname, '..', page.split('?')[0]), 'utf8');
+    const { window } = new JSDOM(html, { url: `chrome-extension://test-extension/${page}` });
+    const selectedText = typeof options.selectedText === 'function'
+        ? options.selectedText
+        : () => options.selectedText || '';
+    const fakeChrome = createFakeChrome({
+        tabs: [{ id: 1, url: 'https://example.com/', title: 'Example' }],
+        onTabMessage: (tabId, message) => (message.action === 'getSelectedText'
+            ? { success: true, text: selectedText(tabId) }
+            : undefined)
+    });
+    const popup = { document: window.document, chrome: fakeChrome, port: null };
+
+    useMockServerProfile(fakeChrome.storage.local, 'http://127.0.0.1:1');
+    fakeChrome.storage.local.data[WEBHOOK_CONFIG.STORAGE_KEY] = options.webhooks || [];
+    fakeChrome.runtime.onConnect.addListener((port) => {
+        popup.port = port;
+        port.onMessage.addListener(message => { popup.request = message; });
+    });
+
+    // Keep the promise of each start-up, so the globals are not taken away while it runs
+    const startups = [];
+    const addEventListener = window.document.addEventListener.bind(window.document);
+    window.document.addEventListener = (type, listener, ...rest) => addEventListener(
+        type,
+        type === 'DOMContentLoaded' ? event => startups.push(listener(event)) : listener,
+        ...rest
+    );
+
+    const restoreGlobals = setGlobals({
+        window,
+        document: window.document,
+        location: window.location,
+        Option: window.Option,
+        chrome: fakeChrome,
+        navigator: { language: 'en-US', clipboard: { writeText: async (text) => { popup.copied = text; } } }
+    });
+    popup.restore = async () => {
+        await Promise.allSettled(startups);
+        restoreGlobals();
+    };
+
+    // The popup logs when its script loads; keep the test output readable
+    const logInfo = console.log;
+    console.log = () => {};
+    try {
+        await import(`../src/popup.js?run=${options.run}`);
+    } finally {
+        console.log = logInfo;
+    }
+    // jsdom fires DOMContentLoaded itself once parsing ends; only fire it
+    // here if that happened before the script was loaded
+    if (window.document.readyState !== 'loading') {
+        window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    }
+    return popup;
+}
+
+/**
+ * Test Suite: Popup States
+ */
+async function testPopupStates() {
+    console.log('\n🪟 Testing Popup States...\n');
+
+    if (!JSDOM) {
+        skip('Popup state tests', 'jsdom is not installed (npm install jsdom)');
+        return;
+    }
+
+    const { samples } = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/sample_texts.json'), 'utf8'));
+    const isShown = (document, id) => document.getElementById(id).style.display !== 'none';
+    const visibleStates = document => ['loadingState', 'summaryContent', 'errorState', 'instructionState']
+        .filter(id => isShown(document, id));
+    let popup = null;
+
+    try {
+        // Test 1: Selected text shows the loading state and is sent to the worker
+        const sample = samples[0];
+        const webhook = createWebhook({ name: 'Team feed', url: 'http://127.0.0.1:1/hook' });
+        popup = await openPopup({ selectedText: sample.text, webhooks: [webhook], run: 1 });
+        await waitFor(() => popup.request);
+        const { document } = popup;
+        assert(
+            visibleStates(document).join() === 'loadingState' &&
+                popup.request.action === 'summarizeText' && popup.request.text === sample.text,
+            'Selected text should show the loading state and be sent for summarizing',
+            `Got states ${visibleStates(document)}, request ${JSON.stringify(popup.request)}`
+        );
+
+        // Test 2: Streamed text shows the summary while it arrives
+        popup.port.postMessage({ type: 'delta', text: sample.expected_summary.slice(0, 20) });
+        await waitFor(() => isShown(document, 'summaryContent'));
+        assert(
+            visibleStates(document).join() === 'summaryContent' &&
+                document.getElementById('statusText').textContent === 'Streaming...',
+            'Streamed text should show the summary while it arrives',
+            `Got states ${visibleStates(document)}`
+        );
+
+        // Test 3: The finished summary replaces the streamed text, with its usage
+        popup.port.postMessage({
+            type: 'done',
+            summary: sample.expected_summary,
+            template: 'summary',
+            structured: null,
+            historyId: 'entry-1',
+            followUp: true,
+            turns: [],
+            usage: { inputTokens: 100, outputTokens: 10, estimated: false, cost: null },
+            cached: false
+        });
+        await waitFor(() => document.getElementById('summaryText').textContent === sample.expected_summary);
+        const status = document.getElementById('statusText').textContent;
+        assert(
+            visibleStates(document).join() === 'summaryContent' && status.startsWith('Summary generated') &&
+                isShown(document, 'copyButton'),
+            'The finished summary should be shown with its usage',
+            `Got states ${visibleStates(document)}, status "${status}"`
+        );
+
+        // Test 4: Follow-up questions are sent about the summary and answered in the thread
+        const summaryPort = popup.port;
+        document.getElementById('followUpInput').value = 'Who wrote it?';
+        document.getElementById('followUpButton').click();
+        await waitFor(() => popup.port !== summaryPort && popup.request?.action === 'followUp');
+        const askedWhilePending = document.getElementById('followUpInput').disabled;
+        popup.port.postMessage({ type: 'delta', text: 'The author.' });
+        popup.port.postMessage({ type: 'done', answer: 'The author.', turns: [{ question: 'Who wrote it?', answer: 'The author.' }] });
+        await waitFor(() => !document.getElementById('followUpInput').disabled);
+        const thread = document.getElementById('followUpThread').textContent;
+        assert(
+            isShown(document, 'followUp') && askedWhilePending &&
+                popup.request.historyId === 'entry-1' && popup.request.question === 'Who wrote it?' &&
+                thread.includes('Who wrote it?') && thread.includes('The author.'),
+            'Follow-up questions should be sent about the summary and answered in the thread',
+            `Got request ${JSON.stringify(popup.request)}, thread "${thread}"`
+        );
+
+        // Test 5: The summary on screen is exported with its follow-up questions
+        const exportMenu = document.getElementById('exportSummary');
+        exportMenu.value = 'markdown';
+        exportMenu.dispatchEvent(new popup.document.defaultView.Event('change'));
+        await waitFor(() => popup.chrome.calls.some(call => call.api === 'downloads.download'));
+        const download = popup.chrome.calls.find(call => call.api === 'downloads.download').args[0];
+        const exported = Buffer.from(download.url.slice(download.url.indexOf(',') + 1), 'base64').toString('utf8');
+        assert(
+            download.filename === 'summary-example.md' && exported.includes('## [Example](<https://example.com/>)') &&
+                exported.includes('**Q:** Who wrote it?') && exportMenu.value === '',
+            'The summary on screen should be exported with its follow-up questions',
+            `Got ${download.filename}: ${exported}`
+        );
+
+        // Test 6: Copying uses the chosen format, which is remembered in the settings
+        const copyMenu = document.getElementById('copyFormat');
+        const copiedBefore = copyMenu.value;
+        copyMenu.value = 'markdown';
+        copyMenu.dispatchEvent(new popup.document.defaultView.Event('change'));
+        await waitFor(() => popup.chrome.storage.sync.data[STORAGE_KEYS.SUMMARY_SETTINGS]?.copyFormat === 'markdown');
+        document.getElementById('copyButton').click();
+        await waitFor(() => popup.copied);
+        assert(
+            copiedBefore === 'text' && popup.copied.endsWith('\n\nSource: [Example](<https://example.com/>)') &&
+                popup.copied.startsWith(escapeMarkdown(sample.expected_summary)),
+            'Copying should use the chosen format and remember it',
+            `Got "${popup.copied}"`
+        );
+
+        // Test 7: The Send menu hands the summary on screen to the worker for delivery
+        let webhookRequest = null;
+        popup.chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            webhookRequest = message;
+            sendResponse({ status: 'failed', error: 'HTTP 500' });
+            return true;
+        });
+        const sendMenu = document.getElementById('sendWebhook');
+        const sendShown = isShown(document, 'sendWebhook');
+        sendMenu.value = webhook.id;
+        sendMenu.dispatchEvent(new popup.document.defaultView.Event('change'));
+        await waitFor(() => document.getElementById('statusText').textContent.includes('failed'));
+        assert(
+            sendShown && webhookRequest?.action === 'sendWebhook' && webhookRequest.webhookId === webhook.id &&
+                webhookRequest.entry.summary === sample.expected_summary && sendMenu.value === '' &&
+                document.getElementById('statusText').textContent === 'Sending to Team feed failed: HTTP 500',
+            'The Send menu should deliver the summary through the worker and show the outcome',
+            `Got ${JSON.stringify(webhookRequest)}`
+        );
+        await popup.restore();
+
+        // Test 8: Errors from the worker are shown in the error state
+        popup = await openPopup({ selectedText: samples[1].text, run: 2 });
+        await waitFor(() => popup.request);
+        popup.port.postMessage({ type: 'error', error: 'Rate limit exceeded. Please try again later.' });
+        await waitFor(() => isShown(popup.document, 'errorState'));
+        const errorMessage = popup.document.getElementById('errorText').textContent;
+        assert(
+            visibleStates(popup.document).join() === 'errorState' &&
+                errorMessage === 'Rate limit exceeded. Please try again later.' &&
+                popup.document.getElementById('statusText').textContent === 'Error',
+            'Worker errors should be shown in the error state',
+            `Got states ${visibleStates(popup.document)}, message "${errorMessage}"`
+        );
+        await popup.restore();
+
+        // Test 9: Without selected text the popup explains what to do
+        // popup.html starts on the instructions, so wait until the tab has been asked
+        popup = await openPopup({ run: 3 });
+        await waitFor(() => popup.chrome.calls.some(call => call.api === 'tabs.sendMessage'));
+        await waitFor(() => !isShown(popup.document, 'loadingState'));
+        assert(
+            visibleStates(popup.document).join() === 'instructionState' && popup.port === null,
+            'Without selected text the instructions should be shown',
+            `Got states ${visibleStates(popup.document)}`
+        );
+
+        // Test 10: Reopened summaries offer questions only when the conversation can be resumed
+        const savedEntry = (id, conversation) => ({
+            id, summary: `Summary ${id}.`, title: id, url: 'https://example.com/', excerpt: '', timestamp: Date.now(), conversation
+        });
+        popup.chrome.storage.local.data[HISTORY_CONFIG.STORAGE_KEY] = [
+            savedEntry('resumable', { prompt: 'Summarize the following text:\n\nText.', turns: [{ question: 'Who?', answer: 'Someone.' }] }),
+            savedEntry('transcript', { turns: [{ question: 'When?', answer: 'Yesterday.' }] }),
+            savedEntry('plain')
+        ];
+        const reopen = async (index) => {
+            popup.document.getElementById('openHistory').click();
+            await waitFor(() => popup.document.querySelectorAll('#historyList .history-item').length === 3);
+            popup.document.querySelectorAll('#historyList .history-item')[index].querySelector('.history-actions button').click();
+            await waitFor(() => isShown(popup.document, 'summarySection'));
+            return ['followUp', 'followUpForm'].map(id => isShown(popup.document, id));
+        };
+        const reopened = [await reopen(0), await reopen(1), (await reopen(2))[0]];
+        assert(
+            JSON.stringify(reopened) === '[[true,true],[true,false],false]',
+            'Reopened summaries should offer questions only when their conversation can be resumed',
+            `Got [followUp, form] shown: ${JSON.stringify(reopened)}`
+        );
+    } finally {
+        await popup?.restore();
+    }
+}
+
+/**
+ * Test Suite: Side Panel
+ */
+async function testSidePanel() {
+    console.log('\n📑 Testing Side Panel...\n');
+
+    if (!JSDOM) {
+        skip('Side panel tests', 'jsdom is not installed (npm install jsdom)');
+        return;
+    }
+
+    const { samples } = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/sample_texts.json'), 'utf8'));
+    const selections = { 1: samples[0].text, 2: samples[1].text };
+    const tabs = {
+        1: { id: 1, url: 'https://example.com/', title: 'Example' },
+        2: { id: 2, url: 'https://example.org/', title: 'Other tab' }
+    };
+    const listedTitles = document => [...document.querySelectorAll('#tabSummaryList .history-title')]
+        .map(title => title.textContent);
+    let popup = null;
+
+    // Answers the request the panel has just sent, as the worker would
+    const finishSummary = async (summary) => {
+        const port = popup.port;
+        port.postMessage({ type: 'done', summary, template: 'summary', structured: null, turns: [], cached: false });
+        await waitFor(() => popup.document.getElementById('summaryText').textContent === summary && !port.connected);
+    };
+
+    try {
+        // Test 1: The popup offers to open the side panel in its window
+        // Wait for the popup to settle on the instructions, so nothing is left running for the next page
+        popup = await openPopup({ run: 4 });
+        const openButton = popup.document.getElementById('openSidePanel');
+        await waitFor(() => popup.chrome.calls.some(call => call.api === 'tabs.sendMessage'));
+        await waitFor(() => openButton.style.display !== 'none' &&
+            popup.document.getElementById('loadingState').style.display === 'none');
+        openButton.click();
+        await waitFor(() => popup.chrome.calls.some(call => call.api === 'sidePanel.open'));
+        const opened = popup.chrome.calls.find(call => call.api === 'sidePanel.open');
+        assert(
+            opened.args[0].windowId === 1,
+            'The popup should open the side panel in its window',
+            `Got: ${JSON.stringify(opened)}`
+        );
+        await popup.restore();
+
+        // Test 2: The side panel summarizes the active tab's selection and lists it
+        popup = await openPopup({ page: 'popup.html?view=sidepanel', selectedText: tabId => selections[tabId], run: 5 });
+        await waitFor(() => popup.request);
+        const { document } = popup;
+        const firstRequest = popup.request;
+        await finishSummary('Summary of the first tab.');
+        assert(
+            firstRequest.text === samples[0].text && listedTitles(document).join() === 'Example' &&
+                !document.getElementById('openSidePanel') && document.body.classList.contains('side-panel') &&
+                document.getElementById('instructionText').textContent.includes('appears here'),
+            'The side panel should summarize the active tab\'s selection and list it',
+            `Got request ${JSON.stringify(firstRequest)}, list ${listedTitles(document)}`
+        );
+
+        // Test 3: A new selection in the active tab is summarized without reopening
+        selections[1] = samples[2].text;
+        await popup.chrome.storage.session.set({
+            [`${SELECTION_CONFIG.KEY_PREFIX}1`]: { text: samples[2].text, url: tabs[1].url, timestamp: Date.now() }
+        });
+        await waitFor(() => popup.request.text === samples[2].text);
+        await finishSummary('Summary of the new selection.');
+        assert(
+            listedTitles(document).join() === 'Example' &&
+                document.querySelector('#tabSummaryList .history-summary').textContent === 'Summary of the new selection.',
+            'New selections in the active tab should be summarized automatically',
+            `Got list ${listedTitles(document)}`
+        );
+
+        // Test 4: Switching tabs summarizes the other tab and keeps both, and switching back shows the kept summary
+        popup.chrome.tabs.query = async () => [tabs[2]];
+        popup.chrome.tabs.onActivated.dispatch({ tabId: 2, windowId: 1 });
+        await waitFor(() => popup.request.text === samples[1].text);
+        await finishSummary('Summary of the other tab.');
+        const requestsBefore = popup.request;
+        popup.chrome.tabs.query = async () => [tabs[1]];
+        popup.chrome.tabs.onActivated.dispatch({ tabId: 1, windowId: 1 });
+        await waitFor(() => document.getElementById('summaryText').textContent === 'Summary of the new selection.');
+        assert(
+            listedTitles(document).join() === 'Other tab,Example' && popup.request === requestsBefore &&
+                document.getElementById('statusText').textContent === 'Example',
+            'Summaries of several tabs should be kept, and shown again when their tab is active',
+            `Got list ${listedTitles(document)}`
+        );
+
+        // Test 5: Closing a tab drops its summary
+        popup.chrome.tabs.onRemoved.dispatch(2, {});
+        assert(
+            listedTitles(document).join() === 'Example',
+            'Closed tabs should be dropped from the list',
+            `Got list ${listedTitles(document)}`
+        );
+
+        // Test 6: Picking another template re-summarizes the active tab and keeps the result for it
+        const templatePicker = document.getElementById('outputTemplate');
+        templatePicker.value = [...templatePicker.options].find(option => option.value !== templatePicker.value).value;
+        templatePicker.dispatchEvent(new popup.document.defaultView.Event('change'));
+        await waitFor(() => popup.request !== requestsBefore && popup.port.connected);
+        const templateRequest = popup.request;
+        await finishSummary('Summary in another template.');
+        assert(
+            templateRequest.text === samples[2].text && templateRequest.template === templatePicker.value &&
+                listedTitles(document).join() === 'Example' &&
+                document.querySelector('#tabSummaryList .history-summary').textContent === 'Summary in another template.',
+            'Changing the template in the side panel should replace the active tab\'s summary',
+            `Got request ${JSON.stringify(templateRequest)}, list ${listedTitles(document)}`
+        );
+    } finally {
+        await popup?.restore();
+    }
+}
+
+/**
+ * Test Suite: Summary Evaluation
+ */
+async function testEvaluation() {
+    console.log('\n📏 Testing Summary Evaluation...\n');
+
+    // Test 1: ROUGE-1/2 count clipped n-gram matches
+    const rouge1 = rougeN('the cat lay on the mat', 'The cat sat on the mat.', 1);
+    const rouge2 = rougeN('the cat lay on the mat', 'The cat sat on the mat.', 2);
+    assert(
+        Math.abs(rouge1.f1 - 5 / 6) < 1e-9 && Math.abs(rouge2.f1 - 3 / 5) < 1e-9 &&
+            rougeN('the the the', 'the cat', 1).precision === 1 / 3,
+        'ROUGE-N should score clipped n-gram overlap',
+        `Got: ${JSON.stringify({ rouge1, rouge2 })}`
+    );
+
+    // Test 2: ROUGE-L follows the longest common subsequence
+    const lcs = rougeL('police killed the gunman', 'the gunman killed police');
+    assert(
+        rougeL('a b c', 'a b c').f1 === 1 && Math.abs(lcs.f1 - 2 / 4) < 1e-9 && rougeL('', 'a b').f1 === 0,
+        'ROUGE-L should score the longest common subsequence',
+        `Got: ${JSON.stringify(lcs)}`
+    );
+
+    // Test 3: Length metrics compare with the source and the reference
+    const { samples } = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/sample_texts.json'), 'utf8'));
+    const scores = scoreSummary(samples[0].expected_summary, samples[0].expected_summary, samples[0].text);
+    assert(
+        scores.rouge1.f1 === 1 && scores.rougeL.f1 === 1 && scores.length.lengthRatio === 1 &&
+            scores.length.compression === scores.length.words / scores.length.sourceWords && scores.length.compression < 1,
+        'The expected summary should score perfectly against itself',
+        `Got: ${JSON.stringify(scores)}`
+    );
+
+    // Test 4: Recording a run, then replaying it offline, gives the same report
+    const server = await startMockCompletionsServer();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evaluation-'));
+    const runEvaluate = args => execFileAsync(process.execPath, [path.join(__dirname, 'evaluate.js'),
+        '--provider', 'ollama', '--base-url', server.baseUrl, '--model', 'mock', ...args], { timeout: 30000 });
+
+    try {
+        server.queue('success', 'success', 401);
+        await runEvaluate(['--samples', '1,2,3', '--record', path.join(dir, 'recording.json'), '--out', path.join(dir, 'live')]);
+        await server.close();
+        await runEvaluate(['--samples', '1,2,3', '--replay', path.join(dir, 'recording.json'), '--out', path.join(dir, 'replay')]);
+
+        const live = JSON.parse(fs.readFileSync(path.join(dir, 'live.json'), 'utf8'));
+        const replay = JSON.parse(fs.readFileSync(path.join(dir, 'replay.json'), 'utf8'));
+        const markdown = fs.readFileSync(path.join(dir, 'replay.md'), 'utf8');
+        assert(
+            live.results.length === 3 && live.results[0].summary === 'Summary 1.' && live.results[2].error?.startsWith('Invalid API key') &&
+                replay.config.mode === 'replay' &&
+                JSON.stringify(replay.results) === JSON.stringify(live.results) &&
+                replay.averages.rouge1 === averageScores(live.results).rouge1 &&
+                markdown.includes('| 1. Short Article - Climate Change |') && markdown.includes('| **Average** |'),
+            'Replaying a recorded run should reproduce its scores offline',
+            `Got: ${JSON.stringify(replay.results)}`
+        );
+
+        // Test 5: Requests missing from the recording fail without the network
+        await runEvaluate(['--samples', '4', '--replay', path.join(dir, 'recording.json'), '--out', path.join(dir, 'missing')])
+            .catch(error => error);
+        const missing = JSON.parse(fs.readFileSync(path.join(dir, 'missing.json'), 'utf8'));
+        assert(
+            missing.results[0].error?.includes('No recorded response') && missing.averages === null &&
+                formatMarkdownReport(missing).includes('| 4. '),
+            'Replays should report requests that were never recorded',
+            `Got: ${JSON.stringify(missing.results)}`
+        );
+    } finally {
+        await server.close().catch(() => {});
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 Chrome Summarizer Extension - Test Suite');
+    console.log('='.repeat(60));
+
+    testTextValidation();
+    testApiKeyValidation();
+    testTextSanitization();
+    testSampleDataProcessing();
+    testErrorFormatting();
+    testPromptCreation();
+    testSummarySettings();
+    testOutputTemplates();
+    await testPromptTemplates();
+    await testLanguage();
+    testTextChunking();
+    testProviders();
+    await testChunkedSummarization();
+    await testStreaming();
+    await testHistory();
+    testArticleExtraction();
+    await testCache();
+    await testRetry();
+    await testUsage();
+    await testKeyStore();
+    await testProfiles();
+    await testSelection();
+    await testConversation();
+    await testExport();
+    await testClipboard();
+    await testWebhooks();
+    await testBackgroundWorker();
+    await testPopupStates();
+    await testSidePanel();
+    await testEvaluation();
+
+    // Print summary
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 Test Summary');
+    console.log('='.repeat(60));
+    console.log(`✅ Passed: ${testsPassed}`);
+    console.log(`❌ Failed: ${testsFailed}`);
+    if (testsSkipped > 0) {
+        console.log(`⏭️  Skipped: ${testsSkipped}`);
+    }
     console.log(`📈 Total: ${testsPassed + testsFailed}`);
     console.log(`🎯 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
 